@@ -3,6 +3,13 @@ import cookieParser from "cookie-parser"
 import cors from "cors"
 
 const app = express()
+
+// needed behind a reverse proxy so req.ip is the client address (view counting)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY
+    app.set("trust proxy", trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy)
+}
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
     credentials: true
@@ -13,6 +20,46 @@ app.use(express.urlencoded({ extended: true })) // to get form data from request
 app.use(express.static('public')) // to serve static files
 app.use(cookieParser()) // to parse cookies from request headers
 
+/*
+ Rate limits per route group (middlewares/rateLimit.middleware.js), a request counts against
+ every group its path starts with. RATE_LIMIT_STORE=mongo shares the counts between servers,
+ RATE_LIMIT_ENABLED=false turns them off.
+*/
+import { rateLimit } from "./middlewares/rateLimit.middleware.js"
+
+const MINUTE = 60 * 1000
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"]
+
+// everything, generous: only stops scripts
+app.use("/api/v1", rateLimit({ name: "api", windowMs: MINUTE, perIp: 300 }))
+
+// password guessing and account creation
+app.use(
+    ["/api/v1/users/login", "/api/v1/users/register", "/api/v1/oauth"],
+    rateLimit({ name: "auth", windowMs: 15 * MINUTE, perIp: 30, message: "Too many login attempts, try again later" })
+)
+
+// endpoints that send mails or take tokens from them
+app.use(
+    ["/api/v1/users/forgot-password", "/api/v1/users/reset-password", "/api/v1/users/verify-email"],
+    rateLimit({ name: "account", windowMs: 15 * MINUTE, perIp: 10 })
+)
+
+// exports read everything a user has, a few a day are enough
+app.use("/api/v1/users/export", rateLimit({ name: "export", windowMs: 24 * 60 * MINUTE, perIp: 20, perUser: 5 }))
+
+// spam: comments, likes, tweets, ...
+app.use(
+    ["/api/v1/comments", "/api/v1/likes", "/api/v1/tweets", "/api/v1/subscriptions", "/api/v1/playlist"],
+    rateLimit({ name: "write", windowMs: MINUTE, perIp: 60, perUser: 30, methods: WRITE_METHODS, message: "You are doing that too often, slow down" })
+)
+
+// new uploads are heavy, counted per user across devices (chunks of resumable uploads are PUTs and don't count)
+app.use(
+    ["/api/v1/videos", "/api/v1/uploads"],
+    rateLimit({ name: "upload", windowMs: 60 * MINUTE, perIp: 120, perUser: 60, methods: ["POST"] })
+)
+
 
 //routes import 
 import userRouter from "./routes/user.routes.js"
@@ -24,6 +71,13 @@ import commentRouter from "./routes/comment.routes.js"
 import likeRouter from "./routes/like.routes.js"
 import playlistRouter from "./routes/playlist.routes.js"
 import dashboardRouter from "./routes/dashboard.routes.js"
+import uploadRouter from "./routes/upload.routes.js"
+import searchRouter from "./routes/search.routes.js"
+import feedRouter from "./routes/feed.routes.js"
+import tagRouter from "./routes/tag.routes.js"
+import oauthRouter from "./routes/oauth.routes.js"
+import notificationRouter from "./routes/notification.routes.js"
+import realtimeRouter from "./routes/realtime.routes.js"
 import { errorMiddleware } from "./middlewares/api.error.middleware.js"
 
 //routes declaration
@@ -36,6 +90,13 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/playlist", playlistRouter)
 app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/uploads", uploadRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/api/v1/tags", tagRouter)
+app.use("/api/v1/oauth", oauthRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/realtime", realtimeRouter)
 // http://localhost:8000/api/v1/users/register
 
 app.use(errorMiddleware);
@@ -1 +1,28 @@
-export const DB_NAME = "playbox"
\ No newline at end of file
+export const DB_NAME = "playbox"
+
+// moderators and admins can manage content they don't own, only admins can change roles
+export const USER_ROLES = {
+    USER: "user",
+    MODERATOR: "moderator",
+    ADMIN: "admin"
+}
+
+export const VIDEO_CATEGORIES = [
+    "comedy",
+    "education",
+    "entertainment",
+    "film",
+    "gaming",
+    "howto",
+    "music",
+    "news",
+    "people",
+    "sports",
+    "technology",
+    "travel",
+    "other"
+]
+
+// public fields of a user embedded as the owner of videos, comments, tweets..., `verified` shows the badge
+export const OWNER_PROJECTION = { username: 1, fullName: 1, avatar: 1, verified: 1 }
+export const OWNER_FIELDS = Object.keys(OWNER_PROJECTION).join(" ")
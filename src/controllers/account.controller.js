@@ -0,0 +1,100 @@
+import { User } from "../models/user.model.js"
+import { USER_TOKEN_PURPOSES } from "../models/userToken.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { sendPasswordResetEmail, sendVerificationEmail } from "../utils/accountMails.js"
+import { consumeUserToken, getLastTokenIssuedAt } from "../utils/userTokens.js"
+import { revokeUserSessions } from "../utils/sessions.js"
+import { SESSION_REVOKE_REASONS } from "../models/session.model.js"
+
+const RESEND_COOLDOWN_MS = parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS || "60") * 1000
+
+/*
+ Email verification and password reset - Notes:
+
+ 👉 How do the flows work?
+    - Registering (or changing the email) mails a verification link, POST /users/verify-email with its token confirms the address.
+    - POST /users/forgot-password mails a reset link, POST /users/reset-password with its token and a new password sets it.
+
+ 👉 Why are the tokens hashed in the database?
+    - The raw token is only in the mail. Someone reading the database can't reset a password with what is stored.
+
+ 👉 Why does forgot-password answer the same for unknown emails?
+    - Otherwise anyone could find out which emails have an account.
+
+ 👉 What makes a token single use?
+    - It is deleted by the same query that finds it, so two requests can't both use it.
+    - A new mail replaces the previous token, only the last link works.
+*/
+
+const verifyEmail = asyncHandler(async (req, res) => {
+    const userToken = await consumeUserToken(req.body.token, USER_TOKEN_PURPOSES.EMAIL_VERIFICATION)
+    if (!userToken) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    // the token only verifies the address it was sent to
+    const user = await User.findOneAndUpdate(
+        { _id: userToken.user, email: userToken.email },
+        { $set: { emailVerified: true } },
+        { new: true }
+    ).select("-password -refreshToken")
+
+    if (!user) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    return res.status(200).json(new ApiResponse(200, user, "Email verified successfully"))
+})
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    if (req.user.emailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    const lastSentAt = await getLastTokenIssuedAt(req.user._id, USER_TOKEN_PURPOSES.EMAIL_VERIFICATION)
+    const waitMs = lastSentAt ? lastSentAt.getTime() + RESEND_COOLDOWN_MS - Date.now() : 0
+    if (waitMs > 0) {
+        throw new ApiError(429, `A verification mail was just sent, try again in ${Math.ceil(waitMs / 1000)} seconds`)
+    }
+
+    await sendVerificationEmail(req.user)
+
+    return res.status(200).json(new ApiResponse(200, {}, "Verification mail sent"))
+})
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email })
+
+    // not awaited: the time taken and a mail error would tell that the account exists
+    if (user) {
+        sendPasswordResetEmail(user).catch((error) => console.error("Password reset mail error:", error))
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If an account uses this email, a password reset link was sent to it"))
+})
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body
+
+    const userToken = await consumeUserToken(token, USER_TOKEN_PURPOSES.PASSWORD_RESET)
+    const user = userToken && await User.findById(userToken.user)
+
+    if (!user || user.email !== userToken.email) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    user.password = password
+    // the link was opened from the inbox, so the address is the user's
+    user.emailVerified = true
+    await user.save({ validateBeforeSave: false })
+    // logged in devices have to log in again with the new password
+    await revokeUserSessions(user._id, SESSION_REVOKE_REASONS.PASSWORD_RESET)
+
+    return res.status(200).json(new ApiResponse(200, {}, "Password reset successfully, log in with the new password"))
+})
+
+export { verifyEmail, resendVerificationEmail, forgotPassword, resetPassword }
@@ -0,0 +1,79 @@
+import { User, CHANNEL_SECTION_TYPES } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { syncChannelName } from "../utils/search.js"
+import { changeUsername, ownsPlaylists, ownsVideos, usernameChangeAvailableAt } from "../utils/channels.js"
+
+/*
+ Channel customization - Notes:
+
+ 👉 What can a channel show?
+    - A description, up to 10 external links, a location, and the date the account was created (joinedAt).
+    - A featured video (for subscribers) and a trailer (for everyone else), both must be the channel's own.
+    - Up to 10 pinned sections: the recent videos, the most viewed videos or one of the channel's playlists.
+    - PATCH /users/channel changes only the fields sent, null clears the featured and trailer videos, the description and the location.
+    - GET /users/c/:username returns it all with the videos resolved, pinned videos that aren't public are left out.
+
+ 👉 How do username changes work?
+    - PATCH /users/username, once every 30 days (USERNAME_CHANGE_COOLDOWN_DAYS).
+    - The old username is kept in the history: /users/c/<old> redirects to the new one.
+    - Nobody else can take an old username for 90 days (USERNAME_HOLD_DAYS), links to the channel keep working meanwhile.
+
+ 👉 What is the verified badge?
+    - Only admins grant it (PATCH /users/verified/:userId), `verified` comes with the owner of videos, comments, tweets...
+*/
+
+const CHANNEL_FIELDS = ["description", "links", "location", "featuredVideo", "trailerVideo", "sections"]
+
+const updateChannelDetails = asyncHandler(async (req, res) => {
+    const { featuredVideo, trailerVideo, sections } = req.body
+
+    // only the channel's own videos and playlists can be pinned
+    if (!(await ownsVideos(req.user._id, [featuredVideo, trailerVideo]))) {
+        throw new ApiError(400, "Featured and trailer videos must be your own videos")
+    }
+    const playlists = (sections || [])
+        .filter((section) => section.type === CHANNEL_SECTION_TYPES.PLAYLIST)
+        .map((section) => section.playlist)
+    if (!(await ownsPlaylists(req.user._id, playlists))) {
+        throw new ApiError(400, "Sections can only show your own playlists")
+    }
+
+    const update = {}
+    for (const field of CHANNEL_FIELDS) {
+        if (req.body[field] !== undefined) {
+            update[`channel.${field}`] = req.body[field]
+        }
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: update },
+        { new: true, runValidators: true }
+    ).select("-password")
+
+    return res.status(200).json(new ApiResponse(200, user, "Channel updated successfully"))
+})
+
+const updateUsername = asyncHandler(async (req, res) => {
+    const user = await changeUsername(req.user, req.body.username)
+
+    // videos are searchable by channel name
+    await syncChannelName(user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, "Username changed successfully, the old one redirects to your channel"))
+})
+
+const getUsernameStatus = asyncHandler(async (req, res) => {
+    const { username, usernameHistory } = req.user
+    const availableAt = usernameChangeAvailableAt(req.user)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { username, canChange: !availableAt, availableAt, history: usernameHistory }, "Username fetched successfully"))
+})
+
+export { updateChannelDetails, updateUsername, getUsernameStatus }
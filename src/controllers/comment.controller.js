@@ -1,217 +1,216 @@
-import mongoose, { isValidObjectId } from "mongoose";
+import mongoose from "mongoose";
 import { Comment } from "../models/comment.model.js"
+import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { canViewVideo } from "../utils/videoVisibility.js"
+import { paginate } from "../utils/pagination.js"
+import { notifyCommentReply } from "../utils/notifications.js"
+import { publishToVideo } from "../utils/realtime.js"
+import { GRACE_DAYS, getRestoreDeadline, isRestorable, restoreCommentThread, softDeleteCommentThread } from "../utils/contentDeletion.js"
 
 const getVideoComments = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
-    const { page = 1, limit = 10, isOldest } = req.query;
-    const sortOption = isOldest === 'true' ? 1 : -1;
+    const { cursor, limit = 10, isOldest } = req.query;
+    const sortOption = isOldest ? 1 : -1; // a boolean, parsed by videoCommentsSchema
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
+    const video = await Video.findById(videoId).select("owner visibility").lean();
+    if (!canViewVideo(req.user, video)) {
+        throw new ApiError(404, "Video not found");
     }
 
     const videoObjectId = new mongoose.Types.ObjectId(videoId);
 
-    const comments = await Comment.aggregate([
-        {
-            $match: {
-                video: videoObjectId,
-                parentComment: null
-            }
-        },
-        {
-            $sort: { createdAt: sortOption }
-        },
-        {
-            $lookup: {
-                from: "videos",
-                localField: "video",
-                foreignField: "_id",
-                as: "CommentOnWhichVideo"
-            }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "OwnerOfComment"
-            }
-        },
-        {
-            $lookup: {
-                from: "likes",
-                localField: "_id",
-                foreignField: "comment",
-                as: "commentLikes"
-            }
+    // top level comments, newest (or oldest) first, see utils/pagination.js
+    const { items: comments, pagination } = await paginate(Comment, {
+        match: {
+            video: videoObjectId,
+            parentComment: null
         },
-        {
-            $addFields: {
-                likeCount: { $size: "$commentLikes" },
-                isLiked: {
-                    $in: [
-                        { $toObjectId: req.user._id.toString() },
-                        "$commentLikes.likedBy"
-                    ]
+        sort: { field: "createdAt", order: sortOption },
+        cursor,
+        limit,
+        count: true,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "CommentOnWhichVideo"
                 }
-            }
-        },
-        {
-            $lookup: {
-                from: "comments",
-                let: { parentId: "$_id" },
-                pipeline: [
-                    { $match: { $expr: { $eq: ["$parentComment", "$$parentId"] } } },
-                    { $sort: { createdAt: -1 } },
-                    { $limit: 5 },
-                    {
-                        $lookup: {
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "OwnerOfReply"
-                        }
-                    },
-                    {
-                        $lookup: {
-                            from: "likes",
-                            localField: "_id",
-                            foreignField: "comment",
-                            as: "replyLikes"
-                        }
-                    },
-                    {
-                        $addFields: {
-                            likeCount: { $size: "$replyLikes" },
-                            isLiked: {
-                                $in: [
-                                    { $toObjectId: req.user._id.toString() },
-                                    "$replyLikes.likedBy"
-                                ]
+            },
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "OwnerOfComment"
+                }
+            },
+            {
+                $lookup: {
+                    from: "likes",
+                    localField: "_id",
+                    foreignField: "comment",
+                    as: "commentLikes"
+                }
+            },
+            {
+                $addFields: {
+                    likeCount: { $size: "$commentLikes" },
+                    isLiked: {
+                        $in: [
+                            { $toObjectId: req.user._id.toString() },
+                            "$commentLikes.likedBy"
+                        ]
+                    }
+                }
+            },
+            {
+                $lookup: {
+                    from: "comments",
+                    let: { parentId: "$_id" },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ["$parentComment", "$$parentId"] }, deletedAt: null } },
+                        { $sort: { createdAt: -1 } },
+                        { $limit: 5 },
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "OwnerOfReply"
+                            }
+                        },
+                        {
+                            $lookup: {
+                                from: "likes",
+                                localField: "_id",
+                                foreignField: "comment",
+                                as: "replyLikes"
+                            }
+                        },
+                        {
+                            $addFields: {
+                                likeCount: { $size: "$replyLikes" },
+                                isLiked: {
+                                    $in: [
+                                        { $toObjectId: req.user._id.toString() },
+                                        "$replyLikes.likedBy"
+                                    ]
+                                }
+                            }
+                        },
+                        {
+                            $project: {
+                                content: 1,
+                                createdAt: 1,
+                                likeCount: 1,
+                                isLiked: 1,
+                                owner: {
+                                    _id: { $arrayElemAt: ["$OwnerOfReply._id", 0] },
+                                    username: { $arrayElemAt: ["$OwnerOfReply.username", 0] },
+                                    avatar: { $arrayElemAt: ["$OwnerOfReply.avatar", 0] },
+                                    verified: { $arrayElemAt: ["$OwnerOfReply.verified", 0] }
+                                }
                             }
                         }
-                    },
-                    {
-                        $project: {
-                            content: 1,
-                            createdAt: 1,
-                            likeCount: 1,
-                            isLiked: 1,
-                            owner: {
-                                _id: { $arrayElemAt: ["$OwnerOfReply._id", 0] },
-                                username: { $arrayElemAt: ["$OwnerOfReply.username", 0] },
-                                avatar: { $arrayElemAt: ["$OwnerOfReply.avatar", 0] }
+                    ],
+                    as: "replies"
+                }
+            },
+            {
+                $lookup: {
+                    from: "comments",
+                    let: { parentId: "$_id" },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ["$parentComment", "$$parentId"] },
+                                deletedAt: null
                             }
+                        },
+                        {
+                            $count: "count"
                         }
+                    ],
+                    as: "replyMeta"
+                }
+            },
+            {
+                $addFields: {
+                    replyCount: {
+                        $cond: [
+                            { $gt: [{ $size: "$replyMeta" }, 0] },
+                            { $arrayElemAt: ["$replyMeta.count", 0] },
+                            0
+                        ]
                     }
-                ],
-                as: "replies"
-            }
-        },
-        {
-            $lookup: {
-                from: "comments",
-                let: { parentId: "$_id" },
-                pipeline: [
-                    {
-                        $match: {
-                            $expr: { $eq: ["$parentComment", "$$parentId"] }
-                        }
+                }
+            },
+            {
+                $project: {
+                    content: 1,
+                    createdAt: 1,
+                    likeCount: 1,
+                    isLiked: 1,
+                    replyCount: 1,
+                    replies: 1,
+                    owner: {
+                        _id: { $arrayElemAt: ["$OwnerOfComment._id", 0] },
+                        username: { $arrayElemAt: ["$OwnerOfComment.username", 0] },
+                        avatar: { $arrayElemAt: ["$OwnerOfComment.avatar", 0] },
+                        verified: { $arrayElemAt: ["$OwnerOfComment.verified", 0] }
                     },
-                    {
-                        $count: "count"
+                    video: {
+                        _id: { $arrayElemAt: ["$CommentOnWhichVideo._id", 0] }
                     }
-                ],
-                as: "replyMeta"
-            }
-        },
-        {
-            $addFields: {
-                replyCount: {
-                    $cond: [
-                        { $gt: [{ $size: "$replyMeta" }, 0] },
-                        { $arrayElemAt: ["$replyMeta.count", 0] },
-                        0
-                    ]
                 }
             }
-        },
-        {
-            $project: {
-                content: 1,
-                createdAt: 1,
-                likeCount: 1,
-                isLiked: 1,
-                replyCount: 1,
-                replies: 1,
-                owner: {
-                    _id: { $arrayElemAt: ["$OwnerOfComment._id", 0] },
-                    username: { $arrayElemAt: ["$OwnerOfComment.username", 0] },
-                    avatar: { $arrayElemAt: ["$OwnerOfComment.avatar", 0] }
-                },
-                video: {
-                    _id: { $arrayElemAt: ["$CommentOnWhichVideo._id", 0] }
-                }
-            }
-        },
-        {
-            $skip: (page - 1) * parseInt(limit)
-        },
-        {
-            $limit: parseInt(limit)
-        }
-    ]);
-
-    if (!comments) {
-        throw new ApiError(404, "No comments found for this video");
-    }
+        ]
+    });
 
-    res.status(200).json(new ApiResponse(200, comments, "Comments fetched successfully"));
+    res.status(200).json(new ApiResponse(200, comments, "Comments fetched successfully", pagination));
 });
 
 const getCommentReplies = asyncHandler(async (req, res) => {
     const { commentId } = req.params;
-    const { page = 1, limit = 5 } = req.query;
-
-    if (!isValidObjectId(commentId)) {
-        throw new ApiError(400, "Invalid parent comment ID");
-    }
+    const { cursor, limit = 5 } = req.query;
 
-    const replies = await Comment.aggregate([
-        {
-            $match: {
-                parentComment: new mongoose.Types.ObjectId(commentId)
-            }
+    const { items: replies, pagination } = await paginate(Comment, {
+        match: {
+            parentComment: new mongoose.Types.ObjectId(commentId)
         },
-        { $sort: { createdAt: -1 } },
-        { $skip: (page - 1) * parseInt(limit) },
-        { $limit: parseInt(limit) },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "OwnerOfReply"
-            }
-        },
-        {
-            $project: {
-                content: 1,
-                createdAt: 1,
-                owner: {
-                    _id: { $arrayElemAt: ["$OwnerOfReply._id", 0] },
-                    username: { $arrayElemAt: ["$OwnerOfReply.username", 0] },
-                    avatar: { $arrayElemAt: ["$OwnerOfReply.avatar", 0] }
+        cursor,
+        limit,
+        count: true,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "OwnerOfReply"
+                }
+            },
+            {
+                $project: {
+                    content: 1,
+                    createdAt: 1,
+                    owner: {
+                        _id: { $arrayElemAt: ["$OwnerOfReply._id", 0] },
+                        username: { $arrayElemAt: ["$OwnerOfReply.username", 0] },
+                        avatar: { $arrayElemAt: ["$OwnerOfReply.avatar", 0] },
+                        verified: { $arrayElemAt: ["$OwnerOfReply.verified", 0] }
+                    }
                 }
             }
-        }
-    ]);
+        ]
+    });
 
-    res.status(200).json(new ApiResponse(200, replies, "Replies fetched successfully"));
+    res.status(200).json(new ApiResponse(200, replies, "Replies fetched successfully", pagination));
 });
 
 
@@ -219,20 +218,18 @@ const addComment = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const { content, parentComment } = req.body;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
-    if (parentComment && !isValidObjectId(parentComment)) {
-        throw new ApiError(400, "Invalid parent comment ID");
-    }
-
     if (!req.user) {
         throw new ApiError(401, "Unauthorized");
     }
 
-    if (!content) {
-        throw new ApiError(400, "Content is required");
+    // comments are only possible on videos the user can open
+    const video = await Video.findById(videoId).select("owner visibility").lean();
+    if (!canViewVideo(req.user, video)) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    if (parentComment && !(await Comment.exists({ _id: parentComment, video: videoId }))) {
+        throw new ApiError(404, "Parent comment not found");
     }
 
     const newComment = await Comment.create({
@@ -246,6 +243,21 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Failed to add comment");
     }
 
+    // viewers of the video see it without reloading
+    await publishToVideo(videoId, "comment", {
+        ...newComment.toObject(),
+        owner: {
+            _id: req.user._id,
+            username: req.user.username,
+            fullName: req.user.fullName,
+            avatar: req.user.avatar,
+            verified: req.user.verified
+        }
+    }).catch((error) => console.error("Live update error:", error));
+
+    // the author of the parent comment hears about the reply
+    await notifyCommentReply(newComment).catch((error) => console.error("Notification error:", error));
+
     res.status(201).json(new ApiResponse(201, newComment, "Comment added successfully"));
 });
 
@@ -253,23 +265,13 @@ const updateComment = asyncHandler(async (req, res) => {
     const { commentId } = req.params
     const { content } = req.body
 
-    if (!isValidObjectId(commentId)) {
-        throw new ApiError(400, "Invalid comment ID")
-    }
-
     if (!req.user) {
         throw new ApiError(401, "Unauthorized")
     }
 
-    if (!content) {
-        throw new ApiError(400, "Content is required")
-    }
-
+    // ownership was checked by authorizeResource in comment.routes.js
     const updatedComment = await Comment.findByIdAndUpdate(
-        {
-            _id: commentId, // Find the comment by ID
-            owner: req.user._id // Ensure the logged-in user is the owner of the comment
-        },
+        commentId,
         {
             $set: { content } // Update the content of the comment
 
@@ -293,38 +295,41 @@ const updateComment = asyncHandler(async (req, res) => {
      - Only authenticated users should be able to modify their own comments.
      - Otherwise, someone could edit another user's comments — big security risk!
 
-  👉 Why check for both '_id' and 'owner' when updating?
+  👉 Who is allowed to update a comment?
      - We don’t want users to edit other people’s comments.
-     - This ensures that only the original commenter can update their comment.
+     - The authorizeResource middleware only lets the original commenter (or a moderator) through.
 */
 })
 
 const deleteComment = asyncHandler(async (req, res) => {
     const { commentId } = req.params
 
-    if (!isValidObjectId(commentId)) {
-        throw new ApiError(400, "Invalid comment ID")
-    }
     if (!req.user) {
         throw new ApiError(401, "Unauthorized")
     }
 
-    const deleteComment = await Comment.findOneAndDelete({
-        _id: commentId, // Find the comment by ID
-        owner: req.user._id // Ensure the logged-in user is the owner of the comment
-    })
+    // loaded by authorizeResource, which ensures the user owns the comment or is a moderator
+    const deleteComment = req.resource
 
-    if (!deleteComment) {
-        throw new ApiError(500, "Something went wrong while deleting the comment")
-    }
-    res.status(200).json(new ApiResponse(200, deleteComment, "Comment deleted successfully"))
+    // soft delete the comment with all its replies, they are purged after the grace period
+    const deletedAt = await softDeleteCommentThread(deleteComment._id)
+
+    res.status(200).json(new ApiResponse(200, {
+        ...deleteComment.toObject(),
+        deletedAt,
+        restoreDeadline: getRestoreDeadline(deletedAt)
+    }, `Comment deleted successfully, it can be restored within ${GRACE_DAYS} days`))
 
     /*
 Comment Deletion Process Notes:
 
-👉 Why do we use findOneAndDelete()?
-   - It finds the comment and deletes it in one database query.
-   - Ensures only the owner of the comment can delete it (security feature!).
+👉 Who can delete a comment?
+   - The authorizeResource middleware ensures only the owner of the comment
+     or a moderator can delete it (security feature!).
+
+👉 Why are the replies deleted too?
+   - A reply without its parent can't be shown anywhere.
+   - They get the same deletedAt, so restoring the comment brings back exactly those replies.
 
 👉 What happens if the comment doesn't exist or the user isn't the owner?
    - The operation fails safely without deleting anything.
@@ -333,10 +338,23 @@ Comment Deletion Process Notes:
 */
 })
 
+const restoreComment = asyncHandler(async (req, res) => {
+    const comment = req.resource
+
+    if (!isRestorable(comment.deletedAt)) {
+        throw new ApiError(410, "The restore period for this comment has expired")
+    }
+
+    await restoreCommentThread(comment)
+
+    res.status(200).json(new ApiResponse(200, { ...comment.toObject(), deletedAt: null }, "Comment restored successfully"))
+})
+
 export {
     getVideoComments,
     getCommentReplies,
     addComment,
     updateComment,
-    deleteComment
+    deleteComment,
+    restoreComment
 }
\ No newline at end of file
@@ -6,6 +6,7 @@ import { Like } from "../models/like.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { paginate } from "../utils/pagination.js"
 
 const getChannelStats = asyncHandler(async (req, res) => {
     const userId = req.user._id
@@ -60,22 +61,24 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     /*
    Fetching All Videos Uploaded by the User (Channel Owner)
     -----------------------------------------------------------
-    - We use `Video.find({ owner: userId })` to search for all videos where the `owner` field matches `userId`.
+    - We use `paginate(Video, { match: { owner: userId } })` to read the videos where the `owner` field matches `userId`, one page at a time.
     - `userId` represents the currently logged-in user, meaning we are getting only THEIR videos.
   */
 
-    const videos = await Video.find({
-        owner: userId,
-    }).sort({
-        createdAt: -1, // Sorting videos in descending order (newest first)
+    const { items: videos, pagination } = await paginate(Video, {
+        match: { owner: userId },
+        sort: { field: "createdAt", order: -1 }, // Sorting videos in descending order (newest first)
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        count: true
     });
 
     // - This ensures that the client knows when a channel has no videos.
     if (!videos || videos.length === 0) {
-        return res.status(200).json(new ApiResponse(200, [], "No videos found for this channel"));
+        return res.status(200).json(new ApiResponse(200, [], "No videos found for this channel", pagination));
     }
 
-    res.status(200).json(new ApiResponse(200, videos, "Channel videos fetched successfully"));
+    res.status(200).json(new ApiResponse(200, videos, "Channel videos fetched successfully", pagination));
 });
 
 export {
@@ -0,0 +1,33 @@
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { getHomeFeed, getSubscriptionFeed } from "../utils/feed.js"
+
+/*
+ Feeds - Notes:
+
+ 👉 How does paging work?
+    - Both feeds answer with the items in `data` and { nextCursor, hasMore, limit } in `pagination`.
+    - Pass `nextCursor` back as `?cursor=` to get the next page, `limit` sets the page size (10 by default, up to 50).
+    - A cursor stays valid while new videos are uploaded, unlike page numbers.
+
+ 👉 What is in each feed?
+    - /feed/subscriptions: videos and tweets of subscribed channels, newest first, tagged with `type`.
+    - /feed/home: public videos ranked by views, likes, recency and what the user watched or liked.
+*/
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+    const { items, pagination } = await getSubscriptionFeed(req.user, req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, items, "Subscription feed fetched successfully", pagination))
+})
+
+const getHomeFeedVideos = asyncHandler(async (req, res) => {
+    const { items, pagination } = await getHomeFeed(req.user, req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, items, "Home feed fetched successfully", pagination))
+})
+
+export { getSubscriptionsFeed, getHomeFeedVideos }
@@ -1,19 +1,19 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import mongoose from "mongoose"
 import { Like } from "../models/like.model.js"
 import { Video } from "../models/video.model.js";
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { canViewVideo, viewableVideoMatch } from "../utils/videoVisibility.js"
+import { paginate } from "../utils/pagination.js"
+import { notifyLike } from "../utils/notifications.js"
+import { publishToVideo } from "../utils/realtime.js"
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const userId = req.user._id;
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
     const video = await Video.findById(videoId);
-    if (!video) {
+    if (!canViewVideo(req.user, video)) {
         throw new ApiError(404, "Video not found");
     }
 
@@ -37,6 +37,12 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
 
     await video.save();
 
+    await publishToVideo(videoId, "likes", { videoId, likeCount: video.likeCount }).catch((error) => console.error("Live update error:", error));
+
+    if (liked) {
+        await notifyLike(userId, { video: videoId }).catch((error) => console.error("Notification error:", error));
+    }
+
     return res.status(200).json(new ApiResponse(200, {
         liked,
         totalLikes: video.likeCount
@@ -49,10 +55,6 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
 
     // get the user ID from the request object
     const userId = req.user._id
-    // check if the comment ID is valid
-    if (!isValidObjectId(commentId)) {
-        throw new ApiError(400, "Invalid comment ID")
-    }
     // check if user already liked the comment
     const existingLike = await Like.findOne({
         comment: commentId,
@@ -71,6 +73,8 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
         likedBy: userId,
     });
 
+    await notifyLike(userId, { comment: commentId }).catch((error) => console.error("Notification error:", error))
+
     return res.status(201).json(new ApiResponse(201, likeComment, "comment liked successfully"))
 
 })
@@ -80,10 +84,6 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
 
     const userId = req.user._id
 
-    if (!isValidObjectId(tweetId)) {
-        throw new ApiError(400, "Invalid tweet ID")
-    }
-
     const existingLike = await Like.findOne({
         tweet: tweetId,
         likedBy: userId,
@@ -99,6 +99,8 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
         likedBy: userId,
     })
 
+    await notifyLike(userId, { tweet: tweetId }).catch((error) => console.error("Notification error:", error))
+
     return res.status(201).json(new ApiResponse(201, likeTweet, "tweet liked successfully"))
 }
 )
@@ -114,12 +116,31 @@ const getLikedVideos = asyncHandler(async (req, res) => {
 
     */
 
-    const likedVideos = await Like.find({
-        likedBy: userId,
-        video: { $exists: true } // filter for video likes only
-    }).populate("video")
+    const { items: likedVideos, pagination } = await paginate(Like, {
+        match: {
+            likedBy: userId,
+            video: { $exists: true } // filter for video likes only
+        },
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [{ $match: { deletedAt: null, ...viewableVideoMatch(req.user) } }]
+                }
+            },
+            // drops deleted videos that are still in their grace period
+            // and videos that were made private since they were liked,
+            // so a page can hold fewer likes than `limit`
+            { $unwind: "$video" }
+        ]
+    })
 
-    return res.status(200).json(new ApiResponse(200, likedVideos, "liked videos fetched successfully"))
+    return res.status(200).json(new ApiResponse(200, likedVideos, "liked videos fetched successfully", pagination))
 
 })
 
@@ -0,0 +1,142 @@
+import mongoose from "mongoose"
+import { Notification } from "../models/notification.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { paginate } from "../utils/pagination.js"
+import { viewableVideoMatch } from "../utils/videoVisibility.js"
+import { OWNER_PROJECTION } from "../constants.js"
+
+/*
+ Notifications - Notes:
+
+ 👉 What creates a notification?
+    - A subscribed channel publishing a video or a tweet, depending on the bell of the subscription (utils/notifications.js).
+    - A reply to your comment, a like of your video, comment or tweet, a new subscriber.
+    - Your own actions never notify you, and liking the same thing twice notifies once.
+
+ 👉 What are the bell levels?
+    - PATCH /subscriptions/c/:channelId/notifications with `level`: `all` (videos and tweets), `personalized` (videos while you watch the channel) or `none`.
+    - New subscriptions start with `personalized`.
+
+ 👉 How is the inbox read?
+    - GET /notifications, newest first and paginated, `?unread=true` for the unread ones only. GET /notifications/unread-count for the badge.
+    - PATCH /notifications/:notificationId with `read` true or false, POST /notifications/read-all, DELETE /notifications/:notificationId.
+    - Entries about deleted (or no longer visible) videos, tweets and comments drop out, all are removed after 90 days.
+*/
+
+// replaces `field` with the document it points to, entries whose document is gone are dropped
+const contentLookup = (from, field, pipeline) => [
+    {
+        $lookup: {
+            from,
+            localField: field,
+            foreignField: "_id",
+            as: `${field}Doc`,
+            pipeline: [{ $match: { deletedAt: null } }, ...pipeline]
+        }
+    },
+    {
+        $match: { $or: [{ [field]: null }, { [`${field}Doc.0`]: { $exists: true } }] }
+    },
+    {
+        $set: { [field]: { $first: `$${field}Doc` } }
+    },
+    {
+        $unset: `${field}Doc`
+    }
+]
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { unread, cursor, limit } = req.query
+
+    const { items: notifications, pagination } = await paginate(Notification, {
+        match: {
+            recipient: new mongoose.Types.ObjectId(req.user._id),
+            ...(unread ? { readAt: null } : {})
+        },
+        cursor,
+        limit,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "actor",
+                    foreignField: "_id",
+                    as: "actor",
+                    pipeline: [{ $project: OWNER_PROJECTION }]
+                }
+            },
+            { $set: { actor: { $first: "$actor" } } },
+            ...contentLookup("videos", "video", [
+                { $match: viewableVideoMatch(req.user) },
+                { $project: { title: 1, thumbnail: 1, duration: 1 } }
+            ]),
+            ...contentLookup("tweets", "tweet", [{ $project: { content: 1 } }]),
+            ...contentLookup("comments", "comment", [{ $project: { content: 1 } }]),
+            { $set: { read: { $ne: ["$readAt", null] } } },
+            { $project: { recipient: 0, __v: 0 } }
+        ]
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, notifications, "Notifications fetched successfully", pagination))
+})
+
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { unreadCount }, "Unread notifications counted successfully"))
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+    const { read } = req.body
+
+    // someone else's notification is as good as missing
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user._id },
+        { $set: { readAt: read ? new Date() : null } },
+        { new: true }
+    ).select("-recipient -__v")
+
+    if (!notification) {
+        throw new ApiError(404, "Notification not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, notification, read ? "Notification marked as read" : "Notification marked as unread"))
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const { modifiedCount } = await Notification.updateMany(
+        { recipient: req.user._id, readAt: null },
+        { $set: { readAt: new Date() } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { updatedCount: modifiedCount }, "All notifications marked as read"))
+})
+
+const deleteNotification = asyncHandler(async (req, res) => {
+    const { deletedCount } = await Notification.deleteOne({ _id: req.params.notificationId, recipient: req.user._id })
+
+    if (!deletedCount) {
+        throw new ApiError(404, "Notification not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, {}, "Notification deleted successfully"))
+})
+
+export {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification
+}
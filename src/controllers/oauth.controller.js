@@ -0,0 +1,165 @@
+import { User } from "../models/user.model.js"
+import { OAuthAccount } from "../models/oauthAccount.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { generateAccessAndRefreshToken } from "../utils/sessions.js"
+import { startTwoFactorLogin } from "../utils/twoFactor.js"
+import {
+    OAUTH_MODES,
+    createOAuthState,
+    getOAuthProvider,
+    listOAuthProviders,
+    oauthRedirectUri,
+    readOAuthState
+} from "../utils/oauth/index.js"
+import { findOrCreateOAuthUser, linkOAuthAccount, unlinkOAuthAccount } from "../utils/oauthAccounts.js"
+
+/*
+ Login with Google, GitHub, ... - Notes:
+
+ 👉 How does a login go?
+    - GET /oauth/:provider/authorize returns the provider url, the frontend sends the user there.
+    - The provider sends the user back to APP_URL/oauth/:provider/callback?code=...&state=..., the frontend posts code and state to POST /oauth/:provider/callback.
+    - The callback answers like /users/login: tokens and cookies, or `twoFactorRequired` with a loginToken for /users/login/2fa.
+
+ 👉 What if the user has no account yet?
+    - One is created from the provider profile: name, avatar, email (verified when the provider verified it) and a free username.
+    - It has no password, the user can set one with forgot password.
+    - If the email already has an account, the login is refused: log in to that account and link the provider instead.
+
+ 👉 How are providers linked?
+    - GET /oauth/:provider/link returns the provider url for the logged in user, the frontend posts the code and state back to POST /oauth/:provider/link.
+    - DELETE /oauth/:provider/link unlinks, unless it is the last way to log in.
+    - GET /oauth/accounts lists the linked accounts.
+
+ 👉 What is the state cookie?
+    - Starting a login sets `oauthNonce`, the callback only accepts a state started in the same browser.
+*/
+
+const NONCE_COOKIE = "oauthNonce"
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true
+}
+
+// Starts a login or a link: sets the nonce cookie and returns the provider url
+const authorizationResponse = (res, provider, { mode, userId, login }) => {
+    const { state, nonce } = createOAuthState({ provider, mode, userId })
+    const url = provider.authorizationUrl({ state, redirectUri: oauthRedirectUri(provider), login })
+
+    return res
+        .status(200)
+        .cookie(NONCE_COOKIE, nonce, { ...cookieOptions, maxAge: 10 * 60 * 1000 })
+        .json(new ApiResponse(200, { url }, `Continue at ${provider.displayName}`))
+}
+
+// Checks the state of a callback and trades its code for the provider profile
+const readCallbackProfile = async (req, res, provider, mode) => {
+    const { code, state } = req.body
+    const payload = readOAuthState(state, { provider, mode, nonce: req.cookies?.[NONCE_COOKIE] })
+    res.clearCookie(NONCE_COOKIE, cookieOptions)
+
+    try {
+        const profile = await provider.exchangeCode({ code, redirectUri: oauthRedirectUri(provider) })
+        return { payload, profile }
+    } catch (error) {
+        console.error(`OAuth error (${provider.name}):`, error.message || error)
+        throw new ApiError(401, `Login with ${provider.displayName} failed, try again`)
+    }
+}
+
+const getOAuthProviders = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, listOAuthProviders(), "Login providers fetched successfully"))
+})
+
+const startOAuthLogin = asyncHandler(async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider)
+    return authorizationResponse(res, provider, { mode: OAUTH_MODES.LOGIN, login: req.query.login })
+})
+
+const completeOAuthLogin = asyncHandler(async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider)
+    const { profile } = await readCallbackProfile(req, res, provider, OAUTH_MODES.LOGIN)
+
+    const { user, created } = await findOrCreateOAuthUser(provider, profile)
+
+    // the provider replaces the password, not the second factor
+    if (user.twoFactor?.enabled) {
+        const loginToken = await startTwoFactorLogin(user)
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { twoFactorRequired: true, loginToken }, "Enter the code of your authenticator app"))
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req)
+
+    const loggedInUser = await User.findById(user._id).select(
+        "-password -refreshToken"
+    )
+
+    return res
+        .status(created ? 201 : 200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(new ApiResponse(
+            created ? 201 : 200,
+            { user: loggedInUser, accessToken, refreshToken, created },
+            created ? "User registered successfully" : "User logged in successfully"
+        ))
+})
+
+const startOAuthLink = asyncHandler(async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider)
+    return authorizationResponse(res, provider, {
+        mode: OAUTH_MODES.LINK,
+        userId: req.user._id.toString(),
+        login: req.query.login
+    })
+})
+
+const completeOAuthLink = asyncHandler(async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider)
+    const { payload, profile } = await readCallbackProfile(req, res, provider, OAUTH_MODES.LINK)
+
+    // a link started by another user can't be completed with this login
+    if (payload.userId !== req.user._id.toString()) {
+        throw new ApiError(403, "This link was started by another user")
+    }
+
+    const account = await linkOAuthAccount(req.user, provider, profile)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, account, `${provider.displayName} account linked successfully`))
+})
+
+const unlinkOAuthProvider = asyncHandler(async (req, res) => {
+    await unlinkOAuthAccount(req.user, req.params.provider)
+
+    return res.status(200).json(new ApiResponse(200, {}, "Account unlinked successfully"))
+})
+
+const getLinkedAccounts = asyncHandler(async (req, res) => {
+    const accounts = await OAuthAccount.find({ user: req.user._id })
+        .select("provider email displayName lastUsedAt createdAt")
+        .sort({ createdAt: 1 })
+        .lean()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, accounts, "Linked accounts fetched successfully"))
+})
+
+export {
+    getOAuthProviders,
+    startOAuthLogin,
+    completeOAuthLogin,
+    startOAuthLink,
+    completeOAuthLink,
+    unlinkOAuthProvider,
+    getLinkedAccounts
+}
@@ -1,17 +1,16 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import mongoose from "mongoose"
 import { Playlist } from "../models/playlist.model.js"
+import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { canViewVideo, viewableVideoMatch } from "../utils/videoVisibility.js"
+import { paginate } from "../utils/pagination.js"
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
     const { name, description } = req.body
 
-    if (!name || !description) {
-        throw new ApiError(400, "Name and description are required")
-    }
-
     const playlist = await Playlist.create({
         name,
         description,
@@ -26,24 +25,21 @@ const createPlaylist = asyncHandler(async (req, res) => {
 
 const getUserPlaylists = asyncHandler(async (req, res) => {
     const { userId } = req.params
-    if (!isValidObjectId(userId)) {
-        throw new ApiError(400, "Invalid user ID")
-    }
-    const playlists = await Playlist.find({ owner: userId })
-
-    if (!playlists || playlists.length === 0) {
-        throw new ApiError(404, "No playlists found for this user")
-    }
+    // newest first, one page at a time (?cursor=&limit=)
+    const { items: playlists, pagination } = await paginate(Playlist, {
+        match: { owner: new mongoose.Types.ObjectId(userId) },
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        count: true
+    })
 
-    res.status(200).json(new ApiResponse(200, playlists, "User playlists fetched successfully"))
+    res.status(200).json(new ApiResponse(200, playlists, "User playlists fetched successfully", pagination))
 })
 
 const getPlaylistById = asyncHandler(async (req, res) => {
     const { playlistId } = req.params
-    if (!isValidObjectId(playlistId)) {
-        throw new ApiError(400, "Invalid playlist ID")
-    }
-    const playlist = await Playlist.findById(playlistId).populate("videos")
+    // videos that became private (or are still drafts) stay in the playlist but are hidden from other users
+    const playlist = await Playlist.findById(playlistId).populate({ path: "videos", match: viewableVideoMatch(req.user) })
     if (!playlist) {
         throw new ApiError(404, "Playlist not found")
     }
@@ -52,9 +48,12 @@ const getPlaylistById = asyncHandler(async (req, res) => {
 
 const addVideoToPlaylist = asyncHandler(async (req, res) => {
     const { playlistId, videoId } = req.params
-    if (!isValidObjectId(playlistId) || !isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid playlist or video ID");
+    // only videos the user can open may be added, private ones only by their owner
+    const video = await Video.findById(videoId)
+    if (!canViewVideo(req.user, video)) {
+        throw new ApiError(404, "Video not found")
     }
+
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
         playlistId,
         { $addToSet: { videos: videoId } }, // Ensures uniqueness
@@ -95,9 +94,6 @@ const addVideoToPlaylist = asyncHandler(async (req, res) => {
 const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
     const { playlistId, videoId } = req.params
 
-    if (!isValidObjectId(playlistId) || !isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid playlist or video ID")
-    }
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
         playlistId,
         {
@@ -134,9 +130,6 @@ Removing a Video from a Playlist - Notes:
 
 const deletePlaylist = asyncHandler(async (req, res) => {
     const { playlistId } = req.params
-    if (!isValidObjectId(playlistId)) {
-        throw new ApiError(400, "Invalid playlist ID")
-    }
     const deletedPlaylist = await Playlist.findByIdAndDelete(playlistId)
     if (!deletedPlaylist) {
         throw new ApiError(404, "Playlist not found")
@@ -162,12 +155,6 @@ const updatePlaylist = asyncHandler(async (req, res) => {
     const { playlistId } = req.params
     const { name, description } = req.body
 
-    if (!isValidObjectId(playlistId)) {
-        throw new ApiError(400, "Invalid playlist ID")
-    }
-    if (!name || !description) {
-        throw new ApiError(400, "Name and description are required")
-    }
     const updatedPlaylist = await Playlist.findByIdAndUpdate(
         playlistId,
         {
@@ -0,0 +1,73 @@
+import { User } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { buildUserExport } from "../utils/dataExport.js"
+import { cancelAccountDeletion, scheduleAccountDeletion } from "../utils/accountDeletion.js"
+import { sendAccountDeletionEmail } from "../utils/accountMails.js"
+import { findUserWithTwoFactorSecrets, verifySecondFactor } from "../utils/twoFactor.js"
+
+/*
+ Data export and account deletion - Notes:
+
+ 👉 What is in the export?
+    - GET /users/export downloads one JSON file: profile, videos (metadata), tweets, comments, likes, playlists,
+      subscriptions, watch history, sessions and linked login providers.
+    - It is the file itself, not wrapped in the usual { statusCode, data, message } answer.
+
+ 👉 How does deleting an account work?
+    - POST /users/account-deletion schedules it, with the password (if the account has one) and a two-factor code (if enabled).
+    - Nothing is removed during the grace period (14 days by default), DELETE /users/account-deletion cancels.
+    - After it, the deletion worker removes the account, videos, tweets, likes, playlists, subscriptions and sessions.
+
+ 👉 Why are some comments kept?
+    - Removing a comment others replied to would tear their replies out of the thread.
+    - Those stay as "[deleted]" without an owner, the text and the link to the user are gone.
+*/
+
+const exportUserData = asyncHandler(async (req, res) => {
+    const archive = await buildUserExport(req.user._id)
+    const date = archive.exportedAt.toISOString().slice(0, 10)
+
+    return res
+        .status(200)
+        .attachment(`playbox-${req.user.username}-${date}.json`)
+        .json(archive)
+})
+
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body
+
+    if (req.user.deletionScheduledFor) {
+        throw new ApiError(409, "Account deletion is already scheduled")
+    }
+
+    // the logged in device isn't enough, someone may have borrowed it
+    const user = await findUserWithTwoFactorSecrets(req.user._id)
+    if (user.password && !(await user.isPasswordCorrect(password || ""))) {
+        throw new ApiError(401, "Invalid password")
+    }
+    if (user.twoFactor?.enabled && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    const scheduledFor = await scheduleAccountDeletion(user._id)
+    await sendAccountDeletionEmail(user, scheduledFor).catch((error) => console.error("Account deletion mail error:", error))
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { deletionScheduledFor: scheduledFor }, "Account deletion scheduled, log in and cancel it before then to keep the account"))
+})
+
+const cancelAccountDeletionRequest = asyncHandler(async (req, res) => {
+    const cancelled = await cancelAccountDeletion(req.user._id)
+    if (!cancelled) {
+        throw new ApiError(400, "No account deletion is scheduled")
+    }
+
+    const user = await User.findById(req.user._id).select("-password -refreshToken")
+
+    return res.status(200).json(new ApiResponse(200, user, "Account deletion cancelled"))
+})
+
+export { exportUserData, requestAccountDeletion, cancelAccountDeletionRequest }
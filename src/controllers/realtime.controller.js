@@ -0,0 +1,43 @@
+import jwt from "jsonwebtoken"
+import { Video } from "../models/video.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { canViewVideo } from "../utils/videoVisibility.js"
+import { openStream } from "../utils/realtime.js"
+import { readAccessToken } from "../middlewares/auth.middleware.js"
+
+/*
+ Live updates - Notes:
+
+ 👉 How does a client connect?
+    - new EventSource("/api/v1/realtime?videos=<videoId>,<videoId>", { withCredentials: true }), logged in like any other request (the accessToken cookie or the Authorization header).
+    - `videos` lists the videos on screen (at most 20), the notifications of the user come without asking.
+    - One stream per tab, at most 5 per user.
+
+ 👉 Which events are sent?
+    - `ready` once connected, with the rooms joined.
+    - `comment` with a new comment (or reply) on one of the videos, its owner included.
+    - `likes` with the new like count of one of the videos.
+    - Video events stop once the user can no longer watch the video (made private, deleted), it is checked for every event.
+    - `notification` with a new inbox entry, `subscribers` with the new subscriber count of the user's channel.
+
+ 👉 Why does the stream end by itself?
+    - When the access token expires or its session is revoked, a logged out device must stop receiving events.
+    - EventSource reconnects on its own, refresh the token first. Events sent while disconnected are not replayed, refetch the lists after reconnecting.
+*/
+
+const openRealtimeStream = asyncHandler(async (req, res) => {
+    const videoIds = [...new Set(req.query.videos || [])]
+
+    // the room of a video is open to those who can watch it
+    const videos = await Video.find({ _id: { $in: videoIds } }).select("owner visibility").lean()
+    if (videos.filter((video) => canViewVideo(req.user, video)).length !== videoIds.length) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const { exp } = jwt.decode(readAccessToken(req)) || {}
+
+    openStream(req, res, { videoIds, expiresAt: exp ? new Date(exp * 1000) : undefined })
+})
+
+export { openRealtimeStream }
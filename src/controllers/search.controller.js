@@ -0,0 +1,32 @@
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { search } from "../utils/search.js"
+
+/*
+ Unified search - Notes:
+
+ 👉 What can be searched?
+    - GET /search?q=... looks for videos, channels, tweets and playlists at once.
+    - `type=video,channel` limits the search to some of them.
+
+ 👉 Which filters are there?
+    - `minDuration` / `maxDuration` in seconds (only videos have a duration).
+    - `uploadDate`: hour, today, week, month or year.
+    - `channel`: user id or username of the owner.
+    - `category` and `tag` (videos only).
+    - `sortBy`: relevance (default), date or views.
+    - `page` / `limit` apply to each type.
+
+ 👉 What does the response look like?
+    - `videos`, `channels`, `tweets` and `playlists` hold the results of each type.
+    - `results` has all of them mixed, tagged with `type` and taking turns by rank: text scores of different collections can't be compared.
+*/
+const searchAll = asyncHandler(async (req, res) => {
+    const results = await search(req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, results, "Search results fetched successfully"))
+})
+
+export { searchAll }
@@ -0,0 +1,81 @@
+import { Session, SESSION_REVOKE_REASONS } from "../models/session.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { revokeSession as revokeUserSession, revokeUserSessions } from "../utils/sessions.js"
+
+/*
+ Sessions - Notes:
+
+ 👉 What is a session?
+    - Every login creates one, it lists the device, IP and user agent and when it was last used.
+    - Access and refresh tokens carry the id of their session, revoking the session logs them out right away.
+
+ 👉 How do refresh tokens rotate?
+    - POST /users/refresh-token answers with a new refresh token, the one sent is no longer accepted.
+    - Sending an old refresh token again means it was copied, the whole session is revoked and its device has to log in again.
+    - So a client must keep the latest refresh token and not refresh twice with the same one.
+
+ 👉 What do the endpoints do?
+    - GET /users/sessions lists the active sessions, the one making the request has `current: true`.
+    - DELETE /users/sessions/:sessionId logs one device out.
+    - DELETE /users/sessions logs every device out, `?keepCurrent=true` keeps the one making the request.
+*/
+
+const SESSION_FIELDS = "device userAgent ip lastUsedAt createdAt expiresAt"
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true
+}
+
+const listSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({ user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select(SESSION_FIELDS)
+        .sort({ lastUsedAt: -1 })
+        .lean()
+
+    const currentId = req.authSession._id.toString()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            sessions.map((session) => ({ ...session, current: session._id.toString() === currentId })),
+            "Sessions fetched successfully"
+        ))
+})
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    const revoked = await revokeUserSession(sessionId, req.user._id, SESSION_REVOKE_REASONS.REVOKED)
+    if (!revoked) {
+        throw new ApiError(404, "Session not found")
+    }
+
+    // revoking the current session is a logout
+    if (sessionId === req.authSession._id.toString()) {
+        res.clearCookie("accessToken", cookieOptions).clearCookie("refreshToken", cookieOptions)
+    }
+
+    return res.status(200).json(new ApiResponse(200, {}, "Session revoked successfully"))
+})
+
+const revokeAllSessions = asyncHandler(async (req, res) => {
+    const { keepCurrent } = req.query
+
+    const revokedCount = await revokeUserSessions(
+        req.user._id,
+        SESSION_REVOKE_REASONS.REVOKED,
+        { except: keepCurrent ? req.authSession._id : undefined }
+    )
+
+    if (!keepCurrent) {
+        res.clearCookie("accessToken", cookieOptions).clearCookie("refreshToken", cookieOptions)
+    }
+
+    return res.status(200).json(new ApiResponse(200, { revokedCount }, "Sessions revoked successfully"))
+})
+
+export { listSessions, revokeSession, revokeAllSessions }
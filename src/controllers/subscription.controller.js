@@ -1,18 +1,36 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import mongoose from "mongoose"
 import { User } from "../models/user.model.js"
-import { Subscription } from "../models/subscription.model.js"
+import { Subscription, SUBSCRIPTION_NOTIFICATION_LEVELS } from "../models/subscription.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { paginate } from "../utils/pagination.js"
+import { OWNER_PROJECTION } from "../constants.js"
+import { notifyNewSubscriber } from "../utils/notifications.js"
+import { isUserConnected, publishToUser } from "../utils/realtime.js"
+
+// public details of the users on the other side of a subscription
+const userLookup = (localField) => ({
+    $lookup: {
+        from: "users",
+        localField,
+        foreignField: "_id",
+        as: localField,
+        pipeline: [{ $project: OWNER_PROJECTION }]
+    }
+})
 
+// live subscriber count for the channel owner, counted only when they are connected
+const pushSubscriberCount = async (channelId) => {
+    if (!isUserConnected(channelId)) return
+    const subscribersCount = await Subscription.countDocuments({ channel: channelId })
+    publishToUser(channelId, "subscribers", { subscribersCount })
+}
 
 const toggleSubscription = asyncHandler(async (req, res) => {
     const { channelId } = req.params
     const subscriberId = req.user._id
 
-    if (!isValidObjectId(channelId)) {
-        throw new ApiError(400, "Invalid channel ID")
-    }
     if (subscriberId.toString() === channelId.toString()) {
         throw new ApiError(400, "You cannot subscribe to your own channel")
     }
@@ -24,6 +42,7 @@ const toggleSubscription = asyncHandler(async (req, res) => {
     if (existingSubscription) {
         // unsubscribe
         await Subscription.findByIdAndDelete(existingSubscription._id)
+        await pushSubscriberCount(channelId).catch((error) => console.error("Live update error:", error))
         return res.status(200).json(new ApiResponse(200, {}, "Unsubscribed successfully"))
     }
     /*
@@ -45,6 +64,8 @@ const toggleSubscription = asyncHandler(async (req, res) => {
 
     // If no subscription exists, create a new one (subscribe)
     await Subscription.create({ subscriber: subscriberId, channel: channelId });
+    await pushSubscriberCount(channelId).catch((error) => console.error("Live update error:", error))
+    await notifyNewSubscriber(subscriberId, channelId).catch((error) => console.error("Notification error:", error));
     return res
         .status(201)
         .json(new ApiResponse(201, {}, "Subscribed successfully"));
@@ -54,37 +75,34 @@ const toggleSubscription = asyncHandler(async (req, res) => {
 const getUserChannelSubscribers = asyncHandler(async (req, res) => {
     const channelId = req.user._id;
 
-    if (!isValidObjectId(channelId)) {
-        throw new ApiError(400, "Invalid channel ID")
-    }
-
-    const subscribersDocs = await Subscription.find({
-        channel: channelId,
-    }).populate("subscriber", "_id name email");
-
+    // newest subscribers first, one page at a time (?cursor=&limit=)
+    const { items: subscribersDocs, pagination } = await paginate(Subscription, {
+        match: { channel: channelId },
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        count: true,
+        pageStages: [userLookup("subscriber"), { $unwind: "$subscriber" }]
+    });
 
-    if (!subscribersDocs) {
-        throw new ApiError(404, "No subscribers found for this channel");
-    }
     return res
         .status(200)
         .json(
-            new ApiResponse(200, subscribersDocs, "Subscribers fetched successfully")
+            new ApiResponse(200, subscribersDocs, "Subscribers fetched successfully", pagination)
         );
     /*
      Subscriber List Fetching - Notes:
  
-     👉 Why do we use `populate()`?
+     👉 Why do we use `$lookup`?
         - To replace the `subscriber` field (which is an ID) with actual user details.
         - This makes it easier to see who the subscribers are.
  
-     👉 Why do we use `"_id name email"` in `populate()`?
+     👉 Why only `username`, `fullName` and `avatar`?
         - To specify which fields we want from the `User` model.
-        - We only need `_id`, `name`, and `email` for our response.
+        - A channel owner shouldn't see the email addresses of their subscribers.
  
-     👉 Why do we check if `subscribers` is empty?
-        - To handle cases where no subscribers are found for the given channel.
-        - This prevents sending back an empty response and helps with error handling.
+     👉 Why is an empty list not an error?
+        - A new channel simply has no subscribers yet, and the last page of a list can be empty.
+        - `pagination.hasMore` tells the client whether to ask for more.
     */
 })
 
@@ -97,39 +115,59 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
 
     /* 
   
-       - `Subscription.find({ subscriber: subscriberId })`: Finds all records where this user which is coming from "req.user._id " is the subscriber.
-       - `populate("channel", "_id name email")`: Fetches the channel details (_id, name, email) for each subscription.
-       - Why? Because subscriptions store only IDs. Populating converts them into actual channel objects. */
-
-    const subscribedChannels = await Subscription.find({
-        subscriber: subscriberId,
-    }).populate("channel", "_id name email");
-
-    // If no subscribed channels found, return an error
-    if (!subscribedChannels || subscribedChannels.length === 0) {
-        throw new ApiError(404, "No subscribed channels found");
-    }
-
-    /*  Why are we checking `subscribedChannels.length === 0`?
-       - `.find()` always returns an array. If empty, that means no subscriptions exist.
-       - Without this check, the user might receive an empty array instead of a proper message.
-    */
-
-    // Return a success response with the list of subscribed channels
+       - `match: { subscriber: subscriberId }`: Finds the records where this user which is coming from "req.user._id " is the subscriber.
+       - `userLookup("channel")`: Fetches the channel details (username, fullName, avatar) for each subscription.
+       - Why? Because subscriptions store only IDs. The lookup converts them into actual channel objects. */
+
+    const { items: subscribedChannels, pagination } = await paginate(Subscription, {
+        match: { subscriber: subscriberId },
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        count: true,
+        pageStages: [userLookup("channel"), { $unwind: "$channel" }]
+    });
+
+    // Return a success response with the list of subscribed channels (empty when there are none)
     return res
         .status(200)
         .json(
             new ApiResponse(
                 200,
                 subscribedChannels,
-                "Subscribed channels fetched successfully"
+                "Subscribed channels fetched successfully",
+                pagination
             )
         );
 
 });
 
+// the bell: which uploads of the channel notify the subscriber (utils/notifications.js)
+const updateSubscriptionNotifications = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+    const { level } = req.body
+
+    const subscription = await Subscription.findOneAndUpdate(
+        { channel: channelId, subscriber: req.user._id },
+        { $set: { notifications: level } },
+        { new: true }
+    )
+
+    if (!subscription) {
+        throw new ApiError(404, "You are not subscribed to this channel")
+    }
+
+    const messages = {
+        [SUBSCRIPTION_NOTIFICATION_LEVELS.ALL]: "You will be notified of every video and tweet",
+        [SUBSCRIPTION_NOTIFICATION_LEVELS.PERSONALIZED]: "You will be notified of some videos",
+        [SUBSCRIPTION_NOTIFICATION_LEVELS.NONE]: "Notifications turned off for this channel"
+    }
+
+    return res.status(200).json(new ApiResponse(200, subscription, messages[level]))
+})
+
 export {
     toggleSubscription,
     getUserChannelSubscribers,
-    getSubscribedChannels
+    getSubscribedChannels,
+    updateSubscriptionNotifications
 }
\ No newline at end of file
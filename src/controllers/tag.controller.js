@@ -0,0 +1,51 @@
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { normalizeTag } from "../utils/taxonomy.js"
+import { browseTweets, browseVideos, getPopularTags, tagMatch } from "../utils/browse.js"
+
+/*
+ Tags - Notes:
+
+ 👉 Where do tags come from?
+    - Video owners pick `tags` when publishing or updating a video.
+    - Hashtags (#music) are read from tweet content and video descriptions when they are saved.
+    - Browsing a tag finds videos that have it as a tag or as a hashtag.
+
+ 👉 Why normalize the tag from the url?
+    - Tags are stored lowercase without `#`, so /tags/%23LoFi/videos and /tags/lofi/videos are the same.
+*/
+const readTag = (req) => {
+    const tag = normalizeTag(req.params.tag)
+    if (!tag) {
+        throw new ApiError(400, "Tag is required")
+    }
+    return tag
+}
+
+const getPopular = asyncHandler(async (req, res) => {
+    // type: video (default) or tweet, days: 7 by default
+    const tags = await getPopularTags(req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tags, "Popular tags fetched successfully"))
+})
+
+const getVideosByTag = asyncHandler(async (req, res) => {
+    const { items: videos, pagination } = await browseVideos(tagMatch(readTag(req)), req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully", pagination))
+})
+
+const getTweetsByTag = asyncHandler(async (req, res) => {
+    const { items: tweets, pagination } = await browseTweets({ hashtags: readTag(req) }, req.query)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, tweets, "Tweets fetched successfully", pagination))
+})
+
+export { getPopular, getVideosByTag, getTweetsByTag }
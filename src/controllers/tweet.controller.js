@@ -1,24 +1,26 @@
-import mongoose, { isValidObjectId } from "mongoose"
+import mongoose from "mongoose"
 import { Tweet } from "../models/tweet.model.js"
 import { User } from "../models/user.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { paginate } from "../utils/pagination.js"
+import { GRACE_DAYS, getRestoreDeadline, isRestorable } from "../utils/contentDeletion.js"
+import { notifyTweetPublished } from "../utils/notifications.js"
 
 const createTweet = asyncHandler(async (req, res) => {
     const { content } = req.body
     const ownerId = req.user._id
 
-    if (!content) {
-        throw new ApiError(400, "Content is required")
-    }
-
     const newTweet = await Tweet.create({ content, owner: ownerId })
 
     if (!newTweet) {
         throw new ApiError(500, "Failed to create tweet")
     }
 
+    // subscribers with the bell on `all` are notified
+    await notifyTweetPublished(newTweet).catch((error) => console.error("Notification error:", error))
+
     return res.status(201).json(new ApiResponse(201, newTweet, "Tweet created successfully"))
 
     /*
@@ -36,40 +38,27 @@ How does this work in an app? - Notes:
 const getUserTweets = asyncHandler(async (req, res) => {
     const { userId } = req.params
 
-    if (!isValidObjectId(userId)) {
-        throw new ApiError(400, "Invalid user ID")
-    }
-    const tweets = await Tweet.find({ owner: userId }).sort({ createdAt: -1 });
+    // newest first, one page at a time (?cursor=&limit=)
+    const { items: tweets, pagination } = await paginate(Tweet, {
+        match: { owner: new mongoose.Types.ObjectId(userId) },
+        cursor: req.query.cursor,
+        limit: req.query.limit,
+        count: true
+    });
 
     if (!tweets || tweets.length === 0) {
-        return res.status(200).json(new ApiResponse(200, [], "No tweets found for this user"));
+        return res.status(200).json(new ApiResponse(200, [], "No tweets found for this user", pagination));
     }
 
     return res
         .status(200)
-        .json(new ApiResponse(200, tweets, "User tweets fetched successfully"));
+        .json(new ApiResponse(200, tweets, "User tweets fetched successfully", pagination));
 })
 
 const updateTweet = asyncHandler(async (req, res) => {
+    // the tweet exists and the user may modify it, see authorizeResource in tweet.routes.js
     const { tweetId } = req.params
     const { content } = req.body
-    const userId = req.user._id
-
-    if (!isValidObjectId(tweetId)) {
-        throw new ApiError(400, "Invalid tweet ID")
-    }
-    if (!content) {
-        throw new ApiError(400, "Content is required")
-    }
-
-    const tweet = await Tweet.findById(tweetId)
-    if (!tweet) {
-        throw new ApiError(404, "Tweet not found")
-    }
-
-    if (tweet.owner.toString() !== userId.toString()) {
-        throw new ApiError(403, "You are not authorized to update this tweet")
-    }
 
     const updateTweet = await Tweet.findByIdAndUpdate(
         tweetId,
@@ -89,32 +78,42 @@ const updateTweet = asyncHandler(async (req, res) => {
 
 const deleteTweet = asyncHandler(async (req, res) => {
     const { tweetId } = req.params
-    const userId = req.user._id
-    if (!isValidObjectId(tweetId)) {
-        throw new ApiError(400, "Invalid tweet ID")
-    }
-    const tweet = await Tweet.findById(tweetId)
-    if (!tweet) {
-        throw new ApiError(404, "Tweet not found")
-    }
-
-    if (tweet.owner.toString() !== userId.toString()) {
-        throw new ApiError(403, "You are not authorized to delete this tweet")
-    }
 
-    const deletedTweet = await Tweet.findByIdAndDelete(tweetId);
+    // soft delete, the tweet and its likes are purged after the grace period
+    const deletedTweet = await Tweet.findByIdAndUpdate(
+        tweetId,
+        { $set: { deletedAt: new Date() } },
+        { new: true }
+    );
 
     if (!deletedTweet) {
         throw new ApiError(500, "Something went wrong while deleting a tweet");
     }
 
 
-    return res.status(200).json(new ApiResponse(200, deletedTweet, "Tweet deleted successfully"));
+    return res.status(200).json(new ApiResponse(200, {
+        ...deletedTweet.toObject(),
+        restoreDeadline: getRestoreDeadline(deletedTweet.deletedAt)
+    }, `Tweet deleted successfully, it can be restored within ${GRACE_DAYS} days`));
+})
+
+const restoreTweet = asyncHandler(async (req, res) => {
+    const tweet = req.resource
+
+    if (!isRestorable(tweet.deletedAt)) {
+        throw new ApiError(410, "The restore period for this tweet has expired")
+    }
+
+    tweet.deletedAt = null
+    await tweet.save()
+
+    return res.status(200).json(new ApiResponse(200, tweet, "Tweet restored successfully"));
 })
 
 export {
     createTweet,
     getUserTweets,
     updateTweet,
-    deleteTweet
+    deleteTweet,
+    restoreTweet
 }
\ No newline at end of file
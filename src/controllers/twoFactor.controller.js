@@ -0,0 +1,162 @@
+import { User } from "../models/user.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { generateAccessAndRefreshToken } from "../utils/sessions.js"
+import { generateTotpSecret, verifyTotp } from "../utils/totp.js"
+import {
+    findUserWithTwoFactorSecrets,
+    provisioningUri,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    verifyTwoFactorLogin
+} from "../utils/twoFactor.js"
+
+/*
+ Two-factor authentication - Notes:
+
+ 👉 How is it turned on?
+    - POST /users/2fa/setup returns a secret and its otpauth:// URI, the frontend shows the URI as a QR code for the authenticator app.
+    - POST /users/2fa/enable with a code from the app confirms the setup and returns 10 recovery codes, they are shown only this once.
+
+ 👉 How does login work with it?
+    - POST /users/login with the password answers `twoFactorRequired: true` and a `loginToken` instead of tokens.
+    - POST /users/login/2fa with the loginToken and a `code` (or a `recoveryCode`) logs in, within 5 minutes and 5 tries.
+
+ 👉 Why can a code only be used once?
+    - The step of the last accepted code is stored, an older or the same code is refused. Someone looking over the shoulder can't reuse it.
+    - Recovery codes are removed once used, only their sha256 is stored.
+
+ 👉 How is it turned off?
+    - POST /users/2fa/disable with the password and a code or recovery code.
+    - POST /users/2fa/recovery-codes with a code replaces the recovery codes, e.g. when most are used.
+*/
+
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.twoFactor?.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled")
+    }
+
+    // kept aside until a code confirms the app has it
+    const secret = generateTotpSecret()
+    await User.updateOne({ _id: req.user._id }, { $set: { "twoFactor.pendingSecret": secret } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { secret, otpauthUrl: provisioningUri(req.user, secret) }, "Scan the code with your authenticator app and confirm it with a code"))
+})
+
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactorSecrets(req.user._id)
+
+    if (user.twoFactor?.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled")
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Set up two-factor authentication first")
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code)
+    if (step === null) {
+        throw new ApiError(400, "Invalid two-factor code")
+    }
+
+    const { codes, codeHashes } = generateRecoveryCodes()
+
+    const enabled = await User.updateOne(
+        { _id: user._id, "twoFactor.pendingSecret": user.twoFactor.pendingSecret },
+        {
+            $set: {
+                "twoFactor.enabled": true,
+                "twoFactor.secret": user.twoFactor.pendingSecret,
+                "twoFactor.recoveryCodeHashes": codeHashes,
+                "twoFactor.lastUsedStep": step,
+                "twoFactor.enabledAt": new Date()
+            },
+            $unset: { "twoFactor.pendingSecret": 1 }
+        }
+    )
+    if (!enabled.modifiedCount) {
+        throw new ApiError(409, "Two-factor setup changed, set it up again")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "Two-factor authentication enabled, store the recovery codes somewhere safe"))
+})
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body
+
+    const user = await findUserWithTwoFactorSecrets(req.user._id)
+    if (!user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+
+    const isPasswordValid = await user.isPasswordCorrect(password)
+    if (!isPasswordValid) {
+        throw new ApiError(401, "Invalid password")
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { "twoFactor.enabled": false },
+            $unset: {
+                "twoFactor.secret": 1,
+                "twoFactor.pendingSecret": 1,
+                "twoFactor.recoveryCodeHashes": 1,
+                "twoFactor.lastUsedStep": 1,
+                "twoFactor.enabledAt": 1
+            }
+        }
+    )
+
+    return res.status(200).json(new ApiResponse(200, {}, "Two-factor authentication disabled"))
+})
+
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const user = await findUserWithTwoFactorSecrets(req.user._id)
+    if (!user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    const { codes, codeHashes } = generateRecoveryCodes()
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodeHashes": codeHashes } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { recoveryCodes: codes }, "Recovery codes regenerated, the previous ones no longer work"))
+})
+
+const completeTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { loginToken, code, recoveryCode } = req.body
+
+    const user = await verifyTwoFactorLogin(loginToken, { code, recoveryCode })
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req)
+
+    const loggedInUser = await User.findById(user._id).select(
+        "-password -refreshToken"
+    )
+
+    const options = {
+        httpOnly: true,
+        secure: true
+    }
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(new ApiResponse(200, { user: loggedInUser, accessToken, refreshToken }, "User logged in successfully"))
+})
+
+export { setupTwoFactor, enableTwoFactor, disableTwoFactor, regenerateRecoveryCodes, completeTwoFactorLogin }
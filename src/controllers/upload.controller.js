@@ -0,0 +1,213 @@
+import fs from "fs"
+import mongoose from "mongoose"
+import { UploadSession, UPLOAD_SESSION_STATUS } from "../models/uploadSession.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { enqueueVideoProcessing } from "../utils/videoPublishing.js"
+import { resolveVisibility } from "../utils/videoVisibility.js"
+import { parseCategory, parseTags } from "../utils/taxonomy.js"
+import {
+    MAX_VIDEO_SIZE,
+    getTempFilePath,
+    getSessionExpiry,
+    writeChunk,
+    hashFile
+} from "../utils/uploadSessions.js"
+
+/*
+ Resumable uploads - Notes:
+
+ 👉 How does a client upload a large video?
+    1. POST /uploads with the file details and its sha256 checksum -> session id
+    2. PUT /uploads/:sessionId?offset=N with the raw bytes of each chunk, in order
+    3. GET /uploads/:sessionId tells how many bytes arrived, to resume after a dropped connection
+    4. POST /uploads/:sessionId/finalize (optionally with a thumbnail) -> the video is queued for processing
+
+ 👉 Why is the offset required on every chunk?
+    - A chunk is only accepted at the exact offset where the previous one ended.
+    - A retried chunk that already arrived gets a 409 instead of being appended twice.
+*/
+
+const toSessionStatus = (session) => ({
+    _id: session._id,
+    fileName: session.fileName,
+    totalSize: session.totalSize,
+    receivedBytes: session.receivedBytes,
+    status: session.status,
+    video: session.video,
+    error: session.error,
+    expiresAt: session.expiresAt
+})
+
+const initiateUpload = asyncHandler(async (req, res) => {
+    // checked by initiateUploadSchema (validators/upload.validator.js)
+    const { fileName, mimeType, totalSize, checksum, title, description } = req.body
+
+    if (totalSize > MAX_VIDEO_SIZE) {
+        throw new ApiError(413, `Video is larger than the ${MAX_VIDEO_SIZE} bytes limit`)
+    }
+    const { visibility, publishAt } = resolveVisibility(req.body)
+    const category = req.body.category ? parseCategory(req.body.category) : undefined
+    const tags = parseTags(req.body.tags)
+
+    const sessionId = new mongoose.Types.ObjectId()
+    const tempFilePath = getTempFilePath(sessionId)
+    await fs.promises.writeFile(tempFilePath, Buffer.alloc(0))
+
+    const session = await UploadSession.create({
+        _id: sessionId,
+        owner: req.user._id,
+        fileName,
+        mimeType,
+        totalSize,
+        checksum,
+        tempFilePath,
+        title,
+        description,
+        category,
+        tags,
+        visibility,
+        publishAt,
+        expiresAt: getSessionExpiry()
+    })
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, toSessionStatus(session), "Upload session created successfully"))
+})
+
+const uploadChunk = asyncHandler(async (req, res) => {
+    // loaded by authorizeResource, only the owner can upload to a session
+    const session = req.resource
+    const offset = Number(req.query.offset ?? req.get("Upload-Offset"))
+    const chunk = req.body
+
+    if (session.status !== UPLOAD_SESSION_STATUS.UPLOADING) {
+        throw new ApiError(409, `Upload session is ${session.status}`)
+    }
+    if (session.expiresAt < new Date()) {
+        throw new ApiError(410, "Upload session has expired")
+    }
+    if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+        throw new ApiError(400, "Chunk body is empty")
+    }
+    if (!Number.isInteger(offset) || offset !== session.receivedBytes) {
+        throw new ApiError(409, `Chunk offset must be ${session.receivedBytes}`)
+    }
+    if (offset + chunk.length > session.totalSize) {
+        throw new ApiError(400, "Chunk goes past the declared file size")
+    }
+
+    await writeChunk(session.tempFilePath, offset, chunk)
+
+    // only move forward if no other request wrote this offset in the meantime
+    const updatedSession = await UploadSession.findOneAndUpdate(
+        { _id: session._id, receivedBytes: offset, status: UPLOAD_SESSION_STATUS.UPLOADING },
+        { $set: { receivedBytes: offset + chunk.length, expiresAt: getSessionExpiry() } },
+        { new: true }
+    )
+
+    if (!updatedSession) {
+        throw new ApiError(409, "Chunk was already uploaded, check the upload status")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toSessionStatus(updatedSession), "Chunk uploaded successfully"))
+})
+
+const getUploadStatus = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toSessionStatus(req.resource), "Upload status fetched successfully"))
+})
+
+const finalizeUpload = asyncHandler(async (req, res) => {
+    const session = req.resource
+    // optional, the processing job generates one from the video otherwise
+    const thumbnailLocalPath = req.file?.path
+
+    const removeThumbnail = () => thumbnailLocalPath && fs.rmSync(thumbnailLocalPath, { force: true })
+
+    // claim the session so a double submit can't publish the video twice
+    const claimedSession = await UploadSession.findOneAndUpdate(
+        {
+            _id: session._id,
+            status: UPLOAD_SESSION_STATUS.UPLOADING,
+            $expr: { $eq: ["$receivedBytes", "$totalSize"] }
+        },
+        { $set: { status: UPLOAD_SESSION_STATUS.FINALIZING } },
+        { new: true }
+    )
+
+    if (!claimedSession) {
+        removeThumbnail()
+        throw new ApiError(409, session.receivedBytes < session.totalSize
+            ? `Upload is incomplete, ${session.receivedBytes} of ${session.totalSize} bytes received`
+            : `Upload session is ${session.status}`)
+    }
+
+    const failSession = async (message) => {
+        claimedSession.status = UPLOAD_SESSION_STATUS.FAILED
+        claimedSession.error = message
+        await claimedSession.save()
+    }
+
+    const checksum = await hashFile(claimedSession.tempFilePath)
+    if (checksum !== claimedSession.checksum) {
+        removeThumbnail()
+        fs.rmSync(claimedSession.tempFilePath, { force: true })
+        await failSession("Checksum mismatch")
+        throw new ApiError(422, "Uploaded file does not match the checksum, start a new upload")
+    }
+
+    try {
+        const video = await enqueueVideoProcessing({
+            videoFile: { path: claimedSession.tempFilePath, mimeType: claimedSession.mimeType },
+            thumbnail: thumbnailLocalPath ? { path: thumbnailLocalPath, mimeType: req.file.mimetype } : null,
+            title: claimedSession.title,
+            description: claimedSession.description,
+            category: claimedSession.category,
+            tags: claimedSession.tags,
+            owner: claimedSession.owner,
+            duration: req.body.duration,
+            visibility: claimedSession.visibility,
+            publishAt: claimedSession.publishAt,
+        })
+
+        claimedSession.status = UPLOAD_SESSION_STATUS.COMPLETED
+        claimedSession.video = video._id
+        await claimedSession.save()
+
+        return res
+            .status(202)
+            .json(new ApiResponse(202, video, "Video accepted and is being processed"))
+    } catch (error) {
+        await failSession(error?.message || "Publishing failed")
+        throw error
+    }
+})
+
+const cancelUpload = asyncHandler(async (req, res) => {
+    const session = req.resource
+
+    if (session.status === UPLOAD_SESSION_STATUS.FINALIZING) {
+        throw new ApiError(409, "Upload is being finalized and can't be cancelled")
+    }
+
+    await fs.promises.rm(session.tempFilePath, { force: true })
+    await session.deleteOne()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Upload cancelled successfully"))
+})
+
+export {
+    initiateUpload,
+    uploadChunk,
+    getUploadStatus,
+    finalizeUpload,
+    cancelUpload
+}
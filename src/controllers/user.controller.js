@@ -2,34 +2,28 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import mongoose from "mongoose"
 import { ApiError } from "../utils/ApiError.js"
 import { User } from "../models/user.model.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
+import { Video } from "../models/video.model.js"
+import { uploadFile, toAsset } from "../utils/storage/index.js"
+import { removeAssets } from "../utils/assetCleanup.js"
+import { recordWatchHistory } from "../utils/watchHistory.js"
+import { listedVideoMatch, viewableVideoMatch } from "../utils/videoVisibility.js"
+import { syncChannelName } from "../utils/search.js"
+import { paginate } from "../utils/pagination.js"
+import { sendVerificationEmail } from "../utils/accountMails.js"
+import { generateAccessAndRefreshToken, revokeSession, revokeUserSessions, rotateRefreshToken } from "../utils/sessions.js"
+import { SESSION_REVOKE_REASONS } from "../models/session.model.js"
+import { startTwoFactorLogin } from "../utils/twoFactor.js"
+import { clearFailedLogins, getLoginLock, recordFailedLogin } from "../utils/loginLockout.js"
+import { changeUsername, findRenamedChannel, getChannelShowcase, isUsernameTaken } from "../utils/channels.js"
+import { OWNER_PROJECTION } from "../constants.js"
 import { ApiResponse } from "../utils/ApiResponse.js";
-import jwt from "jsonwebtoken"
-
-
-const generateAccessAndRefreshToken = async (userId) => {
-    try {
-        const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
-
-
-        user.refreshToken = refreshToken
-        await user.save({ validateBeforeSave: false }) // save refresh token in db
-
-        return { accessToken, refreshToken }
-
-    } catch (error) {
-        throw new ApiError(500, "Something went wrong while generating tokens")
-    }
-}
 
 const registerUser = asyncHandler(async (req, res) => {
     // get user info from frontend
-    //validation - not empty, email format, password length
+    //validation - not empty, email format, password length (registerUserSchema in validators/user.validator.js)
     // check if user already exists in db: username and email
     // check for images , check for avatar
-    // upload them to cloudnary, avartar url
+    // upload them to storage, avartar url
     // create user object - create entry in db
     // remove password and refresh tocken 
     // check for user creation
@@ -37,48 +31,40 @@ const registerUser = asyncHandler(async (req, res) => {
 
     const { fullName, email, username, password } = req.body
 
-    if (
-        [fullName, email, username, password].some((field) => !field || field?.trim() === "")
-    ) {
-        throw new ApiError(400, "All fields are required")
-    }
-
     const existedUser = await User.findOne({
         $or: [{ username }, { email }]
     })
 
-    if (existedUser) {
+    // old usernames stay reserved for a while, they redirect to the renamed channel
+    if (existedUser || await isUsernameTaken(username)) {
         throw new ApiError(409, "User name or email already extist")
     }
 
-    const avatarLocalPath = req.files?.avatar[0]?.path
-    // const coverImageLocalPath = req.files?.coverImage[0]?.path
+    // the avatar is required by the schema, the cover image is optional
+    const avatarLocalPath = req.files.avatar[0].path
+    const coverImageLocalPath = req.files.coverImage?.[0]?.path
 
-    let coverImageLocalPath;
-    if (req.files && Array.isArray(req.files.coverImage) && req.files.coverImage.length > 0) {
-        coverImageLocalPath = req.files.coverImage[0].path
-    }
-
-    if (!avatarLocalPath) {
-        throw new ApiError(400, "Avatar file is required")
-    }
-
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const avatar = await uploadFile(avatarLocalPath, { folder: "avatars" })
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images" })
 
     if (!avatar) {
-        throw new ApiError(400, "Avatar file is required at cloudnary")
+        throw new ApiError(400, "Error while uploading the avatar")
     }
 
     const user = await User.create({
         fullName,
         avatar: avatar.url,
+        avatarAsset: toAsset(avatar),
         coverImage: coverImage?.url || "",
+        coverImageAsset: toAsset(coverImage),
         email,
         password,
         username: username.toLowerCase()
     })
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id)
+    // the account works right away, the mail lets the user confirm the address
+    await sendVerificationEmail(user).catch((error) => console.error("Verification mail error:", error))
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req)
 
     const userCreated = await User.findById(user._id).select(
         "-password -refreshToken"
@@ -102,26 +88,44 @@ const loginUser = asyncHandler(async (req, res) => {
     // generate access token and refresh token
     //send cookie
 
+    // one of email or username is required by loginUserSchema
     const { email, username, password } = req.body
-
-    if (!username && !email) {
-        throw new ApiError(400, "Email or username is required")
+    const identifier = email || username
+
+    // repeated failures lock the login for longer and longer (utils/loginLockout.js)
+    const lockedUntil = await getLoginLock(identifier, req.ip)
+    if (lockedUntil) {
+        const seconds = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000)
+        res.set("Retry-After", String(seconds))
+        throw new ApiError(429, `Too many failed logins, try again in ${seconds} seconds`)
     }
 
     const user = await User.findOne({
         $or: [{ username }, { email }]
     })
     if (!user) {
+        await recordFailedLogin(identifier, req.ip)
         throw new ApiError(404, "User not found")
     }
 
     const isPasswordValid = await user.isPasswordCorrect(password)
 
     if (!isPasswordValid) {
+        await recordFailedLogin(identifier, req.ip)
         throw new ApiError(401, "Invalid user credentials")
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id)
+    await clearFailedLogins(identifier, req.ip)
+
+    // tokens are only issued once the code is sent to /login/2fa (twoFactor.controller.js)
+    if (user.twoFactor?.enabled) {
+        const loginToken = await startTwoFactorLogin(user)
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { twoFactorRequired: true, loginToken }, "Enter the code of your authenticator app"))
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req)
 
     const loggedInUser = await User.findById(user._id).select(
         "-password -refreshToken"
@@ -142,17 +146,8 @@ const loginUser = asyncHandler(async (req, res) => {
 
 const logoutUser = asyncHandler(async (req, res) => {
 
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1
-            }
-        },
-        {
-            new: true
-        }
-    )
+    // only this device is logged out, see session.controller.js for the others
+    await revokeSession(req.authSession._id, req.user._id, SESSION_REVOKE_REASONS.LOGOUT)
 
     const options = {
         httpOnly: true,
@@ -168,41 +163,29 @@ const logoutUser = asyncHandler(async (req, res) => {
 })
 
 const refreshAccessToken = asyncHandler(async (req, res) => {
-    const incomingRefreshToken = req.headers['refreshtoken'];
+    const incomingRefreshToken = req.headers['refreshtoken'] || req.cookies?.refreshToken;
 
     if (!incomingRefreshToken) {
         throw new ApiError(401, "Unauthorized request")
     }
-    try {
-        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
-
-        const user = await User.findById(decodedToken._id)
-
-        if (!user) {
-            throw new ApiError(401, "Invalid refresh token")
-        }
 
-        if (user.refreshToken !== incomingRefreshToken) {
-            throw new ApiError(401, "Refresh token is expired")
-        }
-        const options = {
-            httpOnly: true,
-            secure: true
-        }
-        const { accessToken, newRefreshToken } = await generateAccessAndRefreshToken(user._id)
+    // every refresh token works once, the response carries the one to use next time
+    const { accessToken, refreshToken } = await rotateRefreshToken(incomingRefreshToken, req)
 
-        return res
-            .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", newRefreshToken, options)
-            .json(new ApiResponse(200, {
-                accessToken,
-                refreshToken: newRefreshToken
-            }, "Access token refreshed successfully"))
-    } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid refresh token")
+    const options = {
+        httpOnly: true,
+        secure: true
     }
 
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(new ApiResponse(200, {
+            accessToken,
+            refreshToken
+        }, "Access token refreshed successfully"))
+
 })
 
 const changeCurrentPassword = asyncHandler(async (req, res) => {
@@ -215,6 +198,8 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     }
     user.password = newPassword
     await user.save({ validateBeforeSave: false })
+    // other devices have to log in with the new password, this one stays logged in
+    await revokeUserSessions(user._id, SESSION_REVOKE_REASONS.PASSWORD_CHANGE, { except: req.authSession._id })
     return res.status(200).json(new ApiResponse(200, {}, "Password changed successfully"))
 })
 
@@ -224,8 +209,17 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 
 const updateAccountDetails = asyncHandler(async (req, res) => {
     const { fullName, email, username } = req.body
-    if (!fullName || !email || !username) {
-        throw new ApiError(400, "All Fields are required")
+    // a new address has to be verified again
+    const emailChanged = email !== req.user.email
+
+    // checked before the username changes, a taken email must not leave a half updated account
+    if (emailChanged && await User.exists({ email, _id: { $ne: req.user._id } })) {
+        throw new ApiError(409, "Email is already in use")
+    }
+
+    // same cooldown and history as PATCH /users/username (channel.controller.js)
+    if (username !== req.user.username) {
+        await changeUsername(req.user, username)
     }
 
     const user = await User.findByIdAndUpdate(
@@ -234,69 +228,72 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
             $set: {
                 fullName: fullName,
                 email: email,
-                username: username
+                ...(emailChanged ? { emailVerified: false } : {})
             }
         }, { new: true }
     ).select("-password")
 
-    return res.status(200).json(new ApiError(200, user, "Account Details Updated Successfully"))
+    if (emailChanged) {
+        await sendVerificationEmail(user).catch((error) => console.error("Verification mail error:", error))
+    }
+
+    // videos are searchable by channel name
+    await syncChannelName(user._id)
+
+    return res.status(200).json(new ApiResponse(200, user, "Account Details Updated Successfully"))
 })
 
 const updateUserAvatar = asyncHandler(async (req, res) => {
-    const avartarLocalPath = req.file?.path
-    if (!avartarLocalPath) {
-        throw new ApiError(400, "Avatar file is missing")
-    }
+    const avartarLocalPath = req.file.path
 
-    const avartar = await uploadOnCloudinary(avartarLocalPath)
+    const avartar = await uploadFile(avartarLocalPath, { folder: "avatars", mimeType: req.file.mimetype })
 
-    if (!avartar.url) {
+    if (!avartar?.url) {
         throw new ApiError(400, "Error while uploading the avatar")
     }
 
-    // delete the old avatar from cloudinary
-
     const user = await User.findByIdAndUpdate(req.user?._id, {
         $set: {
-            avartar: avartar.url
+            avatar: avartar.url,
+            avatarAsset: toAsset(avartar)
         }
     }, { new: true }
     ).select("-password")
 
+    // delete the old avatar from storage, only once the new one is saved
+    removeAssets([req.user.avatarAsset])
+
     return res.status(200).json(new ApiResponse(200, user, "Avatar updated successfully"))
 })
 const updateUserCoverImage = asyncHandler(async (req, res) => {
-    const coverImageLocalPath = req.file?.path
-    if (!coverImageLocalPath) {
-        throw new ApiError(400, "Cover image file is missing")
-    }
+    const coverImageLocalPath = req.file.path
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const coverImage = await uploadFile(coverImageLocalPath, { folder: "cover-images", mimeType: req.file.mimetype })
 
-    if (!coverImage.url) {
+    if (!coverImage?.url) {
         throw new ApiError(400, "Error while uploading the cover image")
     }
 
     const user = await User.findByIdAndUpdate(req.user?._id, {
         $set: {
-            coverImage: coverImage.url
+            coverImage: coverImage.url,
+            coverImageAsset: toAsset(coverImage)
         }
     }, { new: true }
     ).select("-password")
 
+    removeAssets([req.user.coverImageAsset])
+
     return res.status(200).json(new ApiResponse(200, user, "Cover image updated successfully"))
 })
 
 const getUserChannelProfile = asyncHandler(async (req, res) => {
     const { username } = req.params
-    if (!username?.trim()) {
-        throw new ApiError(400, "Username is missing")
-    }
 
     const channel = await User.aggregate([
         {
             $match: {
-                username: username.toLowerCase()
+                username
             }
         },
         {
@@ -315,10 +312,31 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 as: "subscribedTo"
             }
         },
+        {
+            // only public videos count, unless the channel is the user's own
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "owner",
+                as: "videos",
+                pipeline: [
+                    {
+                        $match: {
+                            deletedAt: null,
+                            $or: [listedVideoMatch(), { owner: req.user._id }]
+                        }
+                    },
+                    {
+                        $project: { _id: 1 }
+                    }
+                ]
+            }
+        },
         {
             $addFields: {
                 subscribersCount: { $size: "$subscribers" },
                 subscribedToCount: { $size: "$subscribedTo" },
+                videosCount: { $size: "$videos" },
                 isSubscribed: {
                     $cond: {
                         if: { $in: [req.user._id, "$subscribers.subscriber"] },
@@ -334,67 +352,191 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 username: 1,
                 subscribersCount: 1,
                 subscribedToCount: 1,
+                videosCount: 1,
                 isSubscribed: 1,
                 avatar: 1,
                 coverImage: 1,
-                email: 1
+                email: 1,
+                verified: 1,
+                description: "$channel.description",
+                links: { $ifNull: ["$channel.links", []] },
+                location: "$channel.location",
+                joinedAt: "$createdAt",
+                channel: 1
             }
         }
     ])
 
-    console.log(channel)
-
     if (!channel?.length || channel.length === 0) {
+        // an old handle sends to the channel under its new name, not for good: someone may take it once it is free
+        const renamed = await findRenamedChannel(username)
+        if (renamed) {
+            return res.redirect(302, `${req.baseUrl}/c/${encodeURIComponent(renamed.username)}`)
+        }
         throw new ApiError(404, "Channel not found")
     }
 
-    return res.status(200).json(new ApiResponse(200, channel[0], "Channel profile fetched successfully"))
+    const { channel: settings, ...profile } = channel[0]
+    const showcase = await getChannelShowcase(profile._id, settings)
+
+    return res.status(200).json(new ApiResponse(200, { ...profile, ...showcase }, "Channel profile fetched successfully"))
 
 })
 
 const getWatchHistory = asyncHandler(async (req, res) => {
+    const { cursor, limit = 20 } = req.query
 
-    const user = await User.aggregate([
-        {
-            $match: {
-                _id: new mongoose.Types.ObjectId(req.user._id)
-            }
+    // most recent first, one page at a time (see utils/pagination.js)
+    const { items: history, pagination } = await paginate(User, {
+        match: {
+            _id: new mongoose.Types.ObjectId(req.user._id)
         },
-        {
-            $lookup: {
-                from: "videos",
-                localField: "watchHistory",
-                foreignField: "_id",
-                as: "watchHistory",
-                pipeline: [
-                    {
-                        $lookup: {
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "owner",
-                            pipeline: [
-                                {
-                                    $project: {
-                                        fullName: 1,
-                                        username: 1,
-                                        avatar: 1
+        stages: [
+            {
+                $unwind: "$watchHistory"
+            },
+            {
+                // one entry per video, so the video id identifies the entry
+                $replaceRoot: { newRoot: { $mergeObjects: ["$watchHistory", { _id: "$watchHistory.video" }] } }
+            }
+        ],
+        sort: { field: "watchedAt", order: -1 },
+        cursor,
+        limit,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        {
+                            // videos made private since they were watched drop out of the history
+                            $match: {
+                                deletedAt: null,
+                                ...viewableVideoMatch(req.user)
+                            }
+                        },
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "owner",
+                                pipeline: [
+                                    {
+                                        $project: OWNER_PROJECTION
                                     }
-                                }
-                            ]
-                        }
-                    },
-                    {
-                        $addFields: {
-                            owner: { $first: "$owner" }
+                                ]
+                            }
+                        },
+                        {
+                            $addFields: {
+                                owner: { $first: "$owner" }
+                            }
                         }
-                    }
-                ]
+                    ]
+                }
+            },
+            {
+                $unwind: "$video" // drops entries whose video was deleted
+            },
+            {
+                $replaceRoot: {
+                    newRoot: { $mergeObjects: ["$video", { watchedAt: "$watchedAt", position: "$position" }] }
+                }
             }
+        ]
+    })
+
+    return res.status(200).json(new ApiResponse(200, history, "Watch history fetched successfully", pagination))
+})
+
+const updateWatchPosition = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position } = req.body // seconds
+
+    if (!(await Video.exists({ _id: videoId }))) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    await recordWatchHistory(req.user._id, videoId, position)
+
+    return res.status(200).json(new ApiResponse(200, { videoId, position }, "Watch position updated successfully"))
+})
+
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    await User.findByIdAndUpdate(req.user._id, {
+        $pull: {
+            watchHistory: { video: new mongoose.Types.ObjectId(videoId) }
         }
-    ])
-    console.log(user)
-    return res.status(200).json(new ApiResponse(200, user[0].watchHistory, "Watch history fetched successfully"))
+    })
+
+    return res.status(200).json(new ApiResponse(200, {}, "Video removed from watch history successfully"))
+})
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    await User.findByIdAndUpdate(req.user._id, {
+        $set: {
+            watchHistory: []
+        }
+    })
+
+    return res.status(200).json(new ApiResponse(200, {}, "Watch history cleared successfully"))
+})
+
+const setWatchHistoryPaused = asyncHandler(async (req, res) => {
+    const { paused } = req.body
+
+    await User.findByIdAndUpdate(req.user._id, {
+        $set: {
+            watchHistoryPaused: paused
+        }
+    })
+
+    return res.status(200).json(new ApiResponse(200, { paused }, paused ? "Watch history paused" : "Watch history resumed"))
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { role } = req.body
+
+    // an admin demoting themselves could leave nobody able to grant roles
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot change your own role")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { role } },
+        { new: true }
+    ).select("-password -refreshToken")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, user, "User role updated successfully"))
+})
+
+const updateUserVerified = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+    const { verified } = req.body
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { verified, verifiedAt: verified ? new Date() : null } },
+        { new: true }
+    ).select("-password -refreshToken")
+
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    return res.status(200).json(new ApiResponse(200, user, verified ? "Channel verified" : "Channel verification removed"))
 })
 
-export { registerUser, loginUser, logoutUser, refreshAccessToken, changeCurrentPassword, getCurrentUser, updateAccountDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistory }
\ No newline at end of file
+export { registerUser, loginUser, logoutUser, refreshAccessToken, changeCurrentPassword, getCurrentUser, updateAccountDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistory, updateWatchPosition, removeWatchHistoryEntry, clearWatchHistory, setWatchHistoryPaused, updateUserRole, updateUserVerified }
\ No newline at end of file
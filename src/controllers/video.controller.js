@@ -1,138 +1,139 @@
-import mongoose, { isValidObjectId } from "mongoose"
-import { Video } from "../models/video.model.js"
+import mongoose from "mongoose"
+import { Video, VIDEO_VISIBILITY } from "../models/video.model.js"
+import { JOB_STATUS } from "../models/job.model.js"
 import { User } from "../models/user.model.js"
 import { Like } from "../models/like.model.js"
 import { Subscription } from "../models/subscription.model.js";
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
+import { uploadFile, toAsset } from "../utils/storage/index.js"
+import { removeAssets } from "../utils/assetCleanup.js"
+import { GRACE_DAYS, getRestoreDeadline, isRestorable } from "../utils/contentDeletion.js"
+import { recordWatchHistory } from "../utils/watchHistory.js"
+import { recomputeViewCounts, registerView } from "../utils/viewCounter.js"
+import { enqueueVideoProcessing, getVideoProcessingJob } from "../utils/videoPublishing.js"
+import { canViewVideo, listedVideoMatch, resolveVisibility } from "../utils/videoVisibility.js"
+import { parseSearchFilters, videoFilterMatch } from "../utils/search.js"
+import { getRelatedVideos } from "../utils/recommendations.js"
+import { getTrendingVideos } from "../utils/trending.js"
+import { parseCategory, parseTags } from "../utils/taxonomy.js"
+import { browseVideos, getCategoryCounts } from "../utils/browse.js"
+import { paginate } from "../utils/pagination.js"
+import { notifyVideoPublished } from "../utils/notifications.js"
+import { OWNER_FIELDS } from "../constants.js"
 
 
 const getAllVideos = asyncHandler(async (req, res) => {
     const {
-        page = 1, // Default page number is 1 if not provided
+        cursor, // nextCursor of the previous page, see utils/pagination.js
         limit = 10, // Default limit per page is 10
         query = "", // Default query is an empty string
-        sortBy = "createdAt", // Default sorting field is "createdAt"
+        sortBy = query ? "relevance" : "createdAt", // Best matches first when searching, newest otherwise
         sortType = "desc", // Default sorting order is descending
         userId, // User ID (optional, to filter videos by a specific user)
-    } = req.query;
+    } = req.query; // checked by getAllVideosSchema (validators/video.validator.js)
 
     if (!req.user) {
         throw new ApiError(401, "Unauthorized")
     }
 
+    // owners see all of their own videos, everyone else only public ones
+    const isOwnChannel = userId && userId === req.user._id.toString()
+
+    // duration range and upload date filters, see utils/search.js
+    const filters = await parseSearchFilters({ ...req.query, channel: undefined })
+
     const match = {
-        ...(query ? { title: { $regex: query, $options: "i" } } : {}),
-        ...(userId ? { owner: mongoose.Types.ObjectId(userId) } : {}),
+        // text index on title, tags, channel name and description, no user input in a regex
+        ...(query ? { $text: { $search: query } } : {}),
+        ...(isOwnChannel ? {} : listedVideoMatch()),
+        ...videoFilterMatch(filters),
+        ...(userId ? { owner: new mongoose.Types.ObjectId(userId) } : {}),
     };
 
-    const videos = await Video.aggregate([
-        {
-            $match: match,
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "videosByOwner",
-            },
+    const { items: videos, pagination } = await paginate(Video, {
+        match,
+        stages: query ? [{ $addFields: { score: { $meta: "textScore" } } }] : [],
+        sort: {
+            field: sortBy === "relevance" ? "score" : sortBy,
+            order: sortBy === "relevance" || sortType === "desc" ? -1 : 1,
         },
-        {
-            $project: {
-                thumbnail: 1,
-                title: 1,
-                duration: 1,
-                views: 1,
-                createdAt: 1,
-                owner: {
-                    username: { $ifNull: [{ $arrayElemAt: ["$videosByOwner.username", 0] }, null] },
-                    avatar: { $ifNull: [{ $arrayElemAt: ["$videosByOwner.avatar", 0] }, null] },
+        cursor,
+        limit,
+        // counting a channel's videos is cheap (indexed), counting a text search is not
+        count: Boolean(userId) && !query,
+        pageStages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "videosByOwner",
                 },
-                ownerExists: { $gt: [{ $size: "$videosByOwner" }, 0] }, // Check if owner exists
             },
-        },
-        {
-            $sort: {
-                [sortBy]: sortType === "desc" ? -1 : 1,
+            {
+                $project: {
+                    thumbnail: 1,
+                    title: 1,
+                    duration: 1,
+                    views: 1,
+                    likeCount: 1,
+                    createdAt: 1,
+                    owner: {
+                        username: { $ifNull: [{ $arrayElemAt: ["$videosByOwner.username", 0] }, null] },
+                        avatar: { $ifNull: [{ $arrayElemAt: ["$videosByOwner.avatar", 0] }, null] },
+                        verified: { $ifNull: [{ $arrayElemAt: ["$videosByOwner.verified", 0] }, false] },
+                    },
+                    ownerExists: { $gt: [{ $size: "$videosByOwner" }, 0] }, // Check if owner exists
+                    ...(query ? { score: 1 } : {}),
+                },
             },
-        },
-        {
-            $skip: (page - 1) * parseInt(limit),
-        },
-        {
-            $limit: parseInt(limit),
-        },
-    ]);
+        ],
+    });
 
     if (!videos?.length) {
-        return res.status(200).json(new ApiResponse(200, [], "No videos found"))
+        return res.status(200).json(new ApiResponse(200, [], "No videos found", pagination))
     }
 
     return res.status(200).json(
-        new ApiResponse(200, videos, "Videos fetched successfully")
+        new ApiResponse(200, videos, "Videos fetched successfully", pagination)
     )
 
 })
 
 const publishAVideo = asyncHandler(async (req, res) => {
-    const { title, description, owner } = req.body
-
-    // Validate that the title is not empty
-    if (!title) {
-        throw new ApiError(400, "Title should not be empty");
-    }
-    // Validate that the description is not empty
-    if (!description) {
-        throw new ApiError(400, "Description should not be empty");
-    }
+    const { title, description } = req.body
+    // public by default, can also be draft, private, unlisted or scheduled with a publishAt date
+    const { visibility, publishAt } = resolveVisibility(req.body)
+    // tags can be an array or a comma separated string, category defaults to "other"
+    const category = req.body.category ? parseCategory(req.body.category) : undefined
+    const tags = parseTags(req.body.tags)
 
-    // Extract the video file path from the uploaded files
-    const videoFileLocalPath = req.files?.videoFile[0]?.path;
-    if (!videoFileLocalPath) {
-        throw new ApiError(400, "Video file is required");
-    }
+    // title, description and the video file are required by publishVideoSchema (validators/video.validator.js)
+    const videoFileLocalPath = req.files.videoFile[0].path;
 
-    // Extract the thumbnail file path from the uploaded files
-    const thumbnailLocalPath = req.files?.thumbnail[0]?.path;
-    if (!thumbnailLocalPath) {
-        throw new ApiError(400, "Thumbnail is required");
-    }
+    // The thumbnail is optional, one is generated from the video when it's missing
+    const thumbnailFile = req.files?.thumbnail?.[0];
 
     try {
-        const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-        if (!videoFile) {
-            throw new ApiError(400, "Cloudinary Error: Video file is required");
-        }
-        const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-        if (!thumbnail) {
-            throw new ApiError(400, "Cloudinary Error: Video file is required");
-        }
-
-        const duration = videoFile.duration // Get the duration of the video file
-        if (!duration) {
-            throw new ApiError(400, "Cloudinary Error: not able to get duration");
-        }
-
-        const videoDoc = await Video.create({
-            videoFile: videoFile.url,
-            thumbnail: thumbnail.url,
+        // uploading and processing happen in a background job, see utils/videoPublishing.js
+        const videoDoc = await enqueueVideoProcessing({
+            videoFile: { path: videoFileLocalPath, mimeType: req.files.videoFile[0].mimetype },
+            thumbnail: thumbnailFile ? { path: thumbnailFile.path, mimeType: thumbnailFile.mimetype } : null,
             title,
             description,
+            category,
+            tags,
             owner: req.user?._id,
-            duration,
+            duration: req.body.duration,
+            visibility,
+            publishAt,
         })
 
-        console.log(` Title: ${title}, Owner: ${owner}, duration: ${duration}`);
-
-        if (!videoDoc) {
-            throw new ApiError(500, "Something went wrong while publishing a video");
-        }
         return res
-            .status(201)
-            .json(new ApiResponse(201, videoDoc, "Video published successfully"));
+            .status(202)
+            .json(new ApiResponse(202, videoDoc, "Video accepted and is being processed"));
     } catch (error) {
 
         throw new ApiError(500, error);
@@ -141,13 +142,18 @@ const publishAVideo = asyncHandler(async (req, res) => {
     /*
     Video Publishing Notes:
 
-    👉 Why do we upload the video and thumbnail to Cloudinary?
+    👉 Why do we upload the video and thumbnail to a storage provider?
        - Storing large video files on the server isn't scalable.
-       - Cloudinary provides a CDN, making videos load faster.
+       - Providers like Cloudinary or S3 sit behind a CDN, making videos load faster.
     
     👉 Why store the duration in the database?
        - Duration helps in displaying video length without reprocessing the file.
        - It improves user experience and optimizes video streaming.
+
+    👉 Why answer 202 instead of 201?
+       - Uploading a large video to storage can take minutes, the request shouldn't wait for it.
+       - The video is created in the `processing` state and a job uploads it with retries.
+       - Clients poll GET /videos/:videoId/processing until it's `ready` (or `failed`).
     */
 })
 
@@ -155,21 +161,19 @@ const getVideoAndUpdateViews = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const userId = req.user?._id;
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
-    // Increment view count
-    const video = await Video.findByIdAndUpdate(
-        videoId,
-        { $inc: { views: 1 } },
-        { new: true }
-    ).populate("owner", "-password -refreshToken").lean(); // lean() to allow modifying the object
+    const video = await Video.findById(videoId)
+        .populate("owner", OWNER_FIELDS).lean(); // lean() to allow modifying the object
 
-    if (!video) {
+    // private, draft, scheduled and processing videos are only visible to their owner
+    if (!video || !canViewVideo(req.user, video)) {
         throw new ApiError(404, "Video not found");
     }
 
+    // Increment view count, at most once per viewer per time window
+    if (await registerView(video, req)) {
+        video.views += 1;
+    }
+
     // Step 2: Prepare tasks to run in parallel
     const tasks = [];
 
@@ -206,14 +210,21 @@ const getVideoAndUpdateViews = asyncHandler(async (req, res) => {
 
     tasks.push(subscriberCountPromise);
 
+    // Add the video to the viewer's watch history (skipped while their history is paused)
+    if (userId) {
+        tasks.push(recordWatchHistory(userId, videoId));
+    }
+
     // Step 3: Wait for all tasks
     const [likeDoc, subscriptionDoc, subscriberCount] = await Promise.all(tasks);
 
     const liked = !!likeDoc;
     const isSubscribed = !!subscriptionDoc;
+    // lets the client resume where the viewer left off
+    const watchPosition = req.user?.watchHistory?.find((entry) => entry.video?.toString() === videoId)?.position || 0;
 
     return res.status(200).json(
-        new ApiResponse(200, { ...video, liked, isSubscribed, subscriberCount }, "Video fetched and view count updated")
+        new ApiResponse(200, { ...video, liked, isSubscribed, subscriberCount, watchPosition }, "Video fetched and view count updated")
     );
 });
 
@@ -223,18 +234,34 @@ const updateVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params
     const { title, description } = req.body
 
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID")
-    }
-
     // Create an object to hold updateData for updating title, description and thumbnail(thumbnail will be appended later)
     let updateData = { title, description };
+    // hashtags in the description are picked up by the model
+    if (req.body.category !== undefined) {
+        updateData.category = parseCategory(req.body.category)
+    }
+    if (req.body.tags !== undefined) {
+        updateData.tags = parseTags(req.body.tags)
+    }
+    // req.resource is the video loaded by the authorizeResource middleware
+    const previousThumbnailAsset = req.file ? req.resource?.thumbnailAsset : undefined;
+
+    // Visibility changes (draft, private, unlisted, public or scheduled with publishAt)
+    if (req.body.visibility || req.body.publishAt) {
+        if (req.resource.visibility === VIDEO_VISIBILITY.PROCESSING) {
+            throw new ApiError(409, "Video is still processing")
+        }
+        const { visibility, publishAt } = resolveVisibility(req.body, req.resource.visibility)
+        updateData.visibility = visibility
+        updateData.publishAt = publishAt
+        updateData.isPublished = visibility === VIDEO_VISIBILITY.PUBLIC
+    }
 
     /*
     If a new thumbnail is uploaded:
     - Extract the file path from request.
     - Ensure the file path is valid.
-    - Upload the file to Cloudinary.
+    - Upload the file to the configured storage provider.
     - If the upload is successful, update the thumbnail URL.
   */
     if (req.file) {
@@ -242,12 +269,13 @@ const updateVideo = asyncHandler(async (req, res) => {
         if (!thumbnailLocalPath) {
             throw new ApiError(400, "Thumbnail is required")
         }
-        const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
+        const thumbnail = await uploadFile(thumbnailLocalPath, { folder: "thumbnails", mimeType: req.file.mimetype })
         if (!thumbnail) {
-            throw new ApiError(400, "Cloudinary Error: Thumbnail is required")
+            throw new ApiError(400, "Storage Error: Thumbnail is required")
         }
         // Add the new thumbnail URL to the updateData
         updateData.thumbnail = thumbnail.url
+        updateData.thumbnailAsset = toAsset(thumbnail)
     }
     /*
     Update the video document in the database:
@@ -264,9 +292,18 @@ const updateVideo = asyncHandler(async (req, res) => {
     );
 
     if (!updatedVideo) {
+        removeAssets([updateData.thumbnailAsset])
         throw new ApiError(404, "Video not found");
     }
 
+    // The old thumbnail is only deleted after the new one is saved
+    removeAssets([previousThumbnailAsset])
+
+    // subscribers hear about a video the first time it goes public, not when a public video is edited
+    if (updateData.visibility === VIDEO_VISIBILITY.PUBLIC && req.resource.visibility !== VIDEO_VISIBILITY.PUBLIC) {
+        await notifyVideoPublished(updatedVideo._id).catch((error) => console.error("Notification error:", error))
+    }
+
     // Send a success response with the updated video details.
     return res
         .status(200)
@@ -284,7 +321,7 @@ const updateVideo = asyncHandler(async (req, res) => {
      - Not all updates require a new thumbnail, so we update it only if a new file is provided.
      - This prevents unnecessary file uploads and saves storage space.
   
-  👉 What happens if Cloudinary upload fails?
+  👉 What happens if the storage upload fails?
      - The function throws an error before making any database changes, ensuring data integrity.
      - This prevents storing an invalid or missing thumbnail URL in the database.
   
@@ -299,20 +336,40 @@ const updateVideo = asyncHandler(async (req, res) => {
 
 const deleteVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID")
-    }
-
-    const deletedVideo = await Video.findByIdAndDelete(videoId)
+    // soft delete: likes, comments and files are only purged after the grace period
+    const deletedVideo = await Video.findByIdAndUpdate(
+        videoId,
+        { $set: { deletedAt: new Date() } },
+        { new: true }
+    )
     if (!deletedVideo) {
         throw new ApiError(404, "Video not found")
     }
 
     return res
         .status(200)
-        .json(new ApiResponse(200, deletedVideo, "Video deleted successfully"));
+        .json(new ApiResponse(200, {
+            ...deletedVideo.toObject(),
+            restoreDeadline: getRestoreDeadline(deletedVideo.deletedAt)
+        }, `Video deleted successfully, it can be restored within ${GRACE_DAYS} days`));
+
 
+})
+
+const restoreVideo = asyncHandler(async (req, res) => {
+    // the deleted video is loaded and ownership checked by the authorizeResource middleware
+    const video = req.resource
+
+    if (!isRestorable(video.deletedAt)) {
+        throw new ApiError(410, "The restore period for this video has expired")
+    }
 
+    video.deletedAt = null
+    await video.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, video, "Video restored successfully"));
 })
 
 const togglePublishStatus = asyncHandler(async (req, res) => {
@@ -322,32 +379,36 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
     */
     const { videoId } = req.params;
 
-    // Validate if the provided videoId is a valid MongoDB ObjectId.
-    if (!isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID");
-    }
-
     /*
-      Find the video by its ID.
-      - `findById(videoId)`: Fetches the video document if it exists.
-      - If the video is not found, we throw a 404 error.
+      The video was already loaded by the authorizeResource middleware.
+      - It throws a 404 error if the video is not found.
+      - It throws a 403 error if the user is neither the owner nor a moderator.
     */
-    const video = await Video.findById(videoId);
+    const video = req.resource;
 
-    if (!video) {
-        throw new ApiError(404, "Video not found");
+    // A video can't be published before its processing is done.
+    if (video.visibility === VIDEO_VISIBILITY.PROCESSING) {
+        throw new ApiError(409, "Video is still processing");
     }
 
     /*
-      Toggle the `isPublished` status of the video.
-      - If it's `true`, set it to `false`.
-      - If it's `false`, set it to `true`.
+      Toggle the visibility of the video.
+      - If it's public, make it private.
+      - Otherwise (draft, private, unlisted, scheduled), publish it now.
+      - `isPublished` is kept in sync by the model.
     */
-    video.isPublished = !video.isPublished;
+    video.visibility = video.visibility === VIDEO_VISIBILITY.PUBLIC
+        ? VIDEO_VISIBILITY.PRIVATE
+        : VIDEO_VISIBILITY.PUBLIC;
+    video.publishAt = null;
 
     // Save the updated video status in the database.
     await video.save();
 
+    if (video.visibility === VIDEO_VISIBILITY.PUBLIC) {
+        await notifyVideoPublished(video._id).catch((error) => console.error("Notification error:", error));
+    }
+
     /*
       Send a success response with the updated video details.
       - `video` contains the updated publish status.
@@ -362,15 +423,15 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
   
    Toggling Publish Status Notes:
   
-  👉 What happens when `findById(videoId)` is called?
-     - The function searches the database for a document with the given ID.
-     - If found, it returns the video document.
-     - If not found, we throw a `404` error to indicate the video doesn't exist.
+  👉 Where does `req.resource` come from?
+     - `authorizeResource` in the route runs `findById(videoId)` before this controller.
+     - If found and the user may modify it, the document is attached to the request.
+     - If not found, it throws a `404` error to indicate the video doesn't exist.
   
-  👉 How does toggling `isPublished` work?
-     - `video.isPublished = !video.isPublished;`
-     - This flips the boolean value (`true` → `false`, `false` → `true`).
-     - It effectively acts as a switch between published and unpublished states.
+  👉 How does toggling the publish status work?
+     - A public video becomes private, any other video (draft, unlisted, scheduled...) becomes public.
+     - The pre-save hook of the Video model keeps `isPublished` in sync with `visibility`.
+     - Finer control (unlisted, scheduled with `publishAt`) goes through `updateVideo`.
   
   👉 Why do we call `video.save()`?
      - Changes made to a Mongoose document are not saved automatically.
@@ -379,7 +440,7 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
   👉 Alternative ways to toggle a boolean field in MongoDB?
      - Using Mongoose's update function:
        ```
-       await Video.findByIdAndUpdate(videoId, { $set: { isPublished: !video.isPublished } }, { new: true });
+       await Video.findByIdAndUpdate(videoId, { $set: { visibility, isPublished } }, { new: true });
   
        ```
      - This method is more concise but requires re-fetching the document to get the updated value.
@@ -387,11 +448,91 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
    */
 });
 
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+    // loaded by authorizeResource, only the owner (or a moderator) can see processing details
+    const video = req.resource
+    const job = await getVideoProcessingJob(video._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            videoId: video._id,
+            processingStatus: video.processingStatus,
+            processingError: video.processingError,
+            attempts: job?.attempts ?? 0,
+            maxAttempts: job?.maxAttempts,
+            nextAttemptAt: job?.status === JOB_STATUS.QUEUED ? job.runAt : null
+        }, "Video processing status fetched successfully"));
+})
+
+const recomputeViews = asyncHandler(async (req, res) => {
+    const { videoId } = req.body
+
+    const updated = await recomputeViewCounts(videoId);
+    if (videoId && !updated) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { updated }, "View counts recomputed successfully"));
+})
+
+const getUpNextVideos = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await Video.findById(videoId).select("owner visibility").lean();
+    if (!canViewVideo(req.user, video)) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    // scored offline, see utils/recommendations.js
+    const videos = await getRelatedVideos(video._id, req.user, req.query);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Related videos fetched successfully"));
+})
+
+const getTrending = asyncHandler(async (req, res) => {
+    // `window` is 24h (default), 7d or 30d, the ranking is refreshed by a background worker
+    const { items: videos, pagination } = await getTrendingVideos(req.query);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Trending videos fetched successfully", pagination));
+})
+
+const getVideoCategories = asyncHandler(async (req, res) => {
+    const categories = await getCategoryCounts();
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, categories, "Video categories fetched successfully"));
+})
+
+const getVideosByCategory = asyncHandler(async (req, res) => {
+    const category = parseCategory(req.params.category);
+    // newest first, or most viewed with ?sortBy=views
+    const { items: videos, pagination } = await browseVideos({ category }, req.query);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, videos, "Videos fetched successfully", pagination));
+})
+
 export {
     getAllVideos,
     publishAVideo,
     getVideoAndUpdateViews,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    restoreVideo,
+    togglePublishStatus,
+    getVideoProcessingStatus,
+    recomputeViews,
+    getUpNextVideos,
+    getTrending,
+    getVideoCategories,
+    getVideosByCategory
 }
\ No newline at end of file
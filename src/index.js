@@ -1,6 +1,18 @@
 import 'dotenv/config'
 import connectDB from "./db/index.js";
 import { app } from './app.js';
+import { backfillLegacyViews } from './utils/viewCounter.js';
+import { startAssetCleanupWorker } from './utils/assetCleanup.js';
+import { startContentPurgeWorker } from './utils/contentDeletion.js';
+import { startUploadSessionCleanupWorker } from './utils/uploadSessions.js';
+import { startJobWorker } from './utils/jobQueue.js';
+import { startVideoScheduler } from './utils/videoVisibility.js';
+import { backfillChannelNames } from './utils/search.js';
+import { startRelatedVideosWorker } from './utils/recommendations.js';
+import { startTrendingWorker } from './utils/trending.js';
+import { backfillHashtags } from './utils/browse.js';
+import { startAccountDeletionWorker } from './utils/accountDeletion.js';
+import { backfillSubscribersNotified } from './utils/notifications.js';
 
 connectDB()
     .then(() => {
@@ -10,6 +22,18 @@ connectDB()
         app.listen(process.env.PORT || 8000, () => {
             console.log(`Server is running on port ${process.env.PORT}`)
         })
+        backfillLegacyViews().catch((error) => console.error("View count backfill error:", error))
+        startAssetCleanupWorker()
+        startContentPurgeWorker()
+        startUploadSessionCleanupWorker()
+        startJobWorker()
+        startVideoScheduler()
+        startRelatedVideosWorker()
+        startTrendingWorker()
+        startAccountDeletionWorker()
+        backfillChannelNames().catch((error) => console.error("Channel name backfill error:", error))
+        backfillHashtags().catch((error) => console.error("Hashtag backfill error:", error))
+        backfillSubscribersNotified().catch((error) => console.error("Notification backfill error:", error))
     })
     .catch((error) => console.error("Mongo DB connection error !!", error))
 
@@ -2,10 +2,14 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { findActiveSession, touchSession } from "../utils/sessions.js";
+
+// the access token of a request, from the cookie or the Authorization header
+export const readAccessToken = (req) => req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
 
 export const verifyJWT = asyncHandler(async (req, _, next) => {
     try {
-        const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+        const token = readAccessToken(req)
 
         if (!token) {
             throw new ApiError(401, "Unauthorized request")
@@ -13,13 +17,27 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        // every token belongs to a session, revoking the session logs the token out
+        if (!decodedToken?.sid) {
+            throw new ApiError(401, "Invalid access token")
+        }
+
+        const [user, session] = await Promise.all([
+            User.findById(decodedToken._id).select("-password -refreshToken"),
+            findActiveSession(decodedToken.sid, decodedToken._id)
+        ])
 
         if (!user) {
             throw new ApiError(401, "Invalid access token")
         }
+        if (!session) {
+            throw new ApiError(401, "Session has expired or was revoked")
+        }
+
+        touchSession(session).catch((error) => console.error("Session update error:", error))
 
         req.user = user;
+        req.authSession = session;
         next()
 
     } catch (error) {
@@ -27,4 +45,13 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
         throw new ApiError(401, error?.message || "Invalid access token")
 
     }
-})
\ No newline at end of file
+})
+
+// verifyJWT when the request carries a token, without one it goes on anonymously (`req.user` unset)
+export const optionalJWT = (req, res, next) => {
+    if (!readAccessToken(req)) {
+        return next()
+    }
+    // a token that doesn't verify is still refused, the client should refresh it
+    return verifyJWT(req, res, next)
+}
@@ -0,0 +1,57 @@
+import { isValidObjectId } from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { STAFF_ROLES, canManage, hasRole } from "../utils/permissions.js";
+
+/*
+ Loads the resource named by a route param and checks that req.user may act on it.
+ Must run after verifyJWT. The document is available to the controller as req.resource.
+
+ options:
+  - model: mongoose model to load from
+  - param: route param holding the id (e.g. "videoId")
+  - name: used in error messages (defaults to the model name in lowercase)
+  - ownerField: field holding the owner id (default "owner")
+  - roles: roles allowed to act on resources they don't own (default moderator, admin)
+  - deleted: resolve a soft deleted document instead of a live one (restore routes)
+*/
+const authorizeResource = ({
+    model,
+    param,
+    name = model.modelName.toLowerCase(),
+    ownerField = "owner",
+    roles = STAFF_ROLES,
+    deleted = false
+}) => asyncHandler(async (req, _, next) => {
+    const id = req.params[param]
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, `Invalid ${name} ID`)
+    }
+
+    const resource = deleted
+        ? await model.findOne({ _id: id, deletedAt: { $ne: null } })
+        : await model.findById(id)
+
+    if (!resource) {
+        const label = deleted ? `Deleted ${name}` : name.charAt(0).toUpperCase() + name.slice(1)
+        throw new ApiError(404, `${label} not found`)
+    }
+
+    if (!canManage(req.user, resource, { ownerField, roles })) {
+        throw new ApiError(403, `You are not authorized to modify this ${name}`)
+    }
+
+    req.resource = resource
+    next()
+})
+
+// Only lets users with one of the given roles through. Must run after verifyJWT.
+const requireRole = (...roles) => (req, _, next) => {
+    if (!hasRole(req.user, roles)) {
+        return next(new ApiError(403, "You are not allowed to perform this action"))
+    }
+    next()
+}
+
+export { authorizeResource, requireRole }
@@ -0,0 +1,88 @@
+import jwt from "jsonwebtoken";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { getRateLimitStore } from "../utils/rateLimit/index.js";
+import { readAccessToken } from "./auth.middleware.js";
+
+// The user of a valid access token, without loading it: limiters run before verifyJWT
+const requestUserId = (req) => {
+    const token = readAccessToken(req)
+    if (!token) return null
+    try {
+        return jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)?._id ?? null
+    } catch (error) {
+        return null
+    }
+}
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000))
+
+/*
+ Limits how often clients can call the routes it is mounted on, answering 429 over the limit.
+ app.js sets one per route group, a request counts against every limiter of its path.
+
+ options:
+  - name: prefix of the bucket keys, limiters with different names count separately
+  - windowMs: length of a counting window
+  - perIp: requests per window from one IP
+  - perUser: requests per window from one logged in user, whatever the IP (needs a valid access token)
+  - methods: only requests with these methods count, e.g. writes (all by default)
+  - message: of the 429 error
+
+ The answer carries RateLimit-Limit / -Remaining / -Reset headers of the closest limit.
+ When the store fails, requests are let through: a broken limiter shouldn't take the api down.
+*/
+const rateLimit = ({
+    name,
+    windowMs,
+    perIp,
+    perUser,
+    methods,
+    message = "Too many requests, try again later"
+}) => asyncHandler(async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === "false" || (methods && !methods.includes(req.method))) {
+        return next()
+    }
+
+    const userId = perUser ? requestUserId(req) : null
+    const buckets = [
+        perIp && { key: `${name}:ip:${req.ip}`, max: perIp },
+        perUser && userId && { key: `${name}:user:${userId}`, max: perUser }
+    ].filter(Boolean)
+
+    let counts
+    try {
+        const store = getRateLimitStore()
+        counts = await Promise.all(buckets.map(({ key }) => store.increment(key, windowMs)))
+    } catch (error) {
+        console.error("Rate limit store error:", error)
+        return next()
+    }
+
+    const states = buckets.map(({ max }, index) => ({
+        max,
+        remaining: Math.max(0, max - counts[index].count),
+        resetAt: counts[index].resetAt,
+        exceeded: counts[index].count > max
+    }))
+    const closest = states.reduce((closest, state) => (state.remaining < closest.remaining ? state : closest), states[0])
+    if (!closest) return next()
+
+    res.set({
+        "RateLimit-Limit": String(closest.max),
+        "RateLimit-Remaining": String(closest.remaining),
+        "RateLimit-Reset": String(secondsUntil(closest.resetAt))
+    })
+
+    const exceeded = states.filter((state) => state.exceeded)
+    if (exceeded.length) {
+        // every exceeded bucket has to reset before the next request goes through
+        const retryAfter = Math.max(...exceeded.map((state) => secondsUntil(state.resetAt)))
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, message)
+    }
+
+    next()
+})
+
+export { rateLimit }
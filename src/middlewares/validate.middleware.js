@@ -0,0 +1,28 @@
+import { ApiError } from "../utils/ApiError.js";
+import { removeLocalFile } from "../utils/storage/index.js";
+import { collectFiles, validateRequest } from "../utils/validation.js";
+
+/*
+ Validates params, query, body and files against a schema (see utils/validation.js) and puts the
+ parsed values back on the request, so controllers get numbers, booleans and trimmed strings.
+ Invalid requests get a 400 with one entry per bad field in `errors`:
+   { location: "body", field: "email", message: "email must be a valid email address" }
+ Must run after multer on upload routes, the body of a multipart request is only parsed there.
+*/
+const validate = (schema) => (req, _, next) => {
+    const { values, errors } = validateRequest(schema, req)
+
+    if (errors.length) {
+        // the request stops here, multer's temp files would never be uploaded or removed
+        Object.values(collectFiles(req)).flat().forEach((uploaded) => removeLocalFile(uploaded.path))
+        return next(new ApiError(400, errors[0].message, errors))
+    }
+
+    // express 4 lets us replace query, params and body
+    req.params = values.params
+    req.query = values.query
+    req.body = values.body
+    next()
+}
+
+export { validate }
@@ -0,0 +1,16 @@
+import { Schema } from "mongoose";
+
+// Identifies a file on the storage provider so it can be deleted later
+export const assetSchema = new Schema({
+    publicId: {
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    resourceType: {
+        type: String // "video" or "image", cloudinary needs it to delete
+    }
+}, { _id: false })
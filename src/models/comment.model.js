@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { softDeletePlugin } from "./softDelete.plugin.js";
 
 const commentSchema = new mongoose.Schema({
     content: {
@@ -22,5 +23,10 @@ const commentSchema = new mongoose.Schema({
 }, { timestamps: true })
 
 
+// comment and reply lists, paginated by utils/pagination.js
+commentSchema.index({ video: 1, parentComment: 1, createdAt: -1 })
+commentSchema.index({ parentComment: 1, createdAt: -1 })
+
+commentSchema.plugin(softDeletePlugin)
 commentSchema.plugin(mongooseAggregatePaginate)
 export const Comment = mongoose.model("Comment", commentSchema)
\ No newline at end of file
@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose"
+
+// Storage assets we could not delete after the in-process retries,
+// picked up again by the asset cleanup worker
+const failedDeletionSchema = new Schema({
+    publicId: {
+        type: String,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    resourceType: {
+        type: String
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String
+    },
+    lastAttemptAt: {
+        type: Date
+    }
+}, { timestamps: true })
+
+failedDeletionSchema.index({ publicId: 1, provider: 1 }, { unique: true })
+
+export const FailedDeletion = mongoose.model("FailedDeletion", failedDeletionSchema)
@@ -0,0 +1,30 @@
+import { parseHashtags } from "../utils/taxonomy.js";
+
+// Keeps `hashtags` in sync with the text in `sourceField` (tweet content, video description)
+// on save and on findOneAndUpdate / updateOne.
+export const hashtagsPlugin = (schema, { sourceField }) => {
+    schema.add({
+        hashtags: {
+            type: [String],
+            index: true
+        }
+    })
+
+    schema.pre("save", function (next) {
+        if (this.isNew || this.isModified(sourceField)) {
+            this.hashtags = parseHashtags(this.get(sourceField))
+        }
+        next()
+    })
+
+    const syncUpdate = function (next) {
+        const update = this.getUpdate() || {}
+        const text = update.$set?.[sourceField] ?? update[sourceField]
+        if (text !== undefined) {
+            this.set("hashtags", parseHashtags(text))
+        }
+        next()
+    }
+    schema.pre("findOneAndUpdate", syncUpdate)
+    schema.pre("updateOne", syncUpdate)
+}
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose"
+
+export const JOB_STATUS = {
+    QUEUED: "queued",
+    RUNNING: "running",
+    COMPLETED: "completed",
+    FAILED: "failed"
+}
+
+// Background work picked up by the job worker, see utils/jobQueue.js
+const jobSchema = new Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: Object.values(JOB_STATUS),
+        default: JOB_STATUS.QUEUED
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    runAt: {
+        type: Date, // not picked up before this time, used for retry backoff
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    completedAt: {
+        type: Date
+    }
+}, { timestamps: true })
+
+jobSchema.index({ status: 1, runAt: 1 })
+
+export const Job = mongoose.model("Job", jobSchema)
@@ -21,4 +21,7 @@ const likeSchema = new Schema({
 }, { timestamps: true }
 )
 
+// liked videos of a user, paginated by utils/pagination.js
+likeSchema.index({ likedBy: 1, createdAt: -1 })
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
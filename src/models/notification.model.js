@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose"
+
+export const NOTIFICATION_TYPES = {
+    NEW_VIDEO: "new_video", // a subscribed channel published a video
+    NEW_TWEET: "new_tweet", // a subscribed channel tweeted
+    COMMENT_REPLY: "comment_reply",
+    LIKE: "like", // of a video, comment or tweet of the recipient
+    NEW_SUBSCRIBER: "new_subscriber"
+}
+
+// kept this long, read or not
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS || "90")
+
+// One inbox entry, created by utils/notifications.js
+const notificationSchema = new Schema({
+    recipient: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    type: {
+        type: String,
+        enum: Object.values(NOTIFICATION_TYPES),
+        required: true
+    },
+    // who did it: the channel, the one replying, liking or subscribing
+    actor: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // what it is about, depending on the type
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video"
+    },
+    tweet: {
+        type: Schema.Types.ObjectId,
+        ref: "Tweet"
+    },
+    comment: {
+        type: Schema.Types.ObjectId,
+        ref: "Comment"
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true })
+
+// the inbox, paginated by utils/pagination.js, and its unread count
+notificationSchema.index({ recipient: 1, createdAt: -1 })
+notificationSchema.index({ recipient: 1, readAt: 1 })
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 })
+
+export const Notification = mongoose.model("Notification", notificationSchema)
@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose"
+
+/*
+ An account of a login provider (google, github, ...) linked to a user, see utils/oauth/.
+ A provider account belongs to one user, a user has at most one account per provider.
+*/
+const oauthAccountSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerUserId: {
+        type: String, // the id the provider gives the account, emails and names can change
+        required: true
+    },
+    email: {
+        type: String
+    },
+    displayName: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true })
+
+oauthAccountSchema.index({ provider: 1, providerUserId: 1 }, { unique: true })
+oauthAccountSchema.index({ user: 1, provider: 1 }, { unique: true })
+
+export const OAuthAccount = mongoose.model("OAuthAccount", oauthAccountSchema)
@@ -22,4 +22,11 @@ const playlistSchema = new Schema({
 
 }, { timestamps: true })
 
+// user playlist lists, paginated by utils/pagination.js
+playlistSchema.index({ owner: 1, createdAt: -1 })
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { name: "playlist_text", weights: { name: 5, description: 1 } }
+)
+
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
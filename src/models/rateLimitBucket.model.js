@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose"
+
+// A counter of the mongo rate limit store (utils/rateLimit/mongo.store.js)
+const rateLimitBucketSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // the window ends here, the next hit starts a new one
+    resetAt: {
+        type: Date,
+        required: true
+    },
+    lastHitAt: {
+        type: Date
+    }
+})
+
+// buckets are removed by mongo once their window ended
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+export const RateLimitBucket = mongoose.model("RateLimitBucket", rateLimitBucketSchema)
@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose"
+
+// Precomputed "up next" candidates of a video, best first (see utils/recommendations.js)
+const relatedVideosSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true,
+        unique: true
+    },
+    related: [{
+        _id: false,
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video"
+        },
+        score: {
+            type: Number
+        }
+    }],
+    computedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+})
+
+export const RelatedVideos = mongoose.model("RelatedVideos", relatedVideosSchema)
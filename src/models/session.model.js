@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose"
+
+export const SESSION_REVOKE_REASONS = {
+    LOGOUT: "logout",
+    REVOKED: "revoked", // by the user, from the list of their sessions
+    PASSWORD_CHANGE: "password_change",
+    PASSWORD_RESET: "password_reset",
+    TOKEN_REUSE: "token_reuse"
+}
+
+/*
+ One login on one device. The session holds the id (jti) of the only refresh token that may
+ still be used, every refresh replaces it (see utils/sessions.js). All refresh tokens of a
+ session form a family: a replaced token coming back means it was stolen, and the whole
+ session is revoked.
+*/
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    tokenId: {
+        type: String,
+        required: true
+    },
+    device: {
+        type: String // e.g. "Chrome on Windows", read from the user agent
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date, // expiry of the current refresh token
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: Object.values(SESSION_REVOKE_REASONS)
+    }
+}, { timestamps: true })
+
+// sessions are removed by mongo once their refresh token expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
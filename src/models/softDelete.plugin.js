@@ -0,0 +1,32 @@
+// Adds a `deletedAt` field and hides soft deleted documents from find, findOne,
+// findOneAndUpdate, countDocuments and aggregate. A query that mentions `deletedAt`
+// itself, or sets the `withDeleted` option, sees every document.
+export const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        }
+    })
+
+    schema.pre(["find", "findOne", "findOneAndUpdate", "countDocuments"], function () {
+        if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return
+        this.where({ deletedAt: null })
+    })
+
+    schema.pre("aggregate", function () {
+        if (this.options.withDeleted) return
+        const pipeline = this.pipeline()
+        const firstStage = pipeline[0]
+
+        // merge into a leading $match so stages that must come first ($text) stay first
+        if (firstStage?.$match) {
+            if (!("deletedAt" in firstStage.$match)) {
+                firstStage.$match = { ...firstStage.$match, deletedAt: null }
+            }
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } })
+        }
+    })
+}
@@ -1,5 +1,12 @@
 import mongoose, { Schema } from "mongoose"
 
+// the bell of a subscription, see utils/notifications.js
+export const SUBSCRIPTION_NOTIFICATION_LEVELS = {
+    ALL: "all", // every video and tweet
+    PERSONALIZED: "personalized", // videos, while the subscriber is watching the channel
+    NONE: "none"
+}
+
 const subscriptionSchema = new Schema({
     subscriber: {
         type: Schema.Types.ObjectId, // one who is subscribing
@@ -8,10 +15,19 @@ const subscriptionSchema = new Schema({
     channel: {
         type: Schema.Types.ObjectId, // channel being subscribed to
         ref: "User"
+    },
+    notifications: {
+        type: String,
+        enum: Object.values(SUBSCRIPTION_NOTIFICATION_LEVELS),
+        default: SUBSCRIPTION_NOTIFICATION_LEVELS.PERSONALIZED
     }
 
 }, {
     timestamps: true
 })
 
+// subscriber and subscription lists, paginated by utils/pagination.js
+subscriptionSchema.index({ channel: 1, createdAt: -1 })
+subscriptionSchema.index({ subscriber: 1, createdAt: -1 })
+
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -0,0 +1,48 @@
+import mongoose, { Schema } from "mongoose"
+
+export const TRENDING_WINDOWS = {
+    DAY: "24h",
+    WEEK: "7d",
+    MONTH: "30d"
+}
+
+// One ranked entry per video and window, replaced on every trending refresh
+const trendingVideoSchema = new Schema({
+    window: {
+        type: String,
+        enum: Object.values(TRENDING_WINDOWS),
+        required: true
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    rank: {
+        type: Number,
+        required: true
+    },
+    score: {
+        type: Number
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    },
+    computedAt: {
+        type: Date,
+        required: true
+    }
+})
+
+trendingVideoSchema.index({ window: 1, computedAt: 1, rank: 1 })
+
+export const TrendingVideo = mongoose.model("TrendingVideo", trendingVideoSchema)
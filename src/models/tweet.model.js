@@ -1,4 +1,6 @@
 import mongoose, { Schema } from "mongoose";
+import { softDeletePlugin } from "./softDelete.plugin.js";
+import { hashtagsPlugin } from "./hashtags.plugin.js";
 
 const tweetSchema = new Schema({
 
@@ -12,5 +14,10 @@ const tweetSchema = new Schema({
     }
 }, { timestamps: true })
 
+// user tweet lists, paginated by utils/pagination.js
+tweetSchema.index({ owner: 1, createdAt: -1 })
+tweetSchema.index({ content: "text" }, { name: "tweet_text" })
 
+tweetSchema.plugin(softDeletePlugin)
+tweetSchema.plugin(hashtagsPlugin, { sourceField: "content" })
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
@@ -0,0 +1,81 @@
+import mongoose, { Schema } from "mongoose"
+
+export const UPLOAD_SESSION_STATUS = {
+    UPLOADING: "uploading",
+    FINALIZING: "finalizing",
+    COMPLETED: "completed",
+    FAILED: "failed"
+}
+
+// A resumable video upload: chunks are appended to `tempFilePath` until `receivedBytes === totalSize`
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    totalSize: {
+        type: Number,
+        required: true
+    },
+    checksum: {
+        type: String, // sha256 of the whole file, hex encoded
+        required: true,
+        lowercase: true
+    },
+    receivedBytes: {
+        type: Number,
+        default: 0
+    },
+    tempFilePath: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: Object.values(UPLOAD_SESSION_STATUS),
+        default: UPLOAD_SESSION_STATUS.UPLOADING
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String // validated with parseCategory when the session is created
+    },
+    tags: [{
+        type: String
+    }],
+    visibility: {
+        type: String // validated with resolveVisibility when the session is created
+    },
+    publishAt: {
+        type: Date
+    },
+    video: {
+        type: Schema.Types.ObjectId, // set once the upload is finalized
+        ref: "Video"
+    },
+    error: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, { timestamps: true })
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
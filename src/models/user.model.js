@@ -1,6 +1,15 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import { assetSchema } from "./asset.schema.js";
+import { USER_ROLES } from "../constants.js";
+
+// kinds of the sections pinned on a channel page, resolved by utils/channels.js
+export const CHANNEL_SECTION_TYPES = {
+    RECENT_VIDEOS: "recent_videos",
+    POPULAR_VIDEOS: "popular_videos",
+    PLAYLIST: "playlist"
+}
 
 const userSchema = new Schema(
     {
@@ -19,6 +28,11 @@ const userSchema = new Schema(
             lowercase: true,
             trim: true,
         },
+        // set once the user opened the link of the verification mail, cleared when the email changes
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
         fullName: {
             type: String,
             required: true,
@@ -26,23 +40,154 @@ const userSchema = new Schema(
             index: true
         },
         avatar: {
-            type: String, // cloudinary url
+            type: String, // storage provider url
             required: true,
             default: "https://www.gravatar.com/avatar/000?d=mp"
         },
         coverImage: {
-            type: String, // cloudinary url
+            type: String, // storage provider url
+        },
+        avatarAsset: {
+            type: assetSchema
+        },
+        coverImageAsset: {
+            type: assetSchema
         },
+        // most recent first, one entry per video, capped (see utils/watchHistory.js)
         watchHistory: [{
-            type: Schema.Types.ObjectId,
-            ref: "Video"
+            _id: false,
+            video: {
+                type: Schema.Types.ObjectId,
+                ref: "Video"
+            },
+            watchedAt: {
+                type: Date,
+                default: Date.now
+            },
+            position: {
+                type: Number, // last playback position in seconds
+                default: 0
+            }
         }],
+        watchHistoryPaused: {
+            type: Boolean,
+            default: false
+        },
+        // previous handles, they redirect to the channel (utils/channels.js)
+        usernameHistory: [{
+            _id: false,
+            username: {
+                type: String,
+                lowercase: true
+            },
+            changedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        usernameChangedAt: {
+            type: Date
+        },
+        // granted by admins, shown next to the name wherever the user is embedded as an owner
+        verified: {
+            type: Boolean,
+            default: false
+        },
+        verifiedAt: {
+            type: Date
+        },
+        // what the channel page shows besides the videos, edited with PATCH /users/channel
+        channel: {
+            description: {
+                type: String,
+                trim: true,
+                maxlength: 5000
+            },
+            links: [{
+                _id: false,
+                title: {
+                    type: String,
+                    trim: true
+                },
+                url: {
+                    type: String,
+                    trim: true
+                }
+            }],
+            location: {
+                type: String,
+                trim: true
+            },
+            // featured is shown to subscribers, the trailer to everyone else
+            featuredVideo: {
+                type: Schema.Types.ObjectId,
+                ref: "Video"
+            },
+            trailerVideo: {
+                type: Schema.Types.ObjectId,
+                ref: "Video"
+            },
+            sections: [{
+                _id: false,
+                type: {
+                    type: String,
+                    enum: Object.values(CHANNEL_SECTION_TYPES)
+                },
+                title: {
+                    type: String,
+                    trim: true
+                },
+                playlist: {
+                    type: Schema.Types.ObjectId,
+                    ref: "Playlist"
+                }
+            }]
+        },
+        // missing for accounts created with a login provider (utils/oauthAccounts.js),
+        // they can set one through the password reset
         password: {
             type: String,
-            required: [true, "Password is required"],
         },
-        refreshToken: {
+        role: {
             type: String,
+            enum: Object.values(USER_ROLES),
+            default: USER_ROLES.USER
+        },
+        // set while the account waits for its deletion (utils/accountDeletion.js), cleared when it is cancelled
+        deletionScheduledFor: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        // TOTP two-factor authentication (utils/twoFactor.js), the secrets are only loaded on purpose
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            // set up but not confirmed with a code yet
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            // sha256 of the unused recovery codes
+            recoveryCodeHashes: {
+                type: [String],
+                select: false,
+                default: undefined
+            },
+            // step of the last accepted code, a code works once
+            lastUsedStep: {
+                type: Number,
+                select: false
+            },
+            enabledAt: {
+                type: Date
+            }
         }
 
     },
@@ -51,6 +196,15 @@ const userSchema = new Schema(
     }
 )
 
+// redirects from old handles
+userSchema.index({ "usernameHistory.username": 1 })
+
+// channel search (utils/search.js)
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { name: "user_text", weights: { username: 5, fullName: 5 } }
+)
+
 userSchema.pre("save", async function (next) {
 
     if (!this.isModified("password")) return next()
@@ -61,16 +215,19 @@ userSchema.pre("save", async function (next) {
 })
 
 userSchema.methods.isPasswordCorrect = async function (password) {
+    if (!this.password) return false
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+// `sessionId` ties the token to a login (models/session.model.js), verifyJWT rejects it once the session is revoked
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             username: this.username,
             fullName: this.fullName,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -78,10 +235,13 @@ userSchema.methods.generateAccessToken = function () {
         }
     )
 }
-userSchema.methods.generateRefreshToken = function () {
+// `tokenId` (jti) identifies this token within its session, see utils/sessions.js
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
     return jwt.sign(
         {
-            _id: this._id
+            _id: this._id,
+            sid: sessionId,
+            jti: tokenId
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
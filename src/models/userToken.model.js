@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose"
+
+export const USER_TOKEN_PURPOSES = {
+    EMAIL_VERIFICATION: "email_verification",
+    PASSWORD_RESET: "password_reset",
+    TWO_FACTOR_LOGIN: "two_factor_login"
+}
+
+/*
+ Single use tokens mailed to users (see utils/userTokens.js), and the tokens of logins waiting
+ for their two-factor code (utils/twoFactor.js).
+ Only the sha256 of a token is stored, a leaked database can't be used to reset passwords.
+*/
+const userTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.values(USER_TOKEN_PURPOSES),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String, // the address the token was sent to, a changed email invalidates it
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // wrong codes entered for a two-factor login
+    attempts: {
+        type: Number,
+        default: 0
+    }
+}, { timestamps: true })
+
+// expired tokens are removed by mongo
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema)
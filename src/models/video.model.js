@@ -1,16 +1,47 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.schema.js";
+import { softDeletePlugin } from "./softDelete.plugin.js";
+import { hashtagsPlugin } from "./hashtags.plugin.js";
+import { VIDEO_CATEGORIES } from "../constants.js";
+
+export const VIDEO_PROCESSING_STATUS = {
+    PROCESSING: "processing",
+    READY: "ready",
+    FAILED: "failed"
+}
+
+// lifecycle of a video, only `public` videos are listed in feeds, search and channel pages
+export const VIDEO_VISIBILITY = {
+    DRAFT: "draft",
+    PROCESSING: "processing",
+    SCHEDULED: "scheduled", // becomes public at `publishAt`
+    UNLISTED: "unlisted", // anyone with the link can watch it
+    PRIVATE: "private", // only the owner
+    PUBLIC: "public"
+}
+
+// files and duration only exist once background processing is done (utils/videoPublishing.js)
+const isProcessed = function () {
+    return this.processingStatus === VIDEO_PROCESSING_STATUS.READY
+}
 
 const videoSchema = new Schema(
 
     {
         videoFile: {
             type: String,
-            required: true
+            required: isProcessed
         },
         thumbnail: {
             type: String,
-            required: true
+            required: isProcessed
+        },
+        videoFileAsset: {
+            type: assetSchema
+        },
+        thumbnailAsset: {
+            type: assetSchema
         },
         title: {
             type: String,
@@ -20,22 +51,66 @@ const videoSchema = new Schema(
             type: String,
             required: true
         },
+        category: {
+            type: String,
+            enum: VIDEO_CATEGORIES,
+            default: "other",
+            index: true
+        },
+        tags: {
+            type: [{
+                type: String,
+                lowercase: true,
+                trim: true
+            }],
+            index: true
+        },
+        // owner's "fullName username", copied here so the text index can match the channel name
+        channelName: {
+            type: String
+        },
         duration: {
             type: Number,
-            required: true
+            required: isProcessed
         },
         views: {
             type: Number,
             default: 0
         },
+        // views counted before view events were stored, see utils/viewCounter.js
+        legacyViews: {
+            type: Number,
+            default: 0
+        },
         likeCount: {
             type: Number,
             default: 0,
         },
+        visibility: {
+            type: String,
+            enum: Object.values(VIDEO_VISIBILITY),
+            default: VIDEO_VISIBILITY.PUBLIC,
+            index: true
+        },
+        publishAt: {
+            type: Date // only used by scheduled videos
+        },
+        // set when it first went public and the subscribers were notified (utils/notifications.js)
+        subscribersNotifiedAt: {
+            type: Date
+        },
         isPublished: {
-            type: Boolean,
+            type: Boolean, // kept in sync with visibility for older clients
             default: true
         },
+        processingStatus: {
+            type: String,
+            enum: Object.values(VIDEO_PROCESSING_STATUS),
+            default: VIDEO_PROCESSING_STATUS.READY
+        },
+        processingError: {
+            type: String
+        },
         owner: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User"
@@ -47,5 +122,23 @@ const videoSchema = new Schema(
     }
 )
 
+videoSchema.pre("save", function (next) {
+    if (this.isNew || this.isModified("visibility")) {
+        this.isPublished = this.visibility === VIDEO_VISIBILITY.PUBLIC
+    }
+    next()
+})
+
+// channel video lists, paginated by utils/pagination.js
+videoSchema.index({ owner: 1, createdAt: -1 })
+
+// full-text search (utils/search.js), a collection can only have one text index
+videoSchema.index(
+    { title: "text", tags: "text", channelName: "text", description: "text" },
+    { name: "video_text", weights: { title: 10, tags: 5, channelName: 3, description: 1 } }
+)
+
+videoSchema.plugin(softDeletePlugin)
+videoSchema.plugin(hashtagsPlugin, { sourceField: "description" })
 videoSchema.plugin(mongooseAggregatePaginate)
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
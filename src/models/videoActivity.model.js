@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose"
+
+// Views, likes and comments a video got during one hour, rebuilt from the event collections (utils/trending.js)
+const videoActivitySchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    hour: {
+        type: Date, // start of the hour
+        required: true
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    likes: {
+        type: Number,
+        default: 0
+    },
+    comments: {
+        type: Number,
+        default: 0
+    }
+})
+
+videoActivitySchema.index({ video: 1, hour: 1 }, { unique: true })
+// buckets are only needed for the longest trending window
+videoActivitySchema.index({ hour: 1 }, { expireAfterSeconds: 35 * 24 * 60 * 60 })
+
+export const VideoActivity = mongoose.model("VideoActivity", videoActivitySchema)
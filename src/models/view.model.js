@@ -0,0 +1,27 @@
+import mongoose, { Schema } from "mongoose"
+
+// One document per counted view, Video.views is the running total of these
+const viewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true
+    },
+    viewer: {
+        type: Schema.Types.ObjectId, // null for anonymous viewers
+        ref: "User",
+        default: null
+    },
+    fingerprint: {
+        type: String // hash of ip + user agent, only set for anonymous viewers
+    },
+    dedupeKey: {
+        type: String, // video + viewer + time window, see utils/viewCounter.js
+        required: true,
+        unique: true
+    }
+}, { timestamps: true })
+
+viewSchema.index({ video: 1, createdAt: -1 })
+
+export const View = mongoose.model("View", viewSchema)
@@ -4,26 +4,44 @@ import {
     deleteComment,
     getVideoComments,
     updateComment,
-    getCommentReplies
+    getCommentReplies,
+    restoreComment
 } from "../controllers/comment.controller.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorizeResource } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { Comment } from "../models/comment.model.js";
+import {
+    addCommentSchema,
+    commentRepliesSchema,
+    commentSchema,
+    updateCommentSchema,
+    videoCommentsSchema
+} from "../validators/comment.validator.js";
 
 const router = Router();
 
 router.use(verifyJWT);
 
+const authorizeComment = authorizeResource({ model: Comment, param: "commentId" });
+const authorizeDeletedComment = authorizeResource({ model: Comment, param: "commentId", deleted: true });
+
 // Get all top-level comments for a video OR post a new comment/reply
 router.route("/:videoId")
-    .get(getVideoComments)
-    .post(addComment);
+    .get(validate(videoCommentsSchema), getVideoComments)
+    .post(validate(addCommentSchema), addComment);
 
 // Update or delete a specific comment
 router.route("/c/:commentId")
-    .patch(updateComment)
-    .delete(deleteComment);
+    .patch(validate(updateCommentSchema), authorizeComment, updateComment)
+    .delete(validate(commentSchema), authorizeComment, deleteComment);
 
 // ✅ New route: Get paginated replies for a comment
 router.route("/replies/:commentId")
-    .get(getCommentReplies);
+    .get(validate(commentRepliesSchema), getCommentReplies);
+
+// Restore a deleted comment (and its replies) during the grace period
+router.route("/restore/:commentId")
+    .patch(validate(commentSchema), authorizeDeletedComment, restoreComment);
 
 export default router;
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { getHomeFeedVideos, getSubscriptionsFeed } from "../controllers/feed.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { feedSchema } from "../validators/feed.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/home").get(validate(feedSchema), getHomeFeedVideos);
+router.route("/subscriptions").get(validate(feedSchema), getSubscriptionsFeed);
+
+export default router
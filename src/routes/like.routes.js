@@ -6,13 +6,15 @@ import {
     toggleTweetLike,
 } from "../controllers/like.controller.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { commentLikeSchema, likedVideosSchema, tweetLikeSchema, videoLikeSchema } from "../validators/like.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
-router.route("/videos").get(getLikedVideos);
+router.route("/toggle/v/:videoId").post(validate(videoLikeSchema), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(validate(commentLikeSchema), toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(validate(tweetLikeSchema), toggleTweetLike);
+router.route("/videos").get(validate(likedVideosSchema), getLikedVideos);
 
 export default router
\ No newline at end of file
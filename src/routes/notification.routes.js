@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import {
+    deleteNotification,
+    getNotifications,
+    getUnreadNotificationCount,
+    markAllNotificationsRead,
+    markNotificationRead
+} from "../controllers/notification.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { markNotificationSchema, notificationListSchema, notificationSchema } from "../validators/notification.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate(notificationListSchema), getNotifications);
+router.route("/unread-count").get(getUnreadNotificationCount);
+router.route("/read-all").post(markAllNotificationsRead);
+router
+    .route("/:notificationId")
+    .patch(validate(markNotificationSchema), markNotificationRead)
+    .delete(validate(notificationSchema), deleteNotification);
+
+export default router
@@ -0,0 +1,26 @@
+import { Router } from "express";
+import {
+    completeOAuthLink,
+    completeOAuthLogin,
+    getLinkedAccounts,
+    getOAuthProviders,
+    startOAuthLink,
+    startOAuthLogin,
+    unlinkOAuthProvider
+} from "../controllers/oauth.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { authorizeSchema, callbackSchema, unlinkSchema } from "../validators/oauth.validator.js";
+
+const router = Router()
+
+router.route("/providers").get(getOAuthProviders)
+router.route("/accounts").get(verifyJWT, getLinkedAccounts)
+router.route("/:provider/authorize").get(validate(authorizeSchema), startOAuthLogin)
+router.route("/:provider/callback").post(validate(callbackSchema), completeOAuthLogin)
+router.route("/:provider/link")
+    .get(verifyJWT, validate(authorizeSchema), startOAuthLink)
+    .post(verifyJWT, validate(callbackSchema), completeOAuthLink)
+    .delete(verifyJWT, validate(unlinkSchema), unlinkOAuthProvider)
+
+export default router
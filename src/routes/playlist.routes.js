@@ -9,22 +9,34 @@ import {
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { authorizeResource } from "../middlewares/authorize.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { Playlist } from "../models/playlist.model.js"
+import {
+    createPlaylistSchema,
+    playlistSchema,
+    playlistVideoSchema,
+    updatePlaylistSchema,
+    userPlaylistsSchema,
+} from "../validators/playlist.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createPlaylist)
+const authorizePlaylist = authorizeResource({ model: Playlist, param: "playlistId" })
+
+router.route("/").post(validate(createPlaylistSchema), createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(validate(playlistSchema), getPlaylistById)
+    .patch(validate(updatePlaylistSchema), authorizePlaylist, updatePlaylist)
+    .delete(validate(playlistSchema), authorizePlaylist, deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/add/:videoId/:playlistId").patch(validate(playlistVideoSchema), authorizePlaylist, addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(validate(playlistVideoSchema), authorizePlaylist, removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(validate(userPlaylistsSchema), getUserPlaylists);
 
 export default router
\ No newline at end of file
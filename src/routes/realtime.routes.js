@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { openRealtimeStream } from "../controllers/realtime.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { realtimeStreamSchema } from "../validators/realtime.validator.js"
+
+const router = Router();
+
+router.route("/").get(verifyJWT, validate(realtimeStreamSchema), openRealtimeStream);
+
+export default router
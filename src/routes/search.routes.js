@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { searchAll } from "../controllers/search.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { searchSchema } from "../validators/search.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate(searchSchema), searchAll);
+
+export default router
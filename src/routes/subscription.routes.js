@@ -3,17 +3,21 @@ import {
     getSubscribedChannels,
     getUserChannelSubscribers,
     toggleSubscription,
+    updateSubscriptionNotifications,
 } from "../controllers/subscription.controller.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { subscriptionListSchema, subscriptionNotificationsSchema, toggleSubscriptionSchema } from "../validators/subscription.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router
     .route("/c/:channelId")
-    .get(getSubscribedChannels)
-    .post(toggleSubscription);
+    .get(validate(subscriptionListSchema), getSubscribedChannels)
+    .post(validate(toggleSubscriptionSchema), toggleSubscription);
 
-router.route("/u/:subscriberId").get(getUserChannelSubscribers);
+router.route("/c/:channelId/notifications").patch(validate(subscriptionNotificationsSchema), updateSubscriptionNotifications);
+router.route("/u/:subscriberId").get(validate(subscriptionListSchema), getUserChannelSubscribers);
 
 export default router
\ No newline at end of file
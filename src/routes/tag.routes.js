@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { getPopular, getTweetsByTag, getVideosByTag } from "../controllers/tag.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { popularTagsSchema, tagTweetsSchema, tagVideosSchema } from "../validators/tag.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/popular").get(validate(popularTagsSchema), getPopular);
+router.route("/:tag/videos").get(validate(tagVideosSchema), getVideosByTag);
+router.route("/:tag/tweets").get(validate(tagTweetsSchema), getTweetsByTag);
+
+export default router
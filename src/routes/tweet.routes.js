@@ -3,15 +3,24 @@ import {
     createTweet,
     deleteTweet,
     getUserTweets,
+    restoreTweet,
     updateTweet,
 } from "../controllers/tweet.controller.js"
 import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { authorizeResource } from "../middlewares/authorize.middleware.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { Tweet } from "../models/tweet.model.js"
+import { createTweetSchema, tweetSchema, updateTweetSchema, userTweetsSchema } from "../validators/tweet.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+const authorizeTweet = authorizeResource({ model: Tweet, param: "tweetId" })
+const authorizeDeletedTweet = authorizeResource({ model: Tweet, param: "tweetId", deleted: true })
+
+router.route("/").post(validate(createTweetSchema), createTweet);
+router.route("/user/:userId").get(validate(userTweetsSchema), getUserTweets);
+router.route("/:tweetId").patch(validate(updateTweetSchema), authorizeTweet, updateTweet).delete(validate(tweetSchema), authorizeTweet, deleteTweet);
+router.route("/restore/:tweetId").patch(validate(tweetSchema), authorizeDeletedTweet, restoreTweet);
 
 export default router
\ No newline at end of file
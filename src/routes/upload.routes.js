@@ -0,0 +1,38 @@
+import express, { Router } from 'express';
+import {
+    cancelUpload,
+    finalizeUpload,
+    getUploadStatus,
+    initiateUpload,
+    uploadChunk,
+} from "../controllers/upload.controller.js"
+import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { authorizeResource } from "../middlewares/authorize.middleware.js"
+import { upload } from "../middlewares/multer.middleware.js"
+import { UploadSession } from "../models/uploadSession.model.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { CHUNK_LIMIT } from "../utils/uploadSessions.js"
+import {
+    finalizeUploadSchema,
+    initiateUploadSchema,
+    uploadChunkSchema,
+    uploadSessionSchema,
+} from "../validators/upload.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+// sessions are private to the uploader, moderators included
+const authorizeUploadSession = authorizeResource({ model: UploadSession, param: "sessionId", name: "upload session", roles: [] })
+
+router.route("/").post(validate(initiateUploadSchema), initiateUpload);
+
+router
+    .route("/:sessionId")
+    .get(validate(uploadSessionSchema), authorizeUploadSession, getUploadStatus)
+    .put(validate(uploadChunkSchema), authorizeUploadSession, express.raw({ type: () => true, limit: CHUNK_LIMIT }), uploadChunk)
+    .delete(validate(uploadSessionSchema), authorizeUploadSession, cancelUpload);
+
+router.route("/:sessionId/finalize").post(validate(uploadSessionSchema), authorizeUploadSession, upload.single("thumbnail"), validate(finalizeUploadSchema), finalizeUpload);
+
+export default router
@@ -1,7 +1,42 @@
 import { Router } from "express";
-import { loginUser, logoutUser, registerUser, refreshAccessToken, changeCurrentPassword, getCurrentUser, updateAccountDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistory } from "../controllers/user.controller.js";
+import { loginUser, logoutUser, registerUser, refreshAccessToken, changeCurrentPassword, getCurrentUser, updateAccountDetails, updateUserAvatar, updateUserCoverImage, getUserChannelProfile, getWatchHistory, updateWatchPosition, removeWatchHistoryEntry, clearWatchHistory, setWatchHistoryPaused, updateUserRole, updateUserVerified } from "../controllers/user.controller.js";
+import { forgotPassword, resendVerificationEmail, resetPassword, verifyEmail } from "../controllers/account.controller.js";
+import { getUsernameStatus, updateChannelDetails, updateUsername } from "../controllers/channel.controller.js";
+import { listSessions, revokeAllSessions, revokeSession } from "../controllers/session.controller.js";
+import { cancelAccountDeletionRequest, exportUserData, requestAccountDeletion } from "../controllers/privacy.controller.js";
+import { completeTwoFactorLogin, disableTwoFactor, enableTwoFactor, regenerateRecoveryCodes, setupTwoFactor } from "../controllers/twoFactor.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { requireRole } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { USER_ROLES } from "../constants.js";
+import {
+    accountDeletionSchema,
+    changePasswordSchema,
+    channelProfileSchema,
+    disableTwoFactorSchema,
+    enableTwoFactorSchema,
+    forgotPasswordSchema,
+    loginUserSchema,
+    recoveryCodesSchema,
+    registerUserSchema,
+    resetPasswordSchema,
+    revokeAllSessionsSchema,
+    revokeSessionSchema,
+    twoFactorLoginSchema,
+    updateAccountSchema,
+    updateAvatarSchema,
+    updateChannelSchema,
+    updateCoverImageSchema,
+    updateRoleSchema,
+    updateUsernameSchema,
+    updateVerifiedSchema,
+    verifyEmailSchema,
+    watchHistoryEntrySchema,
+    watchHistoryPausedSchema,
+    watchHistorySchema,
+    watchPositionSchema
+} from "../validators/user.validator.js";
 
 const router = Router()
 
@@ -16,21 +51,41 @@ router.route("/register").post(
             maxCount: 1
         }
     ]),
+    validate(registerUserSchema),
     registerUser
 )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(validate(loginUserSchema), loginUser)
+router.route("/login/2fa").post(validate(twoFactorLoginSchema), completeTwoFactorLogin)
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail)
+router.route("/verify-email/resend").post(verifyJWT, resendVerificationEmail)
+router.route("/forgot-password").post(validate(forgotPasswordSchema), forgotPassword)
+router.route("/reset-password").post(validate(resetPasswordSchema), resetPassword)
 
 //secured routes
 router.route("/logout").post(verifyJWT, logoutUser)
 router.route("/refresh-token").post(refreshAccessToken)
-router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/change-password").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
-router.route("/update-account").patch(verifyJWT, updateAccountDetails)
-router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
-router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/history").get(verifyJWT, getWatchHistory)
+router.route("/update-account").patch(verifyJWT, validate(updateAccountSchema), updateAccountDetails)
+router.route("/avatar").patch(verifyJWT, upload.single("avatar"), validate(updateAvatarSchema), updateUserAvatar)
+router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), validate(updateCoverImageSchema), updateUserCoverImage)
+router.route("/c/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile)
+router.route("/channel").patch(verifyJWT, validate(updateChannelSchema), updateChannelDetails)
+router.route("/username").get(verifyJWT, getUsernameStatus).patch(verifyJWT, validate(updateUsernameSchema), updateUsername)
+router.route("/history").get(verifyJWT, validate(watchHistorySchema), getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/history/pause").patch(verifyJWT, validate(watchHistoryPausedSchema), setWatchHistoryPaused)
+router.route("/history/:videoId").patch(verifyJWT, validate(watchPositionSchema), updateWatchPosition).delete(verifyJWT, validate(watchHistoryEntrySchema), removeWatchHistoryEntry)
+router.route("/sessions").get(verifyJWT, listSessions).delete(verifyJWT, validate(revokeAllSessionsSchema), revokeAllSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(revokeSessionSchema), revokeSession)
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/enable").post(verifyJWT, validate(enableTwoFactorSchema), enableTwoFactor)
+router.route("/2fa/disable").post(verifyJWT, validate(disableTwoFactorSchema), disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJWT, validate(recoveryCodesSchema), regenerateRecoveryCodes)
+router.route("/export").get(verifyJWT, exportUserData)
+router.route("/account-deletion").post(verifyJWT, validate(accountDeletionSchema), requestAccountDeletion).delete(verifyJWT, cancelAccountDeletionRequest)
+router.route("/role/:userId").patch(verifyJWT, requireRole(USER_ROLES.ADMIN), validate(updateRoleSchema), updateUserRole)
+router.route("/verified/:userId").patch(verifyJWT, requireRole(USER_ROLES.ADMIN), validate(updateVerifiedSchema), updateUserVerified)
 
 
-export default router
\ No newline at end of file
+export default router
@@ -2,20 +2,50 @@ import { Router } from 'express';
 import {
     deleteVideo,
     getAllVideos,
+    getTrending,
+    getUpNextVideos,
+    getVideoCategories,
+    getVideosByCategory,
     getVideoAndUpdateViews,
+    getVideoProcessingStatus,
     publishAVideo,
+    recomputeViews,
+    restoreVideo,
     togglePublishStatus,
     updateVideo,
 } from "../controllers/video.controller.js"
-import { verifyJWT } from "../middlewares/auth.middleware.js"
+import { optionalJWT, verifyJWT } from "../middlewares/auth.middleware.js"
+import { authorizeResource, requireRole } from "../middlewares/authorize.middleware.js"
 import { upload } from "../middlewares/multer.middleware.js"
+import { Video } from "../models/video.model.js"
+import { validate } from "../middlewares/validate.middleware.js"
+import { USER_ROLES } from "../constants.js"
+import {
+    categoryVideosSchema,
+    getAllVideosSchema,
+    publishVideoSchema,
+    recomputeViewsSchema,
+    relatedVideosSchema,
+    trendingVideosSchema,
+    updateVideoSchema,
+    videoSchema,
+} from "../validators/video.validator.js"
 
 const router = Router();
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+// anyone can watch a public or unlisted video, a signed in viewer also gets likes, subscription and history
+// (only a video id matches, other paths fall through to the routes below)
+router.route("/:videoId([0-9a-fA-F]{24})").get(optionalJWT, validate(videoSchema), getVideoAndUpdateViews);
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all the other routes in this file
+
+// only the owner (or a moderator/admin) can change a video
+const authorizeVideo = authorizeResource({ model: Video, param: "videoId" })
+const authorizeDeletedVideo = authorizeResource({ model: Video, param: "videoId", deleted: true })
 
 router
     .route("/")
-    .get(getAllVideos)
+    .get(validate(getAllVideosSchema), getAllVideos)
     .post(
         upload.fields([
             {
@@ -28,15 +58,24 @@ router
             },
 
         ]),
+        validate(publishVideoSchema),
         publishAVideo
     );
 
+// before /:videoId, which would take "trending" or "categories" for a video id
+router.route("/trending").get(validate(trendingVideosSchema), getTrending);
+router.route("/categories").get(getVideoCategories);
+router.route("/category/:category").get(validate(categoryVideosSchema), getVideosByCategory);
+
 router
     .route("/:videoId")
-    .get(getVideoAndUpdateViews)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .delete(validate(videoSchema), authorizeVideo, deleteVideo)
+    .patch(validate(videoSchema), authorizeVideo, upload.single("thumbnail"), validate(updateVideoSchema), updateVideo);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router.route("/:videoId/related").get(validate(relatedVideosSchema), getUpNextVideos);
+router.route("/:videoId/processing").get(validate(videoSchema), authorizeVideo, getVideoProcessingStatus);
+router.route("/toggle/publish/:videoId").patch(validate(videoSchema), authorizeVideo, togglePublishStatus);
+router.route("/restore/:videoId").patch(validate(videoSchema), authorizeDeletedVideo, restoreVideo);
+router.route("/views/recompute").post(requireRole(USER_ROLES.ADMIN), validate(recomputeViewsSchema), recomputeViews);
 
 export default router
\ No newline at end of file
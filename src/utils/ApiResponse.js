@@ -1,10 +1,14 @@
 class ApiResponse {
-    constructor(statusCode, data, message = "Success") {
+    constructor(statusCode, data, message = "Success", pagination) {
         this.statusCode = statusCode
         this.data = data
         this.message = message
         this.success = statusCode < 400
+        // list responses: { nextCursor, hasMore, limit, totalCount } (see utils/pagination.js)
+        if (pagination) {
+            this.pagination = pagination
+        }
     }
 }
 
-export { ApiResponse }
\ No newline at end of file
+export { ApiResponse }
@@ -0,0 +1,159 @@
+import fs from "fs";
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { View } from "../models/view.model.js";
+import { Session } from "../models/session.model.js";
+import { OAuthAccount } from "../models/oauthAccount.model.js";
+import { UserToken } from "../models/userToken.model.js";
+import { UploadSession } from "../models/uploadSession.model.js";
+import { Notification } from "../models/notification.model.js";
+import { runInTransaction } from "./transaction.js";
+import { removeAssets } from "./assetCleanup.js";
+import { purgeTweet, purgeVideo } from "./contentDeletion.js";
+
+/*
+ Deleting an account only schedules it: the user can cancel for ACCOUNT_DELETION_GRACE_DAYS,
+ then the deletion worker removes the user and their data for good (deleteUserAccount).
+*/
+const DAY_MS = 24 * 60 * 60 * 1000
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "14")
+const DELETION_INTERVAL_MS = parseInt(process.env.ACCOUNT_DELETION_INTERVAL_MS || `${60 * 60 * 1000}`)
+
+// what stays of a comment others replied to
+const ANONYMIZED_COMMENT = "[deleted]"
+
+// Returns the date the account will be deleted
+const scheduleAccountDeletion = async (userId) => {
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS)
+    await User.updateOne({ _id: userId }, { $set: { deletionScheduledFor: scheduledFor } })
+    return scheduledFor
+}
+
+// Returns false when no deletion was scheduled
+const cancelAccountDeletion = async (userId) => {
+    const { modifiedCount } = await User.updateOne(
+        { _id: userId, deletionScheduledFor: { $ne: null } },
+        { $set: { deletionScheduledFor: null } }
+    )
+    return modifiedCount > 0
+}
+
+/*
+ Removes the user's comments. A comment others replied to stays, as ANONYMIZED_COMMENT without
+ owner, so their replies keep their place in the thread. Its parents by the user stay the same way.
+*/
+const removeUserComments = async (userId) => {
+    const comments = await Comment.find({ owner: userId }, "_id parentComment")
+        .setOptions({ withDeleted: true })
+        .lean()
+    if (!comments.length) return
+
+    const parentOf = new Map(comments.map((comment) => [comment._id.toString(), comment.parentComment?.toString()]))
+
+    const repliedTo = await Comment.distinct("parentComment", {
+        parentComment: { $in: comments.map((comment) => comment._id) },
+        owner: { $ne: userId }
+    })
+
+    const kept = new Set()
+    for (const id of repliedTo.map(String)) {
+        // walk up while the parents are the user's too
+        for (let current = id; current && parentOf.has(current) && !kept.has(current); current = parentOf.get(current)) {
+            kept.add(current)
+        }
+    }
+
+    const removed = comments.map((comment) => comment._id).filter((id) => !kept.has(id.toString()))
+
+    await Comment.updateMany(
+        { _id: { $in: [...kept] } },
+        { $set: { content: ANONYMIZED_COMMENT }, $unset: { owner: 1 } }
+    )
+    await Like.deleteMany({ comment: { $in: removed } })
+    await Comment.deleteMany({ _id: { $in: removed } })
+}
+
+// Removes the user's likes and takes them off the like counts of the videos
+const removeUserLikes = async (userId) => {
+    const likedVideos = await Like.distinct("video", { likedBy: userId, video: { $ne: null } })
+    if (likedVideos.length) {
+        await Video.updateMany(
+            { _id: { $in: likedVideos } },
+            [{ $set: { likeCount: { $max: [0, { $subtract: ["$likeCount", 1] }] } } }]
+        )
+    }
+    await Like.deleteMany({ likedBy: userId })
+}
+
+/*
+ Removes a user for good:
+  - their videos and tweets, like deleted content past its grace period (contentDeletion.js)
+  - their comments, anonymized where others replied (removeUserComments)
+  - their likes, playlists, subscriptions both ways, sessions, linked accounts, tokens, uploads and notifications
+  - their views stay counted but lose the viewer
+*/
+const deleteUserAccount = async (userId) => {
+    const user = await User.findById(userId)
+    if (!user) return
+
+    // every purge is its own transaction, a failure leaves the user to be retried by the worker
+    const videos = await Video.find({ owner: userId }, "_id").setOptions({ withDeleted: true })
+    for (const video of videos) {
+        await purgeVideo(video._id)
+    }
+    const tweets = await Tweet.find({ owner: userId }, "_id").setOptions({ withDeleted: true })
+    for (const tweet of tweets) {
+        await purgeTweet(tweet._id)
+    }
+
+    await removeUserComments(userId)
+    await removeUserLikes(userId)
+
+    const uploadSessions = await UploadSession.find({ owner: userId })
+    for (const uploadSession of uploadSessions) {
+        await fs.promises.rm(uploadSession.tempFilePath, { force: true })
+    }
+
+    await runInTransaction(async (session) => {
+        await Playlist.deleteMany({ owner: userId }, { session })
+        await Subscription.deleteMany({ $or: [{ subscriber: userId }, { channel: userId }] }, { session })
+        await View.updateMany({ viewer: userId }, { $set: { viewer: null } }, { session })
+        await UploadSession.deleteMany({ owner: userId }, { session })
+        await Session.deleteMany({ user: userId }, { session })
+        await OAuthAccount.deleteMany({ user: userId }, { session })
+        await UserToken.deleteMany({ user: userId }, { session })
+        await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] }, { session })
+        await User.deleteOne({ _id: userId }, { session })
+    })
+
+    removeAssets([user.avatarAsset, user.coverImageAsset])
+}
+
+const deleteScheduledAccounts = async () => {
+    const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }, "_id")
+    for (const user of due) {
+        await deleteUserAccount(user._id)
+    }
+}
+
+const startAccountDeletionWorker = () => {
+    const timer = setInterval(() => {
+        deleteScheduledAccounts().catch((error) => console.error("Account deletion worker error:", error))
+    }, DELETION_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    deleteUserAccount,
+    deleteScheduledAccounts,
+    startAccountDeletionWorker
+}
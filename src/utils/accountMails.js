@@ -0,0 +1,66 @@
+import { USER_TOKEN_PURPOSES } from "../models/userToken.model.js";
+import { sendMail } from "./mail/index.js";
+import { issueUserToken } from "./userTokens.js";
+
+const HOUR_MS = 60 * 60 * 1000
+export const EMAIL_VERIFICATION_TTL_MS = parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS || "24") * HOUR_MS
+export const PASSWORD_RESET_TTL_MS = parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES || "60") * 60 * 1000
+
+// links in mails open the frontend, which posts the token back to the api
+const appLink = (pathname, token) => {
+    const base = (process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:3000").replace(/\/$/, "")
+    return token ? `${base}${pathname}?token=${token}` : `${base}${pathname}`
+}
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueUserToken(user, USER_TOKEN_PURPOSES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_MS)
+
+    await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: [
+            `Hi ${user.fullName || user.username},`,
+            "",
+            "Confirm this is your email address by opening the link below:",
+            appLink("/verify-email", token),
+            "",
+            `The link expires in ${Math.round(EMAIL_VERIFICATION_TTL_MS / HOUR_MS)} hours.`
+        ].join("\n")
+    })
+}
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueUserToken(user, USER_TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MS)
+
+    await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: [
+            `Hi ${user.fullName || user.username},`,
+            "",
+            "Someone asked to reset the password of your account. Choose a new one here:",
+            appLink("/reset-password", token),
+            "",
+            `The link expires in ${Math.round(PASSWORD_RESET_TTL_MS / 60000)} minutes and works once.`,
+            "If you didn't ask for it, ignore this mail, your password stays the same."
+        ].join("\n")
+    })
+}
+
+const sendAccountDeletionEmail = async (user, scheduledFor) => {
+    await sendMail({
+        to: user.email,
+        subject: "Your account will be deleted",
+        text: [
+            `Hi ${user.fullName || user.username},`,
+            "",
+            `Your account and everything you posted will be deleted on ${scheduledFor.toUTCString()}.`,
+            "Changed your mind? Log in and cancel the deletion before then:",
+            appLink("/settings/account"),
+            "",
+            "If you didn't ask for it, log in, cancel the deletion and change your password."
+        ].join("\n")
+    })
+}
+
+export { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionEmail }
@@ -0,0 +1,83 @@
+import { FailedDeletion } from "../models/failedDeletion.model.js";
+import { deleteFile } from "./storage/index.js";
+
+const RETRY_ATTEMPTS = parseInt(process.env.ASSET_DELETE_RETRIES || "3")
+const RETRY_BASE_DELAY_MS = 1000
+// after this many worker attempts a failed deletion is left for someone to look at
+const MAX_WORKER_ATTEMPTS = 10
+const WORKER_INTERVAL_MS = parseInt(process.env.ASSET_CLEANUP_INTERVAL_MS || `${15 * 60 * 1000}`)
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const recordFailedDeletion = async (asset, error) => {
+    try {
+        await FailedDeletion.findOneAndUpdate(
+            { publicId: asset.publicId, provider: asset.provider },
+            {
+                $set: {
+                    resourceType: asset.resourceType,
+                    lastError: error?.message || String(error),
+                    lastAttemptAt: new Date()
+                },
+                $inc: { attempts: RETRY_ATTEMPTS }
+            },
+            { upsert: true }
+        )
+    } catch (recordError) {
+        console.error("Could not record failed deletion:", asset.publicId, recordError)
+    }
+}
+
+const deleteWithRetry = async (asset) => {
+    let lastError
+    for (let attempt = 0; attempt < RETRY_ATTEMPTS; attempt++) {
+        try {
+            await deleteFile(asset.publicId, asset)
+            return true
+        } catch (error) {
+            lastError = error
+            await wait(RETRY_BASE_DELAY_MS * 2 ** attempt)
+        }
+    }
+    console.error(`Storage Error: could not delete ${asset.publicId}`, lastError?.message || lastError)
+    await recordFailedDeletion(asset, lastError)
+    return false
+}
+
+/*
+ Deletes assets that are no longer referenced (old avatar, replaced thumbnail, deleted video...).
+ It never throws and is not awaited by controllers: the database change already happened,
+ so a slow or failing provider must not fail the request. Assets without a publicId
+ (documents created before we stored them) are skipped.
+*/
+const removeAssets = (assets = []) => {
+    const toDelete = assets.filter((asset) => asset?.publicId)
+    return Promise.all(toDelete.map(deleteWithRetry))
+}
+
+// Retries everything in FailedDeletion once, removing the records that succeed
+const retryFailedDeletions = async () => {
+    const pending = await FailedDeletion.find({ attempts: { $lt: MAX_WORKER_ATTEMPTS } })
+
+    for (const record of pending) {
+        try {
+            await deleteFile(record.publicId, record)
+            await record.deleteOne()
+        } catch (error) {
+            record.attempts += 1
+            record.lastError = error?.message || String(error)
+            record.lastAttemptAt = new Date()
+            await record.save()
+        }
+    }
+}
+
+const startAssetCleanupWorker = () => {
+    const timer = setInterval(() => {
+        retryFailedDeletions().catch((error) => console.error("Asset cleanup worker error:", error))
+    }, WORKER_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export { removeAssets, retryFailedDeletions, startAssetCleanupWorker }
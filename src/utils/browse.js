@@ -0,0 +1,135 @@
+import { VIDEO_CATEGORIES, OWNER_PROJECTION } from "../constants.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { ApiError } from "./ApiError.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+import { parseHashtags } from "./taxonomy.js";
+import { paginate } from "./pagination.js";
+
+// Browsing videos and tweets by tag, hashtag and category (see utils/taxonomy.js for the parsing)
+const MAX_POPULAR_TAGS = 50
+const MAX_POPULAR_DAYS = 90
+
+const ownerLookup = {
+    $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: OWNER_PROJECTION }]
+    }
+}
+
+// tags and hashtags together, a video tagged "music" and one saying #music belong to the same tag
+const tagMatch = (tag) => ({ $or: [{ tags: tag }, { hashtags: tag }] })
+
+// One page of public videos matching `match`, newest first (or most viewed with sortBy=views)
+const browseVideos = (match, { sortBy, cursor, limit } = {}) => {
+    return paginate(Video, {
+        match: { ...listedVideoMatch(), ...match },
+        sort: { field: sortBy === "views" ? "views" : "createdAt", order: -1 },
+        cursor,
+        limit,
+        pageStages: [
+            ownerLookup,
+            {
+                $project: {
+                    title: 1,
+                    thumbnail: 1,
+                    duration: 1,
+                    views: 1,
+                    likeCount: 1,
+                    category: 1,
+                    tags: 1,
+                    hashtags: 1,
+                    createdAt: 1,
+                    owner: { $first: "$owner" }
+                }
+            }
+        ]
+    })
+}
+
+const browseTweets = (match, { cursor, limit } = {}) => {
+    return paginate(Tweet, {
+        match,
+        cursor,
+        limit,
+        pageStages: [
+            ownerLookup,
+            { $project: { content: 1, hashtags: 1, createdAt: 1, owner: { $first: "$owner" } } }
+        ]
+    })
+}
+
+/*
+ Most used tags of the last `days` days with how many videos (or tweets) use them.
+ For videos tags and hashtags are counted together, a video counts once per tag.
+*/
+const getPopularTags = ({ type = "video", days = 7, limit = 20 } = {}) => {
+    const period = Math.min(Math.max(parseInt(days) || 7, 1), MAX_POPULAR_DAYS)
+    const since = new Date(Date.now() - period * 24 * 60 * 60 * 1000)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_POPULAR_TAGS)
+
+    const countTags = [
+        { $unwind: "$tag" },
+        { $group: { _id: "$tag", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: pageSize },
+        { $project: { _id: 0, tag: "$_id", count: 1 } }
+    ]
+
+    if (type === "tweet") {
+        return Tweet.aggregate([
+            { $match: { createdAt: { $gte: since }, "hashtags.0": { $exists: true } } },
+            { $project: { tag: "$hashtags" } },
+            ...countTags
+        ])
+    }
+    if (type !== "video") {
+        throw new ApiError(400, "Type must be video or tweet")
+    }
+
+    return Video.aggregate([
+        { $match: { ...listedVideoMatch(), createdAt: { $gte: since } } },
+        { $project: { tag: { $setUnion: [{ $ifNull: ["$tags", []] }, { $ifNull: ["$hashtags", []] }] } } },
+        ...countTags
+    ])
+}
+
+// public video count per category, categories without videos included
+const getCategoryCounts = async () => {
+    const counts = await Video.aggregate([
+        { $match: listedVideoMatch() },
+        { $group: { _id: "$category", count: { $sum: 1 } } }
+    ])
+    const countByCategory = new Map(counts.map((entry) => [entry._id, entry.count]))
+    return VIDEO_CATEGORIES.map((category) => ({ category, videosCount: countByCategory.get(category) || 0 }))
+}
+
+// Tweets and videos created before hashtags existed
+const backfillHashtags = async () => {
+    for (const [model, sourceField] of [[Tweet, "content"], [Video, "description"]]) {
+        const documents = model.find({ hashtags: { $exists: false } })
+            .select(sourceField)
+            .setOptions({ withDeleted: true })
+            .lean()
+            .cursor()
+
+        for await (const document of documents) {
+            await model.collection.updateOne(
+                { _id: document._id },
+                { $set: { hashtags: parseHashtags(document[sourceField]) } }
+            )
+        }
+    }
+}
+
+export {
+    tagMatch,
+    browseVideos,
+    browseTweets,
+    getPopularTags,
+    getCategoryCounts,
+    backfillHashtags
+}
@@ -0,0 +1,168 @@
+import { User, CHANNEL_SECTION_TYPES } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { ApiError } from "./ApiError.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+
+/*
+ Channel pages: username changes and what the page shows besides the video list.
+ A username can change once every USERNAME_CHANGE_COOLDOWN_DAYS, the old one keeps redirecting
+ to the channel and nobody else can take it for USERNAME_HOLD_DAYS.
+*/
+const DAY_MS = 24 * 60 * 60 * 1000
+const USERNAME_CHANGE_COOLDOWN_DAYS = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS || "30")
+const USERNAME_HOLD_DAYS = parseInt(process.env.USERNAME_HOLD_DAYS || "90")
+
+const SECTION_VIDEO_LIMIT = 8
+const VIDEO_CARD_FIELDS = "title thumbnail duration views likeCount createdAt"
+
+// null when the user can change it now
+const usernameChangeAvailableAt = (user) => {
+    if (!user.usernameChangedAt) return null
+    const availableAt = new Date(user.usernameChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS)
+    return availableAt > new Date() ? availableAt : null
+}
+
+// in use, or given up by someone else less than USERNAME_HOLD_DAYS ago
+const isUsernameTaken = async (username, userId) => {
+    const heldSince = new Date(Date.now() - USERNAME_HOLD_DAYS * DAY_MS)
+    return Boolean(await User.exists({
+        ...(userId ? { _id: { $ne: userId } } : {}),
+        $or: [
+            { username },
+            { usernameHistory: { $elemMatch: { username, changedAt: { $gt: heldSince } } } }
+        ]
+    }))
+}
+
+/*
+ Renames `user` and keeps the old username in its history. Throws a 429 ApiError during the
+ cooldown and a 409 one when the username is taken. The caller syncs the channel name of the videos.
+*/
+const changeUsername = async (user, username) => {
+    if (username === user.username) {
+        throw new ApiError(400, "This is already your username")
+    }
+
+    const availableAt = usernameChangeAvailableAt(user)
+    if (availableAt) {
+        throw new ApiError(429, `You can change your username again on ${availableAt.toISOString().slice(0, 10)}`)
+    }
+    if (await isUsernameTaken(username, user._id)) {
+        throw new ApiError(409, "Username is already taken")
+    }
+
+    const changedAt = new Date()
+    try {
+        // matching the old username makes two changes at once fail instead of losing a history entry
+        const renamed = await User.findOneAndUpdate(
+            { _id: user._id, username: user.username },
+            {
+                $set: { username, usernameChangedAt: changedAt },
+                $push: { usernameHistory: { username: user.username, changedAt } }
+            },
+            { new: true }
+        ).select("-password")
+
+        if (!renamed) {
+            throw new ApiError(409, "Username changed meanwhile, try again")
+        }
+        return renamed
+    } catch (error) {
+        // taken between the check and the update
+        if (error?.code === 11000) {
+            throw new ApiError(409, "Username is already taken")
+        }
+        throw error
+    }
+}
+
+// The channel an old handle belongs to now, the most recently renamed one if several used it
+const findRenamedChannel = (username) => {
+    return User.findOne({ "usernameHistory.username": username })
+        .sort({ usernameChangedAt: -1 })
+        .select("username")
+        .lean()
+}
+
+// videos of the channel it may pin, its own whatever their visibility (they only show once public)
+const ownsVideos = async (userId, videoIds) => {
+    const ids = [...new Set(videoIds.filter(Boolean).map(String))]
+    if (!ids.length) return true
+    return (await Video.countDocuments({ _id: { $in: ids }, owner: userId })) === ids.length
+}
+
+const ownsPlaylists = async (userId, playlistIds) => {
+    const ids = [...new Set(playlistIds.filter(Boolean).map(String))]
+    if (!ids.length) return true
+    return (await Playlist.countDocuments({ _id: { $in: ids }, owner: userId })) === ids.length
+}
+
+const findListedVideo = (videoId) => {
+    if (!videoId) return null
+    return Video.findOne({ _id: videoId, ...listedVideoMatch() }).select(VIDEO_CARD_FIELDS).lean()
+}
+
+const resolveSection = async (ownerId, section) => {
+    const { type, title } = section
+
+    if (type === CHANNEL_SECTION_TYPES.PLAYLIST) {
+        const playlist = await Playlist.findOne({ _id: section.playlist, owner: ownerId }).select("name videos").lean()
+        if (!playlist) return null
+
+        const videos = await Video.find({ _id: { $in: playlist.videos }, ...listedVideoMatch() })
+            .select(VIDEO_CARD_FIELDS)
+            .lean()
+        // in playlist order
+        const byId = new Map(videos.map((video) => [video._id.toString(), video]))
+        return {
+            type,
+            title: title || playlist.name,
+            playlist: playlist._id,
+            videos: playlist.videos.map((id) => byId.get(id.toString())).filter(Boolean).slice(0, SECTION_VIDEO_LIMIT)
+        }
+    }
+
+    const sort = type === CHANNEL_SECTION_TYPES.POPULAR_VIDEOS ? { views: -1, _id: -1 } : { createdAt: -1, _id: -1 }
+    const videos = await Video.find({ owner: ownerId, ...listedVideoMatch() })
+        .sort(sort)
+        .limit(SECTION_VIDEO_LIMIT)
+        .select(VIDEO_CARD_FIELDS)
+        .lean()
+
+    return {
+        type,
+        title: title || (type === CHANNEL_SECTION_TYPES.POPULAR_VIDEOS ? "Popular videos" : "Videos"),
+        videos
+    }
+}
+
+/*
+ The featured and trailer videos and the pinned sections of a channel, with the videos everyone
+ can see. A pinned video or playlist that is no longer public (or gone) is left out.
+*/
+const getChannelShowcase = async (ownerId, channel = {}) => {
+    const [featuredVideo, trailerVideo, sections] = await Promise.all([
+        findListedVideo(channel.featuredVideo),
+        findListedVideo(channel.trailerVideo),
+        Promise.all((channel.sections || []).map((section) => resolveSection(ownerId, section)))
+    ])
+
+    return {
+        featuredVideo,
+        trailerVideo,
+        sections: sections.filter(Boolean)
+    }
+}
+
+export {
+    USERNAME_CHANGE_COOLDOWN_DAYS,
+    USERNAME_HOLD_DAYS,
+    usernameChangeAvailableAt,
+    isUsernameTaken,
+    changeUsername,
+    findRenamedChannel,
+    ownsVideos,
+    ownsPlaylists,
+    getChannelShowcase
+}
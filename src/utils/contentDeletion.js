@@ -0,0 +1,145 @@
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { User } from "../models/user.model.js";
+import { View } from "../models/view.model.js";
+import { RelatedVideos } from "../models/relatedVideos.model.js";
+import { VideoActivity } from "../models/videoActivity.model.js";
+import { TrendingVideo } from "../models/trendingVideo.model.js";
+import { Notification } from "../models/notification.model.js";
+import { runInTransaction } from "./transaction.js";
+import { removeAssets } from "./assetCleanup.js";
+
+/*
+ Deleting a video, tweet or comment only sets `deletedAt` (see models/softDelete.plugin.js)
+ so the owner can restore it for GRACE_DAYS. After that the purge worker removes it for good,
+ together with everything that points at it: likes, view events, comment threads, playlist
+ entries, watch history entries and the files on the storage provider.
+*/
+const DAY_MS = 24 * 60 * 60 * 1000
+const GRACE_DAYS = parseInt(process.env.CONTENT_DELETION_GRACE_DAYS || "30")
+const PURGE_INTERVAL_MS = parseInt(process.env.CONTENT_PURGE_INTERVAL_MS || `${60 * 60 * 1000}`)
+
+const getRestoreDeadline = (deletedAt) => new Date(deletedAt.getTime() + GRACE_DAYS * DAY_MS)
+
+const isRestorable = (deletedAt) => !!deletedAt && getRestoreDeadline(deletedAt) > new Date()
+
+// Returns the ids of the given comments and all of their replies, at any depth
+const collectCommentTree = async (commentIds, session = null) => {
+    const collected = [...commentIds]
+    let parents = commentIds
+
+    while (parents.length) {
+        const replies = await Comment.find({ parentComment: { $in: parents } }, "_id")
+            .setOptions({ withDeleted: true })
+            .session(session)
+        parents = replies.map((reply) => reply._id)
+        collected.push(...parents)
+    }
+
+    return collected
+}
+
+// Replies are deleted with the same timestamp so restoring the thread brings exactly them back
+const softDeleteCommentThread = async (commentId) => {
+    const deletedAt = new Date()
+    const ids = await collectCommentTree([commentId])
+    await Comment.updateMany({ _id: { $in: ids }, deletedAt: null }, { $set: { deletedAt } })
+    return deletedAt
+}
+
+const restoreCommentThread = async (comment) => {
+    const ids = await collectCommentTree([comment._id])
+    await Comment.updateMany({ _id: { $in: ids }, deletedAt: comment.deletedAt }, { $set: { deletedAt: null } })
+}
+
+const purgeComments = async (commentIds, session) => {
+    await Like.deleteMany({ comment: { $in: commentIds } }, { session })
+    await Notification.deleteMany({ comment: { $in: commentIds } }, { session })
+    await Comment.deleteMany({ _id: { $in: commentIds } }, { session })
+}
+
+const purgeVideo = async (videoId) => {
+    const video = await runInTransaction(async (session) => {
+        const video = await Video.findById(videoId).setOptions({ withDeleted: true }).session(session)
+        if (!video) return null
+
+        const comments = await Comment.find({ video: videoId }, "_id")
+            .setOptions({ withDeleted: true })
+            .session(session)
+
+        await purgeComments(comments.map((comment) => comment._id), session)
+        await Like.deleteMany({ video: videoId }, { session })
+        await View.deleteMany({ video: videoId }, { session })
+        await Notification.deleteMany({ video: videoId }, { session })
+        await RelatedVideos.deleteOne({ video: videoId }, { session })
+        await VideoActivity.deleteMany({ video: videoId }, { session })
+        await TrendingVideo.deleteMany({ video: videoId }, { session })
+        await Playlist.updateMany({ videos: videoId }, { $pull: { videos: videoId } }, { session })
+        await User.updateMany({ "watchHistory.video": videoId }, { $pull: { watchHistory: { video: videoId } } }, { session })
+        await Video.deleteOne({ _id: videoId }, { session })
+
+        return video
+    })
+
+    // files can't be part of the transaction, remove them once the documents are gone
+    if (video) {
+        removeAssets([video.videoFileAsset, video.thumbnailAsset])
+    }
+    return video
+}
+
+const purgeTweet = async (tweetId) => {
+    return runInTransaction(async (session) => {
+        await Like.deleteMany({ tweet: tweetId }, { session })
+        await Notification.deleteMany({ tweet: tweetId }, { session })
+        await Tweet.deleteOne({ _id: tweetId }, { session })
+    })
+}
+
+const purgeCommentThread = async (commentId) => {
+    return runInTransaction(async (session) => {
+        const ids = await collectCommentTree([commentId], session)
+        await purgeComments(ids, session)
+    })
+}
+
+// Permanently removes everything whose grace period is over
+const purgeExpiredContent = async () => {
+    const cutoff = new Date(Date.now() - GRACE_DAYS * DAY_MS)
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } }
+
+    for (const video of await Video.find(expired, "_id")) {
+        await purgeVideo(video._id)
+    }
+    for (const tweet of await Tweet.find(expired, "_id")) {
+        await purgeTweet(tweet._id)
+    }
+    // replies share their parent's deletedAt, so some of these are already gone by the time we reach them
+    for (const comment of await Comment.find(expired, "_id")) {
+        await purgeCommentThread(comment._id)
+    }
+}
+
+const startContentPurgeWorker = () => {
+    const timer = setInterval(() => {
+        purgeExpiredContent().catch((error) => console.error("Content purge worker error:", error))
+    }, PURGE_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export {
+    GRACE_DAYS,
+    getRestoreDeadline,
+    isRestorable,
+    softDeleteCommentThread,
+    restoreCommentThread,
+    purgeVideo,
+    purgeTweet,
+    purgeCommentThread,
+    purgeExpiredContent,
+    startContentPurgeWorker
+}
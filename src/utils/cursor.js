@@ -0,0 +1,21 @@
+import { ApiError } from "./ApiError.js";
+
+/*
+ Opaque cursors for paginated lists: the position of the last item a client received,
+ serialized as base64url JSON. Clients send it back untouched to get the next page.
+*/
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString("base64url")
+
+// Returns null when there is no cursor (first page), throws a 400 ApiError when it can't be read
+const decodeCursor = (cursor) => {
+    if (!cursor) return null
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"))
+        if (!position || typeof position !== "object") throw new Error("not an object")
+        return position
+    } catch {
+        throw new ApiError(400, "Invalid cursor")
+    }
+}
+
+export { encodeCursor, decodeCursor }
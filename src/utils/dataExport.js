@@ -0,0 +1,82 @@
+import { User } from "../models/user.model.js";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Like } from "../models/like.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { Session } from "../models/session.model.js";
+import { OAuthAccount } from "../models/oauthAccount.model.js";
+
+const EXPORT_VERSION = 1
+
+// internal fields that say nothing about the user: storage ids, search copies, versions
+const VIDEO_FIELDS = "-videoFileAsset -thumbnailAsset -channelName -owner -__v"
+const CONTENT_FIELDS = "-owner -__v"
+
+/*
+ Everything the user put in or that is kept about them, as one JSON document.
+ Deleted content still in its grace period is included with its `deletedAt`.
+ Other users' data is left out: subscribers are only counted, liked items are ids.
+*/
+const buildUserExport = async (userId) => {
+    const withDeleted = { withDeleted: true }
+
+    const [
+        profile,
+        videos,
+        tweets,
+        comments,
+        likes,
+        playlists,
+        subscriptions,
+        subscriberCount,
+        sessions,
+        linkedAccounts
+    ] = await Promise.all([
+        User.findById(userId).select("-password -refreshToken -watchHistory -__v").lean(),
+        Video.find({ owner: userId }).setOptions(withDeleted).select(VIDEO_FIELDS).sort({ createdAt: 1 }).lean(),
+        Tweet.find({ owner: userId }).setOptions(withDeleted).select(CONTENT_FIELDS).sort({ createdAt: 1 }).lean(),
+        Comment.find({ owner: userId }).setOptions(withDeleted).select(CONTENT_FIELDS).sort({ createdAt: 1 }).lean(),
+        Like.find({ likedBy: userId }).select("video comment tweet createdAt").sort({ createdAt: 1 }).lean(),
+        Playlist.find({ owner: userId }).select(CONTENT_FIELDS).sort({ createdAt: 1 }).lean(),
+        Subscription.find({ subscriber: userId })
+            .select("channel createdAt")
+            .populate("channel", "username fullName")
+            .sort({ createdAt: 1 })
+            .lean(),
+        Subscription.countDocuments({ channel: userId }),
+        Session.find({ user: userId }).select("device userAgent ip lastUsedAt createdAt revokedAt revokedReason").lean(),
+        OAuthAccount.find({ user: userId }).select("provider email displayName lastUsedAt createdAt").lean()
+    ])
+
+    const { watchHistory = [] } = await User.findById(userId).select("watchHistory").lean() || {}
+    const watchedVideos = await Video.find({ _id: { $in: watchHistory.map((entry) => entry.video) } })
+        .setOptions(withDeleted)
+        .select("title")
+        .lean()
+    const titles = new Map(watchedVideos.map((video) => [video._id.toString(), video.title]))
+
+    return {
+        exportVersion: EXPORT_VERSION,
+        exportedAt: new Date(),
+        profile,
+        videos,
+        tweets,
+        comments,
+        likes,
+        playlists,
+        subscriptions: subscriptions.map(({ channel, createdAt }) => ({ channel, subscribedAt: createdAt })),
+        subscriberCount,
+        watchHistory: watchHistory.map((entry) => ({
+            video: entry.video,
+            title: titles.get(entry.video?.toString()) ?? null,
+            watchedAt: entry.watchedAt,
+            position: entry.position
+        })),
+        sessions,
+        linkedAccounts
+    }
+}
+
+export { buildUserExport }
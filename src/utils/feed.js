@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Like } from "../models/like.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { ApiError } from "./ApiError.js";
+import { afterCursor, paginate, parseLimit, readCursor, toPage } from "./pagination.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+import { OWNER_FIELDS, OWNER_PROJECTION } from "../constants.js";
+
+// only videos uploaded in this window are ranked for the home feed
+const CANDIDATE_DAYS = parseInt(process.env.FEED_CANDIDATE_DAYS || "90")
+// how many recent likes are used to learn what the user is into
+const TASTE_SAMPLE_SIZE = 200
+const RECENCY_HALF_LIFE_HOURS = parseFloat(process.env.FEED_RECENCY_HALF_LIFE_HOURS || "48")
+
+/*
+ Home feed score, higher is better:
+   views      log10(views + 1)
+   likes      log10(likeCount + 1), likes say more than views
+   recency    1 for a new video, halves every RECENCY_HALF_LIFE_HOURS
+   channel    the user watched or liked videos of this channel
+   tags       tags shared with videos the user watched or liked (counted up to 3)
+   watched    already in the user's watch history
+*/
+const WEIGHTS = {
+    views: 1,
+    likes: 2,
+    recency: 4,
+    channel: 2,
+    tags: 0.5,
+    watched: -3
+}
+
+const VIDEO_FIELDS = { title: 1, description: 1, thumbnail: 1, duration: 1, views: 1, likeCount: 1, tags: 1, owner: 1, createdAt: 1 }
+
+const LIMIT_OPTIONS = { defaultLimit: 10, maxLimit: 50 }
+
+const parseDate = (value) => {
+    const date = new Date(value)
+    return value && !Number.isNaN(date.getTime()) ? date : undefined
+}
+
+// compares (createdAt, _id) the way the subscription feed is sorted, newest first
+const newestFirst = (a, b) => (b.createdAt - a.createdAt) || b._id.toString().localeCompare(a._id.toString())
+
+/*
+ Recent videos and tweets of the channels the user subscribed to, newest first.
+ Both collections are read up to `limit + 1` items after the cursor and merged,
+ so a page never skips an item of either type.
+*/
+const getSubscriptionFeed = async (user, { cursor, limit } = {}) => {
+    const pageSize = parseLimit(limit, LIMIT_OPTIONS)
+    const position = readCursor(cursor, "createdAt")
+
+    const channels = await Subscription.distinct("channel", { subscriber: user._id })
+    if (!channels.length) {
+        return toPage([], { field: "createdAt", limit: pageSize })
+    }
+
+    const after = position ? afterCursor("createdAt", -1, position) : {}
+
+    const [videos, tweets] = await Promise.all([
+        Video.find({ owner: { $in: channels }, ...listedVideoMatch(), ...after })
+            .select(VIDEO_FIELDS)
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(pageSize + 1)
+            .populate("owner", OWNER_FIELDS)
+            .lean(),
+        Tweet.find({ owner: { $in: channels }, ...after })
+            .select("content owner createdAt")
+            .sort({ createdAt: -1, _id: -1 })
+            .limit(pageSize + 1)
+            .populate("owner", OWNER_FIELDS)
+            .lean()
+    ])
+
+    const merged = [
+        ...videos.map((video) => ({ type: "video", ...video })),
+        ...tweets.map((tweet) => ({ type: "tweet", ...tweet }))
+    ].sort(newestFirst)
+
+    return toPage(merged, { field: "createdAt", limit: pageSize })
+}
+
+// Channels and tags of the videos the user recently watched or liked
+const getUserTaste = async (user) => {
+    const watchedIds = (user.watchHistory || []).map((entry) => entry.video)
+    const likes = await Like.find({ likedBy: user._id, video: { $exists: true } })
+        .sort({ createdAt: -1 })
+        .limit(TASTE_SAMPLE_SIZE)
+        .select("video")
+        .lean()
+
+    const sampleIds = [...watchedIds.slice(0, TASTE_SAMPLE_SIZE), ...likes.map((like) => like.video)]
+    const sample = sampleIds.length
+        ? await Video.find({ _id: { $in: sampleIds } }).select("owner tags").lean()
+        : []
+
+    return {
+        watchedIds,
+        channels: [...new Set(sample.map((video) => video.owner?.toString()).filter(Boolean))]
+            .map((id) => new mongoose.Types.ObjectId(id)),
+        tags: [...new Set(sample.flatMap((video) => video.tags || []))]
+    }
+}
+
+const scoreExpression = (taste, now) => ({
+    $add: [
+        { $multiply: [WEIGHTS.views, { $log10: { $add: [{ $ifNull: ["$views", 0] }, 1] } }] },
+        { $multiply: [WEIGHTS.likes, { $log10: { $add: [{ $ifNull: ["$likeCount", 0] }, 1] } }] },
+        {
+            $multiply: [
+                WEIGHTS.recency,
+                {
+                    $exp: {
+                        $multiply: [
+                            -Math.LN2 / RECENCY_HALF_LIFE_HOURS,
+                            { $max: [0, { $divide: [{ $subtract: [now, "$createdAt"] }, 60 * 60 * 1000] }] }
+                        ]
+                    }
+                }
+            ]
+        },
+        { $cond: [{ $in: ["$owner", taste.channels] }, WEIGHTS.channel, 0] },
+        { $multiply: [WEIGHTS.tags, { $min: [3, { $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, taste.tags] } }] }] },
+        { $cond: [{ $in: ["$_id", taste.watchedIds] }, WEIGHTS.watched, 0] }
+    ]
+})
+
+/*
+ Public videos ranked for the user, see WEIGHTS.
+ The cursor keeps the time of the first page, so scores (which depend on recency)
+ stay the same while the user scrolls and pages neither repeat nor skip videos.
+*/
+const getHomeFeed = async (user, { cursor, limit } = {}) => {
+    const position = readCursor(cursor, "score")
+    const now = position ? parseDate(position.state?.now) : new Date()
+    if (!now) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+
+    const taste = await getUserTaste(user)
+
+    return paginate(Video, {
+        match: {
+            ...listedVideoMatch(),
+            createdAt: { $gte: new Date(now.getTime() - CANDIDATE_DAYS * 24 * 60 * 60 * 1000), $lte: now }
+        },
+        stages: [
+            { $project: VIDEO_FIELDS },
+            { $addFields: { score: scoreExpression(taste, now) } }
+        ],
+        sort: { field: "score", order: -1 },
+        cursor,
+        limit,
+        limitOptions: LIMIT_OPTIONS,
+        state: { now: now.toISOString() },
+        pageStages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "owner",
+                    pipeline: [{ $project: OWNER_PROJECTION }]
+                }
+            },
+            { $addFields: { owner: { $first: "$owner" } } }
+        ]
+    })
+}
+
+export { getSubscriptionFeed, getHomeFeed }
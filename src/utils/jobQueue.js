@@ -0,0 +1,130 @@
+import os from "os";
+import { Job, JOB_STATUS } from "../models/job.model.js";
+
+/*
+ A small job queue stored in Mongo, so it needs no extra service.
+  - enqueueJob(type, payload) stores a job
+  - registerJobHandler(type, handler) tells the worker how to run it
+  - handler(job) may throw, the job is retried with exponential backoff up to maxAttempts
+  - onFailure(job, error) runs once the last attempt failed
+ Jobs are claimed with an atomic findOneAndUpdate, so several instances can run workers.
+*/
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000")
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || "1")
+// a running job whose worker died is picked up again after this long
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || `${30 * 60 * 1000}`)
+const RETRY_BASE_DELAY_MS = 5000
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`
+const handlers = new Map()
+let running = 0
+
+const registerJobHandler = (type, handler, { onFailure } = {}) => {
+    handlers.set(type, { handler, onFailure })
+}
+
+const enqueueJob = async (type, payload = {}, { maxAttempts = 3, runAt = new Date() } = {}) => {
+    return Job.create({ type, payload, maxAttempts, runAt })
+}
+
+// running for longer than LOCK_TIMEOUT_MS: its worker died, maybe taken down by the job itself
+const staleJobMatch = () => ({
+    status: JOB_STATUS.RUNNING,
+    lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) }
+})
+
+const claimNextJob = () => {
+    const now = new Date()
+    return Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $or: [
+                { status: JOB_STATUS.QUEUED, runAt: { $lte: now } },
+                { ...staleJobMatch(), $expr: { $lt: ["$attempts", "$maxAttempts"] } }
+            ]
+        },
+        {
+            $set: { status: JOB_STATUS.RUNNING, lockedAt: now, lockedBy: WORKER_ID },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    )
+}
+
+const runJob = async (job) => {
+    const { handler, onFailure } = handlers.get(job.type)
+    try {
+        await handler(job)
+        await Job.updateOne({ _id: job._id }, {
+            $set: { status: JOB_STATUS.COMPLETED, completedAt: new Date(), lastError: null },
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        })
+    } catch (error) {
+        const lastError = error?.message || String(error)
+        const willRetry = job.attempts < job.maxAttempts
+        console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, lastError)
+
+        await Job.updateOne({ _id: job._id }, {
+            $set: {
+                status: willRetry ? JOB_STATUS.QUEUED : JOB_STATUS.FAILED,
+                runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1)),
+                lastError
+            },
+            $unset: { lockedAt: 1, lockedBy: 1 }
+        })
+
+        if (!willRetry && onFailure) {
+            await onFailure(job, error)
+        }
+    }
+}
+
+// A stale job without attempts left fails like any other last attempt, instead of being reclaimed forever
+const failStaleJobs = async () => {
+    for (;;) {
+        const job = await Job.findOneAndUpdate(
+            {
+                type: { $in: [...handlers.keys()] },
+                ...staleJobMatch(),
+                $expr: { $gte: ["$attempts", "$maxAttempts"] }
+            },
+            {
+                $set: { status: JOB_STATUS.FAILED, lastError: "Worker stopped while running the job" },
+                $unset: { lockedAt: 1, lockedBy: 1 }
+            },
+            { new: true }
+        )
+        if (!job) return
+
+        console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, job.lastError)
+        const { onFailure } = handlers.get(job.type)
+        if (onFailure) {
+            // one failing callback doesn't keep the other stale jobs waiting
+            await Promise.resolve(onFailure(job, new Error(job.lastError)))
+                .catch((error) => console.error("Job worker error:", error))
+        }
+    }
+}
+
+const pollJobs = async () => {
+    await failStaleJobs()
+    while (running < CONCURRENCY) {
+        const job = await claimNextJob()
+        if (!job) return
+
+        running++
+        runJob(job)
+            .catch((error) => console.error("Job worker error:", error))
+            .finally(() => { running-- })
+    }
+}
+
+const startJobWorker = () => {
+    const timer = setInterval(() => {
+        pollJobs().catch((error) => console.error("Job worker error:", error))
+    }, POLL_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export { registerJobHandler, enqueueJob, startJobWorker }
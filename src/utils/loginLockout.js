@@ -0,0 +1,55 @@
+import { getRateLimitStore } from "./rateLimit/index.js";
+
+// failed logins allowed before the first lock
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || "5")
+const BASE_LOCK_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || "30") * 1000
+const MAX_LOCK_MS = 60 * 60 * 1000
+// failures are forgotten a day after the first one, or on a successful login
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000
+
+/*
+ Failures are counted per account and IP. Counting per account only would let anyone lock
+ a user out by failing logins with their username, the per-IP rate limit of app.js covers
+ attempts spread over many accounts.
+*/
+const failureKey = (identifier, ip) => `login-failures:${identifier.toLowerCase()}:${ip}`
+
+// no lock before the threshold, then 30s doubling with every failure (1m, 2m, ...) up to an hour
+const lockDurationMs = (failures) => {
+    if (failures < LOCKOUT_THRESHOLD) return 0
+    return Math.min(BASE_LOCK_MS * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK_MS)
+}
+
+const lockedUntil = ({ count, lastHitAt }) => {
+    const until = lastHitAt.getTime() + lockDurationMs(count)
+    return until > Date.now() ? new Date(until) : null
+}
+
+// When logins of `identifier` (email or username) from `ip` are locked, null when they aren't
+const getLoginLock = async (identifier, ip) => {
+    try {
+        const failures = await getRateLimitStore().get(failureKey(identifier, ip))
+        return failures ? lockedUntil(failures) : null
+    } catch (error) {
+        console.error("Login lockout error:", error)
+        return null
+    }
+}
+
+// Counts a failed login, returns the end of the lock it causes (null when it causes none)
+const recordFailedLogin = async (identifier, ip) => {
+    try {
+        const failures = await getRateLimitStore().increment(failureKey(identifier, ip), FAILURE_WINDOW_MS)
+        return lockedUntil(failures)
+    } catch (error) {
+        console.error("Login lockout error:", error)
+        return null
+    }
+}
+
+const clearFailedLogins = async (identifier, ip) => {
+    await getRateLimitStore().reset(failureKey(identifier, ip))
+        .catch((error) => console.error("Login lockout error:", error))
+}
+
+export { getLoginLock, recordFailedLogin, clearFailedLogins }
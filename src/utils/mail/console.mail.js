@@ -0,0 +1,17 @@
+// Prints mails to the server log, the default for local development
+const send = async ({ from, to, subject, text }) => {
+    console.log([
+        "----- mail -----",
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        "",
+        text,
+        "----------------"
+    ].join("\n"))
+}
+
+export const consoleMail = {
+    name: "console",
+    send
+}
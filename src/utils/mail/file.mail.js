@@ -0,0 +1,27 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Writes every mail to an .eml file of MAIL_FILE_DIR, mail clients can open them
+const getMailDir = () => process.env.MAIL_FILE_DIR || "mails"
+
+const send = async ({ from, to, subject, text }) => {
+    const directory = path.resolve(getMailDir())
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomUUID()}.eml`
+
+    await fs.promises.mkdir(directory, { recursive: true })
+    await fs.promises.writeFile(path.join(directory, fileName), [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text
+    ].join("\r\n"))
+}
+
+export const fileMail = {
+    name: "file",
+    send
+}
@@ -0,0 +1,28 @@
+import { consoleMail } from "./console.mail.js";
+import { fileMail } from "./file.mail.js";
+
+/*
+ Every mail transport exposes send({ from, to, subject, text }).
+ Controllers only ever call sendMail below, so switching MAIL_TRANSPORT (console | file)
+ needs no code changes. A transport for a real mail service is one more file with the
+ same shape, added to `transports`.
+*/
+const transports = {
+    [consoleMail.name]: consoleMail,
+    [fileMail.name]: fileMail
+}
+
+const getMailTransport = (name = process.env.MAIL_TRANSPORT || "console") => {
+    const transport = transports[name.toLowerCase()]
+    if (!transport) {
+        throw new Error(`Unknown mail transport "${name}", expected one of: ${Object.keys(transports).join(", ")}`)
+    }
+    return transport
+}
+
+const sendMail = async ({ to, subject, text }) => {
+    const from = process.env.MAIL_FROM || "PlayBox <no-reply@playbox.local>"
+    await getMailTransport().send({ from, to, subject, text })
+}
+
+export { sendMail, getMailTransport }
@@ -0,0 +1,58 @@
+import { execFile } from "child_process";
+import path from "path";
+
+const MIME_TYPES = {
+    ".mp4": "video/mp4",
+    ".mov": "video/quicktime",
+    ".webm": "video/webm",
+    ".mkv": "video/x-matroska",
+    ".avi": "video/x-msvideo",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".gif": "image/gif",
+    ".webp": "image/webp"
+}
+
+const getMimeType = (filePath) => {
+    return MIME_TYPES[path.extname(filePath || "").toLowerCase()] || "application/octet-stream"
+}
+
+const isVideoMimeType = (mimeType) => typeof mimeType === "string" && mimeType.startsWith("video/")
+
+// Reads the duration (in seconds) of a local media file using ffprobe.
+// Returns null when ffprobe is not installed or the file has no duration,
+// so callers can decide whether a missing duration is fatal.
+const getMediaDuration = (localFilePath) => {
+    return new Promise((resolve) => {
+        execFile(
+            process.env.FFPROBE_PATH || "ffprobe",
+            ["-v", "error", "-show_entries", "format=duration", "-of", "default=noprint_wrappers=1:nokey=1", localFilePath],
+            (error, stdout) => {
+                if (error) {
+                    return resolve(null)
+                }
+                const duration = parseFloat(stdout)
+                resolve(Number.isFinite(duration) ? duration : null)
+            }
+        )
+    })
+}
+
+// Grabs a frame of the video as a jpeg thumbnail with ffmpeg. Rejects when ffmpeg is missing or fails.
+const generateThumbnail = (localVideoPath, outputPath, atSecond = 1) => {
+    return new Promise((resolve, reject) => {
+        execFile(
+            process.env.FFMPEG_PATH || "ffmpeg",
+            ["-y", "-v", "error", "-ss", String(atSecond), "-i", localVideoPath, "-frames:v", "1", "-vf", "scale=1280:-2", outputPath],
+            (error) => {
+                if (error) {
+                    return reject(new Error(`Could not generate a thumbnail: ${error.message}`))
+                }
+                resolve(outputPath)
+            }
+        )
+    })
+}
+
+export { getMimeType, isVideoMimeType, getMediaDuration, generateThumbnail }
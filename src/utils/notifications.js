@@ -0,0 +1,217 @@
+import { Notification, NOTIFICATION_TYPES } from "../models/notification.model.js";
+import { Subscription, SUBSCRIPTION_NOTIFICATION_LEVELS } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+import { Video, VIDEO_VISIBILITY } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { isUserConnected, publishToUser } from "./realtime.js";
+import { OWNER_FIELDS } from "../constants.js";
+
+/*
+ Inbox entries (models/notification.model.js).
+ Replies, likes and new subscribers notify one user right away. New videos and tweets notify the
+ subscribers of the channel from a job, a channel can have many of them:
+  - bell `all`: every public video and tweet
+  - bell `personalized` (the default): videos, if the subscriber watched one of the channel's recent
+    videos or subscribed in the last NOTIFICATION_PERSONALIZED_DAYS
+  - bell `none`: nothing
+ Creating the same notification twice (a like toggled twice, a retried job) keeps the first one.
+ New notifications are pushed to the recipients connected to utils/realtime.js.
+*/
+const SUBSCRIBERS_JOB = "notify-subscribers"
+const BATCH_SIZE = 500
+const PERSONALIZED_DAYS = parseInt(process.env.NOTIFICATION_PERSONALIZED_DAYS || "30")
+const PERSONALIZED_RECENT_VIDEOS = 50
+
+const KEY_FIELDS = ["recipient", "type", "actor", "video", "tweet", "comment"]
+
+// `ids` of new notifications whose recipients have a stream open
+const pushNotifications = async (ids) => {
+    if (!ids.length) return
+
+    const notifications = await Notification.find({ _id: { $in: ids } })
+        .select("-__v")
+        .populate("actor", OWNER_FIELDS)
+        .lean()
+    for (const notification of notifications) {
+        publishToUser(notification.recipient, "notification", { ...notification, read: false })
+    }
+}
+
+// Creates the notifications that don't exist yet, nobody is notified of what they did themselves
+const createNotifications = async (notifications) => {
+    const operations = notifications
+        .filter((notification) => notification.recipient && notification.recipient.toString() !== notification.actor?.toString())
+        .map((notification) => ({
+            updateOne: {
+                // every key field, a missing one as null: a video like must not match a comment like on the same video
+                filter: Object.fromEntries(KEY_FIELDS.map((field) => [field, notification[field] ?? null])),
+                update: { $setOnInsert: { readAt: null } },
+                upsert: true
+            }
+        }))
+    if (!operations.length) return
+
+    const result = await Notification.bulkWrite(operations, { ordered: false })
+    await pushNotifications(Object.entries(result.upsertedIds || {})
+        .filter(([index]) => isUserConnected(operations[index].updateOne.filter.recipient))
+        .map(([, id]) => id))
+    return result
+}
+
+const notifyCommentReply = async (reply) => {
+    if (!reply.parentComment) return
+    const parent = await Comment.findById(reply.parentComment).select("owner").lean()
+
+    return createNotifications([{
+        recipient: parent?.owner,
+        type: NOTIFICATION_TYPES.COMMENT_REPLY,
+        actor: reply.owner,
+        comment: reply._id,
+        video: reply.video
+    }])
+}
+
+const LIKED_MODELS = { video: Video, comment: Comment, tweet: Tweet }
+
+// `target` is the liked content: { video }, { comment } or { tweet }
+const notifyLike = async (actorId, target) => {
+    const field = Object.keys(LIKED_MODELS).find((name) => target[name])
+    const content = await LIKED_MODELS[field].findById(target[field]).select("owner video").lean()
+    if (!content) return
+
+    return createNotifications([{
+        recipient: content.owner,
+        type: NOTIFICATION_TYPES.LIKE,
+        actor: actorId,
+        [field]: content._id,
+        // a liked comment links to its video
+        ...(field === "comment" ? { video: content.video } : {})
+    }])
+}
+
+const notifyNewSubscriber = (subscriberId, channelId) => {
+    return createNotifications([{ recipient: channelId, type: NOTIFICATION_TYPES.NEW_SUBSCRIBER, actor: subscriberId }])
+}
+
+/*
+ Notifies the subscribers once a video is public, only the first time: a video made private and
+ public again doesn't notify twice.
+*/
+const notifyVideoPublished = async (videoId) => {
+    const video = await Video.findOneAndUpdate(
+        { _id: videoId, visibility: VIDEO_VISIBILITY.PUBLIC, subscribersNotifiedAt: null },
+        { $set: { subscribersNotifiedAt: new Date() } }
+    ).select("owner").lean()
+    if (!video) return
+
+    return enqueueJob(SUBSCRIBERS_JOB, { type: NOTIFICATION_TYPES.NEW_VIDEO, channel: video.owner, video: video._id })
+}
+
+/*
+ Videos public before notifications existed count as notified, so editing them notifies nobody.
+ Videos from before `visibility` existed may not be migrated yet (utils/videoVisibility.js), they
+ are public unless isPublished is false.
+*/
+const backfillSubscribersNotified = async () => {
+    return Video.updateMany(
+        {
+            $or: [
+                { visibility: VIDEO_VISIBILITY.PUBLIC },
+                { visibility: { $exists: false }, isPublished: { $ne: false } }
+            ],
+            subscribersNotifiedAt: { $exists: false }
+        },
+        [{ $set: { subscribersNotifiedAt: "$createdAt" } }]
+    )
+}
+
+const notifyTweetPublished = (tweet) => {
+    return enqueueJob(SUBSCRIBERS_JOB, { type: NOTIFICATION_TYPES.NEW_TWEET, channel: tweet.owner, tweet: tweet._id })
+}
+
+// the personalized subscribers of `subscriptions` who watch the channel
+const findEngagedSubscribers = async (subscriptions, recentVideoIds) => {
+    const since = new Date(Date.now() - PERSONALIZED_DAYS * 24 * 60 * 60 * 1000)
+    const engaged = new Set(subscriptions
+        .filter((subscription) => subscription.createdAt >= since)
+        .map((subscription) => subscription.subscriber.toString()))
+
+    const others = subscriptions.map((subscription) => subscription.subscriber).filter((id) => !engaged.has(id.toString()))
+    if (others.length && recentVideoIds.length) {
+        const watchers = await User.find({
+            _id: { $in: others },
+            watchHistory: { $elemMatch: { video: { $in: recentVideoIds }, watchedAt: { $gte: since } } }
+        }).select("_id").lean()
+        watchers.forEach((watcher) => engaged.add(watcher._id.toString()))
+    }
+    return engaged
+}
+
+const notifySubscribers = async (job) => {
+    const { type, channel, video, tweet } = job.payload
+    const isVideo = type === NOTIFICATION_TYPES.NEW_VIDEO
+
+    // deleted or made private before the job ran
+    const stillPublished = isVideo
+        ? await Video.exists({ _id: video, visibility: VIDEO_VISIBILITY.PUBLIC })
+        : await Tweet.exists({ _id: tweet })
+    if (!stillPublished) return
+
+    // subscriptions from before bells existed have none stored, they are personalized
+    const levels = isVideo
+        ? [SUBSCRIPTION_NOTIFICATION_LEVELS.ALL, SUBSCRIPTION_NOTIFICATION_LEVELS.PERSONALIZED, null]
+        : [SUBSCRIPTION_NOTIFICATION_LEVELS.ALL]
+
+    const recentVideoIds = isVideo
+        ? (await Video.find({ owner: channel, visibility: VIDEO_VISIBILITY.PUBLIC, _id: { $ne: video } })
+            .sort({ createdAt: -1 })
+            .limit(PERSONALIZED_RECENT_VIDEOS)
+            .select("_id")
+            .lean()).map((recent) => recent._id)
+        : []
+
+    const sendBatch = async (subscriptions) => {
+        const personalized = subscriptions.filter((subscription) => subscription.notifications !== SUBSCRIPTION_NOTIFICATION_LEVELS.ALL)
+        const engaged = await findEngagedSubscribers(personalized, recentVideoIds)
+
+        await createNotifications(subscriptions
+            .filter((subscription) => subscription.notifications === SUBSCRIPTION_NOTIFICATION_LEVELS.ALL || engaged.has(subscription.subscriber.toString()))
+            .map((subscription) => ({
+                recipient: subscription.subscriber,
+                type,
+                actor: channel,
+                ...(isVideo ? { video } : { tweet })
+            })))
+    }
+
+    let batch = []
+    const subscriptions = Subscription.find({ channel, notifications: { $in: levels } })
+        .select("subscriber notifications createdAt")
+        .lean()
+        .cursor()
+
+    for await (const subscription of subscriptions) {
+        batch.push(subscription)
+        if (batch.length === BATCH_SIZE) {
+            await sendBatch(batch)
+            batch = []
+        }
+    }
+    if (batch.length) {
+        await sendBatch(batch)
+    }
+}
+
+registerJobHandler(SUBSCRIBERS_JOB, notifySubscribers)
+
+export {
+    createNotifications,
+    notifyCommentReply,
+    notifyLike,
+    notifyNewSubscriber,
+    notifyVideoPublished,
+    notifyTweetPublished,
+    backfillSubscribersNotified
+}
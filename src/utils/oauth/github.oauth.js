@@ -0,0 +1,28 @@
+import { createOAuth2Provider, fetchJson } from "./oauth2.js";
+
+const API_URL = "https://api.github.com"
+
+// GitHub accounts, the email comes from /user/emails as the public one is often hidden
+export const githubOAuth = createOAuth2Provider({
+    name: "github",
+    displayName: "GitHub",
+    authorizeUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    scope: "read:user user:email",
+    fetchProfile: async (accessToken) => {
+        const [account, emails] = await Promise.all([
+            fetchJson(`${API_URL}/user`, accessToken),
+            fetchJson(`${API_URL}/user/emails`, accessToken)
+        ])
+        const primary = emails.find((entry) => entry.primary) || emails.find((entry) => entry.verified)
+
+        return {
+            providerUserId: String(account.id),
+            email: primary?.email,
+            emailVerified: primary?.verified === true,
+            name: account.name || account.login,
+            username: account.login,
+            avatar: account.avatar_url
+        }
+    }
+})
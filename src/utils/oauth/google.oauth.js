@@ -0,0 +1,22 @@
+import { createOAuth2Provider, fetchJson } from "./oauth2.js";
+
+// Google accounts through OpenID Connect, the profile comes from the userinfo endpoint
+export const googleOAuth = createOAuth2Provider({
+    name: "google",
+    displayName: "Google",
+    authorizeUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+    scope: "openid email profile",
+    authorizeParams: { prompt: "select_account" },
+    fetchProfile: async (accessToken) => {
+        const info = await fetchJson("https://openidconnect.googleapis.com/v1/userinfo", accessToken)
+        return {
+            providerUserId: info.sub,
+            email: info.email,
+            emailVerified: info.email_verified === true,
+            name: info.name,
+            username: info.email?.split("@")[0],
+            avatar: info.picture
+        }
+    }
+})
@@ -0,0 +1,87 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../ApiError.js";
+import { githubOAuth } from "./github.oauth.js";
+import { googleOAuth } from "./google.oauth.js";
+import { mockOAuth } from "./mock.oauth.js";
+
+/*
+ Every login provider exposes:
+  - name, displayName
+  - isConfigured() -> false while its credentials (env) are missing, it is then hidden
+  - authorizationUrl({ state, redirectUri, login }) -> the url the user logs in at
+  - exchangeCode({ code, redirectUri }) -> { providerUserId, email, emailVerified, name, username, avatar }
+ Controllers only ever go through getOAuthProvider below. Another provider is one more file,
+ google.oauth.js and github.oauth.js show the OAuth2 ones (see oauth2.js).
+*/
+const providers = {
+    [googleOAuth.name]: googleOAuth,
+    [githubOAuth.name]: githubOAuth,
+    [mockOAuth.name]: mockOAuth
+}
+
+const STATE_TTL = "10m"
+
+// a login is started to log in (or sign up), or to link the provider to the logged in user
+const OAUTH_MODES = {
+    LOGIN: "login",
+    LINK: "link"
+}
+
+const listOAuthProviders = () => Object.values(providers)
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, displayName }) => ({ name, displayName }))
+
+const getOAuthProvider = (name) => {
+    const provider = providers[name?.toLowerCase()]
+    if (!provider?.isConfigured()) {
+        throw new ApiError(404, `Login with "${name}" is not available`)
+    }
+    return provider
+}
+
+// The provider sends the user back to the frontend, which posts the code to the api
+const oauthRedirectUri = (provider) => {
+    const base = (process.env.OAUTH_REDIRECT_BASE_URL || process.env.APP_URL || process.env.CORS_ORIGIN || "http://localhost:3000").replace(/\/$/, "")
+    return `${base}/oauth/${provider.name}/callback`
+}
+
+const stateSecret = () => process.env.OAUTH_STATE_SECRET || process.env.ACCESS_TOKEN_SECRET
+
+/*
+ The `state` sent through the provider: signed, so what comes back is what we started, and
+ bound to the browser by `nonce`, which the caller keeps in a cookie. Without that, someone
+ could send a victim the callback of their own login and log the victim into their account.
+*/
+const createOAuthState = ({ provider, mode, userId }) => {
+    const nonce = crypto.randomBytes(16).toString("hex")
+    const state = jwt.sign({ provider: provider.name, mode, userId, nonce }, stateSecret(), { expiresIn: STATE_TTL })
+    return { state, nonce }
+}
+
+// Returns the payload of `state`, checked against the provider, the mode and the cookie nonce
+const readOAuthState = (state, { provider, mode, nonce }) => {
+    let payload
+    try {
+        payload = jwt.verify(state, stateSecret())
+    } catch (error) {
+        throw new ApiError(400, "Login has expired, try again")
+    }
+
+    const nonceMatches = typeof nonce === "string" && nonce.length === payload.nonce?.length &&
+        crypto.timingSafeEqual(Buffer.from(nonce), Buffer.from(payload.nonce))
+
+    if (payload.provider !== provider.name || payload.mode !== mode || !nonceMatches) {
+        throw new ApiError(400, "Invalid login state, try again")
+    }
+    return payload
+}
+
+export {
+    OAUTH_MODES,
+    listOAuthProviders,
+    getOAuthProvider,
+    oauthRedirectUri,
+    createOAuthState,
+    readOAuthState
+}
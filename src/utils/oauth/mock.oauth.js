@@ -0,0 +1,30 @@
+/*
+ A provider for local development and tests, no external account needed.
+ Its authorization url leads straight back to the redirect uri, with the `login` asked for
+ (default "mockuser") as the code, and every login gets a stable fake profile.
+ Only available with OAUTH_MOCK_ENABLED=true, anyone can log in as any mock login.
+*/
+const authorizationUrl = ({ state, redirectUri, login = "mockuser" }) => {
+    const params = new URLSearchParams({ code: login, state })
+    return `${redirectUri}?${params}`
+}
+
+const exchangeCode = async ({ code }) => {
+    const login = code.toLowerCase()
+    return {
+        providerUserId: login,
+        email: `${login}@mock.playbox.local`,
+        emailVerified: true,
+        name: `Mock ${login}`,
+        username: login,
+        avatar: `https://www.gravatar.com/avatar/${login}?d=identicon`
+    }
+}
+
+export const mockOAuth = {
+    name: "mock",
+    displayName: "Mock provider",
+    isConfigured: () => process.env.OAUTH_MOCK_ENABLED === "true",
+    authorizationUrl,
+    exchangeCode
+}
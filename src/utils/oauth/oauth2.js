@@ -0,0 +1,63 @@
+/*
+ Authorization code flow shared by the OAuth2 providers: the user is sent to `authorizeUrl`,
+ comes back with a code, and the code is traded at `tokenUrl` for an access token that
+ `fetchProfile` uses to read the account. Client id and secret are read from
+ <NAME>_CLIENT_ID / <NAME>_CLIENT_SECRET.
+*/
+const createOAuth2Provider = ({ name, displayName, authorizeUrl, tokenUrl, scope, authorizeParams = {}, fetchProfile }) => {
+    const envPrefix = name.toUpperCase()
+    const clientId = () => process.env[`${envPrefix}_CLIENT_ID`]
+    const clientSecret = () => process.env[`${envPrefix}_CLIENT_SECRET`]
+
+    const authorizationUrl = ({ state, redirectUri }) => {
+        const params = new URLSearchParams({
+            client_id: clientId(),
+            redirect_uri: redirectUri,
+            response_type: "code",
+            scope,
+            state,
+            ...authorizeParams
+        })
+        return `${authorizeUrl}?${params}`
+    }
+
+    const exchangeCode = async ({ code, redirectUri }) => {
+        const response = await fetch(tokenUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+            body: new URLSearchParams({
+                client_id: clientId(),
+                client_secret: clientSecret(),
+                grant_type: "authorization_code",
+                code,
+                redirect_uri: redirectUri
+            })
+        })
+        const token = await response.json().catch(() => ({}))
+        if (!response.ok || !token.access_token) {
+            throw new Error(`${displayName} rejected the code: ${token.error_description || token.error || response.status}`)
+        }
+        return fetchProfile(token.access_token)
+    }
+
+    return {
+        name,
+        displayName,
+        isConfigured: () => Boolean(clientId() && clientSecret()),
+        authorizationUrl,
+        exchangeCode
+    }
+}
+
+// GET of a provider api with the user's access token
+const fetchJson = async (url, accessToken) => {
+    const response = await fetch(url, {
+        headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json", "User-Agent": "playbox-backend" }
+    })
+    if (!response.ok) {
+        throw new Error(`Request to ${url} failed with status ${response.status}`)
+    }
+    return response.json()
+}
+
+export { createOAuth2Provider, fetchJson }
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { OAuthAccount } from "../models/oauthAccount.model.js";
+import { ApiError } from "./ApiError.js";
+import { runInTransaction } from "./transaction.js";
+
+const USERNAME_MAX_LENGTH = 30
+const FULL_NAME_MAX_LENGTH = 100
+const isDuplicateKeyError = (error) => error?.code === 11000
+
+// the provider's login or the start of the email, reduced to what usernames allow
+const usernameFromProfile = (profile) => {
+    const base = (profile.username || profile.email?.split("@")[0] || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9_.]/g, "")
+        .slice(0, USERNAME_MAX_LENGTH - 6) // room for the digits added when it is taken
+    return base.length >= 3 ? base : `user${base}`
+}
+
+const availableUsername = async (profile) => {
+    const base = usernameFromProfile(profile)
+    if (!(await User.exists({ username: base }))) return base
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const candidate = `${base}${crypto.randomInt(10000, 100000)}`
+        if (!(await User.exists({ username: candidate }))) return candidate
+    }
+    throw new ApiError(409, "Could not pick a username, try again")
+}
+
+const accountFields = (provider, profile) => ({
+    provider: provider.name,
+    providerUserId: profile.providerUserId,
+    email: profile.email,
+    displayName: profile.name
+})
+
+/*
+ The user a provider account logs in as: the user it is linked to, or a new user made from the
+ profile (name, avatar, email). Returns { user, created }.
+ A profile whose email already has an account is refused instead of logged into it, whoever
+ controls that provider account would otherwise get the existing account. Its owner can log in
+ and link the provider.
+*/
+const findOrCreateOAuthUser = async (provider, profile) => {
+    const account = await OAuthAccount.findOneAndUpdate(
+        { provider: provider.name, providerUserId: profile.providerUserId },
+        { $set: { lastUsedAt: new Date(), email: profile.email, displayName: profile.name } },
+        { new: true }
+    )
+    if (account) {
+        const user = await User.findById(account.user)
+        if (user) return { user, created: false }
+        await OAuthAccount.deleteOne({ _id: account._id }) // its user is gone
+    }
+
+    if (!profile.email) {
+        throw new ApiError(400, `${provider.displayName} did not share an email address, it is needed to create an account`)
+    }
+    const email = profile.email.toLowerCase()
+
+    if (await User.exists({ email })) {
+        throw new ApiError(409, `An account already uses ${email}, log in to it and link ${provider.displayName} from the account settings`)
+    }
+
+    const username = await availableUsername(profile)
+
+    try {
+        const user = await runInTransaction(async (session) => {
+            const [created] = await User.create([{
+                username,
+                email,
+                fullName: (profile.name || username).slice(0, FULL_NAME_MAX_LENGTH),
+                ...(profile.avatar ? { avatar: profile.avatar } : {}),
+                // the provider already checked the address
+                emailVerified: profile.emailVerified === true
+            }], { session })
+            await OAuthAccount.create([{ user: created._id, ...accountFields(provider, profile) }], { session })
+            return created
+        })
+        return { user, created: true }
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            throw new ApiError(409, "The account was just created, log in again")
+        }
+        throw error
+    }
+}
+
+// Links a provider account to `user`, each provider once per user
+const linkOAuthAccount = async (user, provider, profile) => {
+    const existing = await OAuthAccount.findOne({ provider: provider.name, providerUserId: profile.providerUserId })
+    if (existing) {
+        if (existing.user.equals(user._id)) return existing
+        throw new ApiError(409, `This ${provider.displayName} account is linked to another user`)
+    }
+
+    try {
+        return await OAuthAccount.create({ user: user._id, ...accountFields(provider, profile) })
+    } catch (error) {
+        if (isDuplicateKeyError(error)) {
+            throw new ApiError(409, `A ${provider.displayName} account is already linked, unlink it first`)
+        }
+        throw error
+    }
+}
+
+/*
+ Unlinks the user's account of `providerName`. The last way to log in can't be removed:
+ a user without a password keeps at least one provider.
+*/
+const unlinkOAuthAccount = async (user, providerName) => {
+    const account = await OAuthAccount.findOne({ user: user._id, provider: providerName })
+    if (!account) {
+        throw new ApiError(404, "No account of this provider is linked")
+    }
+
+    const [withPassword, otherAccounts] = await Promise.all([
+        User.exists({ _id: user._id, password: { $exists: true } }),
+        OAuthAccount.countDocuments({ user: user._id, _id: { $ne: account._id } })
+    ])
+    if (!withPassword && !otherAccounts) {
+        throw new ApiError(400, "Set a password (forgot password) or link another provider before unlinking the last way to log in")
+    }
+
+    await OAuthAccount.deleteOne({ _id: account._id })
+}
+
+export { findOrCreateOAuthUser, linkOAuthAccount, unlinkOAuthAccount }
@@ -0,0 +1,151 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { decodeCursor, encodeCursor } from "./cursor.js";
+
+/*
+ Cursor pagination shared by every list route.
+ A list is sorted by one field then `_id` (same direction), the cursor holds the field value and
+ `_id` of the last item, so the next page starts right after it even if documents were added.
+ Responses put the items in `data` and this in `pagination` (see ApiResponse):
+   { nextCursor, hasMore, limit, totalCount }   totalCount only when counting is cheap
+ Clients send `nextCursor` back as `?cursor=` and stop when `hasMore` is false.
+*/
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+const parseLimit = (limit, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+    return Math.min(Math.max(parseInt(limit) || defaultLimit, 1), maxLimit)
+}
+
+// values keep their type so dates and ids survive the JSON round trip
+const serializeValue = (value) => {
+    if (value instanceof Date) return { date: value.toISOString() }
+    if (value instanceof mongoose.Types.ObjectId) return { objectId: value.toString() }
+    return { value: value ?? null }
+}
+
+const deserializeValue = (key) => {
+    if (key?.date !== undefined) {
+        const date = new Date(key.date)
+        return Number.isNaN(date.getTime()) ? undefined : date
+    }
+    if (key?.objectId !== undefined) {
+        return isValidObjectId(key.objectId) ? new mongoose.Types.ObjectId(key.objectId) : undefined
+    }
+    return key && "value" in key ? key.value : undefined
+}
+
+const getValue = (document, field) => field.split(".").reduce((value, key) => value?.[key], document)
+
+/*
+ Reads a cursor made for lists sorted by `field`.
+ Returns null for the first page, { value, id, state } otherwise. `state` is whatever the list
+ stored with the cursor (e.g. the time the first page was ranked at).
+*/
+const readCursor = (cursor, field) => {
+    const position = decodeCursor(cursor)
+    if (!position) return null
+
+    const value = field === "_id" ? null : deserializeValue(position.key)
+    if (position.field !== field || !isValidObjectId(position.id) || value === undefined) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+    return { value, id: new mongoose.Types.ObjectId(position.id), state: position.state }
+}
+
+const createCursor = (document, field, state) => encodeCursor({
+    field,
+    key: field === "_id" ? undefined : serializeValue(getValue(document, field)),
+    id: document._id.toString(),
+    ...(state !== undefined ? { state } : {})
+})
+
+// Query conditions for the documents after `position` in a { [field]: order, _id: order } sort
+const afterCursor = (field, order, position) => {
+    const operator = order === 1 ? "$gt" : "$lt"
+    if (field === "_id") {
+        return { _id: { [operator]: position.id } }
+    }
+    return {
+        $or: [
+            { [field]: { [operator]: position.value } },
+            { [field]: position.value, _id: { [operator]: position.id } }
+        ]
+    }
+}
+
+const sortStage = (field, order) => (field === "_id" ? { _id: order } : { [field]: order, _id: order })
+
+/*
+ Builds the response of a page from `limit + 1` sorted documents.
+ `items` replaces the documents in the response when they were reshaped after sorting.
+*/
+const toPage = (documents, { field, limit, totalCount, state, items = documents.slice(0, limit) }) => {
+    const hasMore = documents.length > limit
+
+    return {
+        items,
+        pagination: {
+            nextCursor: hasMore ? createCursor(documents[limit - 1], field, state) : null,
+            hasMore,
+            limit,
+            ...(totalCount !== undefined ? { totalCount } : {})
+        }
+    }
+}
+
+/*
+ One page of `model` as an aggregation:
+   match        filter, first stage ($text must come first)
+   stages       run before the cursor is applied, may compute the sort field (e.g. a score)
+   sort         { field = "createdAt", order = -1 }
+   pageStages   run on the page only: lookups, projections, may drop documents (the page gets shorter)
+   cursor       `?cursor=` of the request
+   limit        `?limit=` of the request, limitOptions: { defaultLimit, maxLimit }
+   count        true to add totalCount with countDocuments(match), only for indexed filters
+   state        stored in the next cursor, read it back with readCursor
+*/
+const paginate = async (model, {
+    match = {},
+    stages = [],
+    sort = {},
+    pageStages = [],
+    cursor,
+    limit,
+    limitOptions,
+    count = false,
+    state
+} = {}) => {
+    const field = sort.field || "createdAt"
+    const order = sort.order === 1 ? 1 : -1
+    const pageSize = parseLimit(limit, limitOptions)
+    const position = readCursor(cursor, field)
+
+    const [[result], totalCount] = await Promise.all([
+        model.aggregate([
+            { $match: match },
+            ...stages,
+            ...(position ? [{ $match: afterCursor(field, order, position) }] : []),
+            { $sort: sortStage(field, order) },
+            { $limit: pageSize + 1 },
+            {
+                // the cursor comes from the sorted documents, before pageStages reshape or drop them
+                $facet: {
+                    positions: [{ $project: { _id: 1, [field]: 1 } }],
+                    items: [{ $limit: pageSize }, ...pageStages]
+                }
+            }
+        ]),
+        count ? model.countDocuments(match) : undefined
+    ])
+
+    return toPage(result.positions, { field, limit: pageSize, totalCount, state, items: result.items })
+}
+
+export {
+    parseLimit,
+    readCursor,
+    afterCursor,
+    toPage,
+    paginate
+}
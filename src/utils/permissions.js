@@ -0,0 +1,19 @@
+import { USER_ROLES } from "../constants.js";
+
+const STAFF_ROLES = [USER_ROLES.MODERATOR, USER_ROLES.ADMIN]
+
+const isOwner = (user, resource, ownerField = "owner") => {
+    const owner = resource?.[ownerField]
+    // owner may be populated or a plain ObjectId
+    const ownerId = owner?._id ?? owner
+    return !!user && !!ownerId && ownerId.toString() === user._id.toString()
+}
+
+const hasRole = (user, roles = []) => !!user && roles.includes(user.role)
+
+// The owner can always manage a resource, anyone else needs one of `roles`
+const canManage = (user, resource, { ownerField = "owner", roles = STAFF_ROLES } = {}) => {
+    return isOwner(user, resource, ownerField) || hasRole(user, roles)
+}
+
+export { STAFF_ROLES, isOwner, hasRole, canManage }
@@ -0,0 +1,24 @@
+import { memoryStore } from "./memory.store.js";
+import { mongoStore } from "./mongo.store.js";
+
+/*
+ Every rate limit store counts hits in fixed windows and exposes:
+  - increment(key, windowMs) -> { count, resetAt, lastHitAt }, starts a new window once resetAt passed
+  - get(key) -> the same, or null without an open window
+  - reset(key)
+ RATE_LIMIT_STORE picks it: memory (default, one server) or mongo (several servers share the counts).
+*/
+const stores = {
+    [memoryStore.name]: memoryStore,
+    [mongoStore.name]: mongoStore
+}
+
+const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+    const store = stores[name.toLowerCase()]
+    if (!store) {
+        throw new Error(`Unknown rate limit store "${name}", expected one of: ${Object.keys(stores).join(", ")}`)
+    }
+    return store
+}
+
+export { getRateLimitStore }
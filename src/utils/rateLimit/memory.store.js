@@ -0,0 +1,49 @@
+// Counters kept in the process, the default. Every server instance counts on its own.
+const buckets = new Map()
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+let sweepTimer = null
+
+// drops ended windows so the map doesn't grow with every client ever seen
+const startSweeping = () => {
+    if (sweepTimer) return
+    sweepTimer = setInterval(() => {
+        const now = Date.now()
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) buckets.delete(key)
+        }
+    }, SWEEP_INTERVAL_MS)
+    sweepTimer.unref()
+}
+
+const toResult = (bucket) => ({ count: bucket.count, resetAt: new Date(bucket.resetAt), lastHitAt: new Date(bucket.lastHitAt) })
+
+const increment = async (key, windowMs) => {
+    startSweeping()
+
+    const now = Date.now()
+    let bucket = buckets.get(key)
+    if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs }
+        buckets.set(key, bucket)
+    }
+    bucket.count += 1
+    bucket.lastHitAt = now
+    return toResult(bucket)
+}
+
+const get = async (key) => {
+    const bucket = buckets.get(key)
+    return bucket && bucket.resetAt > Date.now() ? toResult(bucket) : null
+}
+
+const reset = async (key) => {
+    buckets.delete(key)
+}
+
+export const memoryStore = {
+    name: "memory",
+    increment,
+    get,
+    reset
+}
@@ -0,0 +1,46 @@
+import { RateLimitBucket } from "../../models/rateLimitBucket.model.js";
+
+/*
+ Counters in the ratelimitbuckets collection, shared by every server instance.
+ A hit is one update: it adds to the current window, or starts a new one when the window ended
+ (or the bucket doesn't exist yet).
+*/
+const increment = async (key, windowMs, retried = false) => {
+    const now = new Date()
+    const windowOpen = { $gt: [{ $ifNull: ["$resetAt", now] }, now] }
+
+    try {
+        const bucket = await RateLimitBucket.findOneAndUpdate(
+            { key },
+            [{
+                $set: {
+                    count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+                    resetAt: { $cond: [windowOpen, "$resetAt", new Date(now.getTime() + windowMs)] },
+                    lastHitAt: now
+                }
+            }],
+            { upsert: true, new: true }
+        ).lean()
+        return { count: bucket.count, resetAt: bucket.resetAt, lastHitAt: bucket.lastHitAt }
+    } catch (error) {
+        // two first hits raced to create the bucket, the second one now finds it
+        if (error?.code === 11000 && !retried) return increment(key, windowMs, true)
+        throw error
+    }
+}
+
+const get = async (key) => {
+    const bucket = await RateLimitBucket.findOne({ key, resetAt: { $gt: new Date() } }).lean()
+    return bucket ? { count: bucket.count, resetAt: bucket.resetAt, lastHitAt: bucket.lastHitAt } : null
+}
+
+const reset = async (key) => {
+    await RateLimitBucket.deleteOne({ key })
+}
+
+export const mongoStore = {
+    name: "mongo",
+    increment,
+    get,
+    reset
+}
@@ -0,0 +1,133 @@
+import { ApiError } from "./ApiError.js";
+import { findActiveSession } from "./sessions.js";
+import { Video } from "../models/video.model.js";
+import { canViewVideo } from "./videoVisibility.js";
+
+/*
+ Live updates over Server-Sent Events: a client keeps one GET /realtime request open and receives
+ events of the rooms it is in:
+  - `user:<id>`, always: its notifications and subscriber count
+  - `video:<id>`, the videos it asked for: new comments and like counts, while it can still watch the video
+ Rooms live in the memory of this process, with several instances a client only gets the events
+ of the instance its stream is connected to.
+*/
+const HEARTBEAT_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS || "25000")
+const SESSION_CHECK_MS = 60 * 1000
+const MAX_STREAMS_PER_USER = parseInt(process.env.REALTIME_MAX_STREAMS_PER_USER || "5")
+// how long a client waits before reconnecting, sent to EventSource
+const RECONNECT_MS = 5000
+const MAX_TIMEOUT_MS = 2 ** 31 - 1
+
+const rooms = new Map() // room -> Set of streams
+const streamsPerUser = new Map() // user id -> open streams
+
+const userRoom = (userId) => `user:${userId}`
+const videoRoom = (videoId) => `video:${videoId}`
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+// `canReceive(stream)` leaves out the streams that may no longer get the event
+const publish = (room, event, data, canReceive = () => true) => {
+    for (const stream of rooms.get(room) || []) {
+        if (canReceive(stream)) writeEvent(stream.res, event, data)
+    }
+}
+
+const publishToUser = (userId, event, data) => publish(userRoom(userId), event, data)
+
+// A video made private or deleted after a stream joined its room stops sending it events
+const publishToVideo = async (videoId, event, data) => {
+    if (!rooms.has(videoRoom(videoId))) return
+
+    const video = await Video.findById(videoId).select("owner visibility").lean()
+    publish(videoRoom(videoId), event, data, (stream) => canViewVideo(stream.user, video))
+}
+
+// lets callers skip building an event nobody would receive
+const isUserConnected = (userId) => rooms.has(userRoom(userId))
+
+const join = (room, stream) => {
+    if (!rooms.has(room)) rooms.set(room, new Set())
+    rooms.get(room).add(stream)
+}
+
+const leave = (room, stream) => {
+    rooms.get(room)?.delete(stream)
+    if (!rooms.get(room)?.size) rooms.delete(room)
+}
+
+/*
+ Turns the response into an event stream for `req.user` (verifyJWT ran before) in its user room and
+ the rooms of `videoIds`. The stream ends when the client leaves, at `expiresAt` (the expiry of the
+ access token) or once its session is revoked, the client then reconnects with a fresh token.
+ Throws a 429 ApiError when the user already has MAX_STREAMS_PER_USER streams.
+*/
+const openStream = (req, res, { videoIds = [], expiresAt } = {}) => {
+    const userId = req.user._id.toString()
+    const openStreams = streamsPerUser.get(userId) || 0
+    if (openStreams >= MAX_STREAMS_PER_USER) {
+        throw new ApiError(429, "Too many live connections, close another tab first")
+    }
+
+    const stream = { res, user: req.user }
+    const streamRooms = [userRoom(userId), ...videoIds.map(videoRoom)]
+    streamsPerUser.set(userId, openStreams + 1)
+    streamRooms.forEach((room) => join(room, stream))
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no" // nginx would hold the events back
+    })
+    res.flushHeaders()
+    res.write(`retry: ${RECONNECT_MS}\n\n`)
+    writeEvent(res, "ready", { rooms: streamRooms })
+
+    let heartbeat
+    let expiry
+    let closed = false
+    const close = () => {
+        if (closed) return
+        closed = true
+        clearInterval(heartbeat)
+        clearTimeout(expiry)
+        streamRooms.forEach((room) => leave(room, stream))
+
+        const remaining = (streamsPerUser.get(userId) || 1) - 1
+        if (remaining) streamsPerUser.set(userId, remaining)
+        else streamsPerUser.delete(userId)
+
+        res.end()
+    }
+
+    let lastSessionCheck = Date.now()
+    heartbeat = setInterval(async () => {
+        res.write(": ping\n\n")
+
+        if (Date.now() - lastSessionCheck < SESSION_CHECK_MS) return
+        lastSessionCheck = Date.now()
+        // a failed check keeps the stream, the next one decides
+        const session = await findActiveSession(req.authSession._id, req.user._id).catch(() => req.authSession)
+        if (!session) close()
+    }, HEARTBEAT_MS)
+    heartbeat.unref()
+
+    if (expiresAt) {
+        // setTimeout can't wait longer than ~24 days
+        expiry = setTimeout(close, Math.min(Math.max(expiresAt.getTime() - Date.now(), 0), MAX_TIMEOUT_MS))
+        expiry.unref()
+    }
+
+    res.on("close", close)
+    return close
+}
+
+export {
+    publishToUser,
+    publishToVideo,
+    isUserConnected,
+    openStream
+}
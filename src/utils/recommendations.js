@@ -0,0 +1,201 @@
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Like } from "../models/like.model.js";
+import { RelatedVideos } from "../models/relatedVideos.model.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+import { OWNER_FIELDS } from "../constants.js";
+
+/*
+ "Up next" recommendations. Candidates of a video are scored by:
+   channel    uploaded by the same channel
+   tags       per tag shared with the video
+   coWatch    watched by the same users (from User.watchHistory)
+   coLike     liked by the same users (from the Like collection)
+ Scores are computed by a worker into the RelatedVideos collection so reads are a single lookup,
+ a video without (fresh) results is computed on first read. Reads drop videos the user already
+ watched and videos that are no longer public.
+*/
+const WEIGHTS = {
+    channel: 2,
+    tags: 1.5,
+    coWatch: 3,
+    coLike: 3
+}
+
+const RELATED_LIMIT = parseInt(process.env.RELATED_VIDEOS_LIMIT || "50")
+const CACHE_TTL_HOURS = parseFloat(process.env.RELATED_VIDEOS_TTL_HOURS || "6")
+const REFRESH_INTERVAL_MS = parseInt(process.env.RELATED_VIDEOS_REFRESH_INTERVAL_MS || `${15 * 60 * 1000}`)
+const REFRESH_BATCH_SIZE = parseInt(process.env.RELATED_VIDEOS_REFRESH_BATCH || "100")
+// how many watchers / likers of a video are looked at for co-watch and co-like signals
+const SIGNAL_SAMPLE_SIZE = 500
+const CANDIDATES_PER_SIGNAL = 100
+
+const getStaleBefore = () => new Date(Date.now() - CACHE_TTL_HOURS * 60 * 60 * 1000)
+
+const sameChannelCandidates = (video) => {
+    return Video.find({ owner: video.owner, _id: { $ne: video._id }, ...listedVideoMatch() })
+        .sort({ views: -1 })
+        .limit(CANDIDATES_PER_SIGNAL)
+        .select("_id")
+        .lean()
+}
+
+const sharedTagCandidates = (video) => {
+    if (!video.tags?.length) return []
+    return Video.aggregate([
+        { $match: { tags: { $in: video.tags }, _id: { $ne: video._id }, ...listedVideoMatch() } },
+        { $project: { count: { $size: { $setIntersection: ["$tags", video.tags] } } } },
+        { $sort: { count: -1 } },
+        { $limit: CANDIDATES_PER_SIGNAL }
+    ])
+}
+
+// other videos in the watch history of users who watched this one, with how many of them did
+const coWatchedCandidates = (video) => {
+    return User.aggregate([
+        { $match: { "watchHistory.video": video._id } },
+        { $limit: SIGNAL_SAMPLE_SIZE },
+        { $unwind: "$watchHistory" },
+        { $match: { "watchHistory.video": { $ne: video._id } } },
+        { $group: { _id: "$watchHistory.video", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: CANDIDATES_PER_SIGNAL }
+    ])
+}
+
+// other videos liked by users who liked this one
+const coLikedCandidates = async (video) => {
+    const likes = await Like.find({ video: video._id }).limit(SIGNAL_SAMPLE_SIZE).select("likedBy").lean()
+    if (!likes.length) return []
+    const likers = likes.map((like) => like.likedBy)
+
+    return Like.aggregate([
+        { $match: { likedBy: { $in: likers }, video: { $exists: true, $ne: video._id } } },
+        { $group: { _id: "$video", count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: CANDIDATES_PER_SIGNAL }
+    ])
+}
+
+// Scores every candidate of `videoId` and stores the best RELATED_LIMIT in RelatedVideos
+const computeRelatedVideos = async (videoId) => {
+    const video = await Video.findById(videoId).select("owner tags").lean()
+    if (!video) {
+        await RelatedVideos.deleteOne({ video: videoId })
+        return null
+    }
+
+    const [sameChannel, sharedTags, coWatched, coLiked] = await Promise.all([
+        sameChannelCandidates(video),
+        sharedTagCandidates(video),
+        coWatchedCandidates(video),
+        coLikedCandidates(video)
+    ])
+
+    const scores = new Map()
+    const addScore = (id, points) => {
+        const key = id.toString()
+        scores.set(key, (scores.get(key) || 0) + points)
+    }
+
+    sameChannel.forEach((candidate) => addScore(candidate._id, WEIGHTS.channel))
+    sharedTags.forEach((candidate) => addScore(candidate._id, WEIGHTS.tags * candidate.count))
+    // counts grow with the audience, log2 keeps a viral video from drowning every other signal
+    coWatched.forEach((candidate) => addScore(candidate._id, WEIGHTS.coWatch * Math.log2(1 + candidate.count)))
+    coLiked.forEach((candidate) => addScore(candidate._id, WEIGHTS.coLike * Math.log2(1 + candidate.count)))
+
+    // co-watch and co-like candidates may be private or deleted by now
+    const listed = await Video.find({ _id: { $in: [...scores.keys()] }, ...listedVideoMatch() }).distinct("_id")
+
+    const related = listed
+        .map((id) => ({ video: id, score: scores.get(id.toString()) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, RELATED_LIMIT)
+
+    return RelatedVideos.findOneAndUpdate(
+        { video: video._id },
+        { $set: { related, computedAt: new Date() } },
+        { upsert: true, new: true }
+    ).lean()
+}
+
+/*
+ Up next videos for `user` after `videoId`, best first, with their owner.
+ Cached results older than CACHE_TTL_HOURS are recomputed.
+*/
+const getRelatedVideos = async (videoId, user, { limit = 10 } = {}) => {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), RELATED_LIMIT)
+
+    let cached = await RelatedVideos.findOne({ video: videoId }).lean()
+    if (!cached || cached.computedAt < getStaleBefore()) {
+        cached = await computeRelatedVideos(videoId)
+    }
+    if (!cached) return []
+
+    const watched = new Set((user?.watchHistory || []).map((entry) => entry.video?.toString()))
+    const candidates = cached.related.filter((entry) => !watched.has(entry.video.toString()))
+    if (!candidates.length) return []
+
+    // a video can be made private or deleted after the scores were computed
+    const videos = await Video.find({ _id: { $in: candidates.map((entry) => entry.video) }, ...listedVideoMatch() })
+        .select("title thumbnail duration views likeCount tags owner createdAt")
+        .populate("owner", OWNER_FIELDS)
+        .lean()
+    const videosById = new Map(videos.map((video) => [video._id.toString(), video]))
+
+    return candidates
+        .filter((entry) => videosById.has(entry.video.toString()))
+        .slice(0, pageSize)
+        .map((entry) => ({ ...videosById.get(entry.video.toString()), score: entry.score }))
+}
+
+// Public videos whose recommendations are missing or older than CACHE_TTL_HOURS, most viewed first
+const refreshRelatedVideos = async () => {
+    const stale = await Video.aggregate([
+        { $match: listedVideoMatch() },
+        {
+            $lookup: {
+                from: RelatedVideos.collection.name,
+                localField: "_id",
+                foreignField: "video",
+                as: "cache",
+                pipeline: [{ $project: { computedAt: 1 } }]
+            }
+        },
+        { $match: { $or: [{ cache: { $size: 0 } }, { "cache.computedAt": { $lt: getStaleBefore() } }] } },
+        { $sort: { views: -1 } },
+        { $limit: REFRESH_BATCH_SIZE },
+        { $project: { _id: 1 } }
+    ])
+
+    // one at a time, these aggregations are heavy
+    for (const video of stale) {
+        await computeRelatedVideos(video._id)
+    }
+    return stale.length
+}
+
+let refreshRunning = false
+
+const startRelatedVideosWorker = () => {
+    const timer = setInterval(async () => {
+        if (refreshRunning) return
+        refreshRunning = true
+        try {
+            await refreshRelatedVideos()
+        } catch (error) {
+            console.error("Related videos refresh error:", error)
+        } finally {
+            refreshRunning = false
+        }
+    }, REFRESH_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export {
+    computeRelatedVideos,
+    getRelatedVideos,
+    refreshRelatedVideos,
+    startRelatedVideosWorker
+}
@@ -0,0 +1,313 @@
+import mongoose, { isValidObjectId } from "mongoose";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { Tweet } from "../models/tweet.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { ApiError } from "./ApiError.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+import { normalizeTag, parseCategory } from "./taxonomy.js";
+import { OWNER_PROJECTION } from "../constants.js";
+
+/*
+ Search runs on the Mongo text indexes declared in the models:
+  - videos: title, tags, channel name and description
+  - users (channels): username and full name
+  - tweets: content
+  - playlists: name and description
+ $text tokenizes the query itself, so user input never ends up in a regex.
+*/
+const MAX_QUERY_LENGTH = 200
+const MAX_LIMIT = 50
+
+export const SEARCH_TYPES = {
+    VIDEO: "video",
+    CHANNEL: "channel",
+    TWEET: "tweet",
+    PLAYLIST: "playlist"
+}
+
+const HOUR_MS = 60 * 60 * 1000
+const UPLOAD_DATE_RANGES = {
+    hour: HOUR_MS,
+    today: 24 * HOUR_MS,
+    week: 7 * 24 * HOUR_MS,
+    month: 30 * 24 * HOUR_MS,
+    year: 365 * 24 * HOUR_MS
+}
+
+const SORTS = {
+    relevance: { score: -1, views: -1 },
+    date: { createdAt: -1 },
+    views: { views: -1 }
+}
+
+const normalizeQuery = (query) => {
+    const text = typeof query === "string" ? query.trim() : ""
+    if (!text) {
+        throw new ApiError(400, "Search query is required")
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `Search query can't be longer than ${MAX_QUERY_LENGTH} characters`)
+    }
+    return text
+}
+
+const parseNumber = (value, name) => {
+    if (value === undefined || value === "") return undefined
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < 0) {
+        throw new ApiError(400, `${name} must be a positive number`)
+    }
+    return number
+}
+
+// `channel` may be a user id or a username
+const resolveChannelId = async (channel) => {
+    if (!channel) return undefined
+    if (isValidObjectId(channel)) return new mongoose.Types.ObjectId(channel)
+
+    const user = await User.findOne({ username: String(channel).toLowerCase() }).select("_id").lean()
+    if (!user) {
+        throw new ApiError(404, "Channel not found")
+    }
+    return user._id
+}
+
+/*
+ Reads the search filters from a query string:
+  - minDuration / maxDuration in seconds (videos only)
+  - uploadDate: hour | today | week | month | year
+  - channel: user id or username
+  - category / tag (videos only), a tag also matches hashtags of the description
+*/
+const parseSearchFilters = async ({ minDuration, maxDuration, uploadDate, channel, category, tag } = {}) => {
+    const filters = {
+        minDuration: parseNumber(minDuration, "minDuration"),
+        maxDuration: parseNumber(maxDuration, "maxDuration"),
+        channelId: await resolveChannelId(channel),
+        category: category ? parseCategory(category) : undefined,
+        tag: tag ? normalizeTag(tag) || undefined : undefined
+    }
+
+    if (filters.minDuration !== undefined && filters.maxDuration !== undefined && filters.minDuration > filters.maxDuration) {
+        throw new ApiError(400, "minDuration can't be greater than maxDuration")
+    }
+
+    if (uploadDate) {
+        if (!UPLOAD_DATE_RANGES[uploadDate]) {
+            throw new ApiError(400, `uploadDate must be one of: ${Object.keys(UPLOAD_DATE_RANGES).join(", ")}`)
+        }
+        filters.uploadedAfter = new Date(Date.now() - UPLOAD_DATE_RANGES[uploadDate])
+    }
+
+    return filters
+}
+
+// conditions shared by videos, tweets and playlists
+const ownerAndDateMatch = ({ channelId, uploadedAfter } = {}) => ({
+    ...(channelId ? { owner: channelId } : {}),
+    ...(uploadedAfter ? { createdAt: { $gte: uploadedAfter } } : {})
+})
+
+// Query conditions for the video filters, usable with or without a text search
+const videoFilterMatch = (filters = {}) => {
+    const duration = {
+        ...(filters.minDuration !== undefined ? { $gte: filters.minDuration } : {}),
+        ...(filters.maxDuration !== undefined ? { $lte: filters.maxDuration } : {})
+    }
+    return {
+        ...ownerAndDateMatch(filters),
+        ...(Object.keys(duration).length ? { duration } : {}),
+        ...(filters.category ? { category: filters.category } : {}),
+        ...(filters.tag ? { $or: [{ tags: filters.tag }, { hashtags: filters.tag }] } : {})
+    }
+}
+
+const parsePagination = ({ page = 1, limit = 10 } = {}) => {
+    const pageNumber = Math.max(parseInt(page) || 1, 1)
+    const pageSize = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT)
+    return { skip: (pageNumber - 1) * pageSize, limit: pageSize }
+}
+
+const ownerLookup = {
+    $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: OWNER_PROJECTION }]
+    }
+}
+
+// $text has to be the first stage, the soft delete plugin adds its condition to it
+const textSearchStages = (query, match, sort, { skip, limit }) => [
+    { $match: { $text: { $search: query }, ...match } },
+    { $addFields: { score: { $meta: "textScore" } } },
+    { $sort: sort },
+    { $skip: skip },
+    { $limit: limit }
+]
+
+const searchVideos = (query, filters, pagination, sortBy = "relevance") => {
+    return Video.aggregate([
+        ...textSearchStages(query, { ...listedVideoMatch(), ...videoFilterMatch(filters) }, SORTS[sortBy] || SORTS.relevance, pagination),
+        ownerLookup,
+        {
+            $project: {
+                title: 1,
+                description: 1,
+                thumbnail: 1,
+                duration: 1,
+                views: 1,
+                likeCount: 1,
+                category: 1,
+                tags: 1,
+                createdAt: 1,
+                score: 1,
+                owner: { $first: "$owner" }
+            }
+        }
+    ])
+}
+
+const searchChannels = (query, filters, pagination) => {
+    return User.aggregate([
+        ...textSearchStages(query, filters.channelId ? { _id: filters.channelId } : {}, SORTS.relevance, pagination),
+        {
+            $lookup: {
+                from: "subscriptions",
+                localField: "_id",
+                foreignField: "channel",
+                as: "subscribers",
+                pipeline: [{ $project: { _id: 1 } }]
+            }
+        },
+        {
+            $project: {
+                username: 1,
+                fullName: 1,
+                avatar: 1,
+                verified: 1,
+                score: 1,
+                subscribersCount: { $size: "$subscribers" }
+            }
+        }
+    ])
+}
+
+const searchTweets = (query, filters, pagination, sortBy = "relevance") => {
+    return Tweet.aggregate([
+        ...textSearchStages(query, ownerAndDateMatch(filters), sortBy === "date" ? SORTS.date : SORTS.relevance, pagination),
+        ownerLookup,
+        { $project: { content: 1, createdAt: 1, score: 1, owner: { $first: "$owner" } } }
+    ])
+}
+
+const searchPlaylists = (query, filters, pagination, sortBy = "relevance") => {
+    return Playlist.aggregate([
+        ...textSearchStages(query, ownerAndDateMatch(filters), sortBy === "date" ? SORTS.date : SORTS.relevance, pagination),
+        ownerLookup,
+        {
+            $project: {
+                name: 1,
+                description: 1,
+                createdAt: 1,
+                score: 1,
+                videosCount: { $size: "$videos" },
+                owner: { $first: "$owner" }
+            }
+        }
+    ])
+}
+
+const SEARCHERS = {
+    [SEARCH_TYPES.VIDEO]: searchVideos,
+    [SEARCH_TYPES.CHANNEL]: searchChannels,
+    [SEARCH_TYPES.TWEET]: searchTweets,
+    [SEARCH_TYPES.PLAYLIST]: searchPlaylists
+}
+
+const parseTypes = (types) => {
+    if (!types) return Object.values(SEARCH_TYPES)
+
+    const requested = String(types).split(",").map((type) => type.trim()).filter(Boolean)
+    const unknown = requested.filter((type) => !SEARCHERS[type])
+    if (unknown.length) {
+        throw new ApiError(400, `Unknown search type: ${unknown.join(", ")}`)
+    }
+    return [...new Set(requested)]
+}
+
+// Text scores of different collections don't compare, so the mixed list takes the best of each type in turn
+const interleave = (lists) => {
+    const longest = Math.max(0, ...lists.map((list) => list.length))
+    return Array.from({ length: longest }, (_, rank) => lists.map((list) => list[rank]).filter(Boolean)).flat()
+}
+
+/*
+ Searches every requested type and returns { videos, channels, tweets, playlists, results }.
+ `results` mixes all types, each item tagged with its `type`: the first of each type, then the second...
+ Duration, category and tag filters only make sense for videos, asking for them limits the search to videos.
+*/
+const search = async ({ q, type, sortBy, ...params } = {}) => {
+    const query = normalizeQuery(q)
+    const filters = await parseSearchFilters(params)
+    const pagination = parsePagination(params)
+
+    let types = parseTypes(type)
+    if ([filters.minDuration, filters.maxDuration, filters.category, filters.tag].some((value) => value !== undefined)) {
+        types = types.filter((searchType) => searchType === SEARCH_TYPES.VIDEO)
+    }
+    if (sortBy && !SORTS[sortBy]) {
+        throw new ApiError(400, `sortBy must be one of: ${Object.keys(SORTS).join(", ")}`)
+    }
+
+    const resultsByType = await Promise.all(
+        types.map(async (searchType) => {
+            const items = await SEARCHERS[searchType](query, filters, pagination, sortBy)
+            return [searchType, items.map((item) => ({ type: searchType, ...item }))]
+        })
+    )
+
+    const grouped = Object.fromEntries(resultsByType)
+    return {
+        query,
+        videos: grouped[SEARCH_TYPES.VIDEO] || [],
+        channels: grouped[SEARCH_TYPES.CHANNEL] || [],
+        tweets: grouped[SEARCH_TYPES.TWEET] || [],
+        playlists: grouped[SEARCH_TYPES.PLAYLIST] || [],
+        results: interleave(resultsByType.map(([, items]) => items))
+    }
+}
+
+// Videos keep a copy of their owner's name for the text index
+const getChannelName = (user) => [user?.fullName, user?.username].filter(Boolean).join(" ")
+
+const syncChannelName = async (userId) => {
+    const user = await User.findById(userId).select("fullName username").lean()
+    if (!user) return
+    return Video.updateMany(
+        { owner: user._id },
+        { $set: { channelName: getChannelName(user) } }
+    )
+}
+
+// Videos uploaded before search existed have no channel name yet
+const backfillChannelNames = async () => {
+    const owners = await Video.distinct("owner", { channelName: { $exists: false } })
+    for (const owner of owners) {
+        await syncChannelName(owner)
+    }
+}
+
+export {
+    UPLOAD_DATE_RANGES,
+    SORTS,
+    MAX_QUERY_LENGTH,
+    parseSearchFilters,
+    videoFilterMatch,
+    search,
+    getChannelName,
+    syncChannelName,
+    backfillChannelNames
+}
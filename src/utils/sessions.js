@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { Session, SESSION_REVOKE_REASONS } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+
+// lastUsedAt is written at most this often, not on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000
+
+const BROWSERS = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//]
+]
+const SYSTEMS = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/]
+]
+
+// A readable name for the device of a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0]
+
+    if (browser && system) return `${browser} on ${system}`
+    return browser || system || "Unknown device"
+}
+
+const clientInfo = (req) => {
+    const userAgent = req?.get("user-agent") || ""
+    return {
+        ip: req?.ip,
+        userAgent: userAgent.slice(0, 500),
+        device: describeDevice(userAgent)
+    }
+}
+
+const signTokens = (user, sessionId, tokenId) => {
+    const accessToken = user.generateAccessToken(sessionId)
+    const refreshToken = user.generateRefreshToken(sessionId, tokenId)
+    return { accessToken, refreshToken, expiresAt: new Date(jwt.decode(refreshToken).exp * 1000) }
+}
+
+/*
+ Logs the user in on a new session (one per device) and returns its tokens.
+ `req` is the login request, its IP and user agent describe the session.
+*/
+const generateAccessAndRefreshToken = async (userId, req) => {
+    try {
+        const user = await User.findById(userId)
+        const session = new Session({ user: user._id, tokenId: crypto.randomUUID(), ...clientInfo(req) })
+
+        const { accessToken, refreshToken, expiresAt } = signTokens(user, session._id, session.tokenId)
+        session.expiresAt = expiresAt
+        await session.save()
+
+        return { accessToken, refreshToken }
+
+    } catch (error) {
+        throw new ApiError(500, "Something went wrong while generating tokens")
+    }
+}
+
+/*
+ Trades a refresh token for new tokens of the same session. Only the last refresh token of a
+ session is accepted: swapping it for the new one is a single query, so a token works once.
+ A correctly signed token that isn't the current one was used before, someone else may hold a
+ copy, so the whole session (every token it issued) is revoked and its owner logs in again.
+*/
+const rotateRefreshToken = async (incomingRefreshToken, req) => {
+    let decodedToken
+    try {
+        decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
+    } catch (error) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    // tokens issued before sessions existed
+    if (!decodedToken.sid || !decodedToken.jti) {
+        throw new ApiError(401, "Refresh token is expired, log in again")
+    }
+
+    const user = await User.findById(decodedToken._id)
+    if (!user) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    const tokenId = crypto.randomUUID()
+    const { accessToken, refreshToken, expiresAt } = signTokens(user, decodedToken.sid, tokenId)
+
+    const session = await Session.findOneAndUpdate(
+        { _id: decodedToken.sid, user: user._id, tokenId: decodedToken.jti, revokedAt: null },
+        { $set: { tokenId, expiresAt, lastUsedAt: new Date(), ...clientInfo(req) } },
+        { new: true }
+    )
+
+    if (!session) {
+        const reused = await Session.findOneAndUpdate(
+            { _id: decodedToken.sid, user: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: SESSION_REVOKE_REASONS.TOKEN_REUSE } }
+        )
+        if (reused) {
+            console.error(`Refresh token reuse on session ${decodedToken.sid} of user ${user._id}, session revoked`)
+        }
+        throw new ApiError(401, "Refresh token is expired or used")
+    }
+
+    return { accessToken, refreshToken }
+}
+
+// The session an access token belongs to, null once it was revoked or expired
+const findActiveSession = (sessionId, userId) => {
+    return Session.findOne({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+}
+
+// Records that the session was used, skipped when it was recorded recently
+const touchSession = async (session) => {
+    if (Date.now() - session.lastUsedAt?.getTime() < TOUCH_INTERVAL_MS) return
+    await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+}
+
+// Returns false when the user has no such active session
+const revokeSession = async (sessionId, userId, reason = SESSION_REVOKE_REASONS.REVOKED) => {
+    const { modifiedCount } = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    return modifiedCount > 0
+}
+
+// Revokes every active session of the user but `except` (the current one, to stay logged in)
+const revokeUserSessions = async (userId, reason = SESSION_REVOKE_REASONS.REVOKED, { except } = {}) => {
+    const { modifiedCount } = await Session.updateMany(
+        { user: userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    return modifiedCount
+}
+
+export {
+    describeDevice,
+    generateAccessAndRefreshToken,
+    rotateRefreshToken,
+    findActiveSession,
+    touchSession,
+    revokeSession,
+    revokeUserSessions
+}
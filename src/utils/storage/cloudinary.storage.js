@@ -0,0 +1,42 @@
+import { v2 as cloudinary } from "cloudinary";
+import { getMimeType } from "../media.js";
+
+// Configuration
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+const upload = async (localFilePath, options = {}) => {
+    console.log(`Uploading file on cloudinary with local file path ${localFilePath}`);
+    // Upload file on Cloudinary
+    const response = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: "auto",
+        ...(options.folder ? { folder: options.folder } : {})
+    })
+
+    return {
+        url: response.secure_url || response.url,
+        publicId: response.public_id,
+        bytes: response.bytes,
+        duration: response.duration || null,
+        mimeType: options.mimeType || (response.format ? `${response.resource_type}/${response.format}` : getMimeType(localFilePath)),
+        resourceType: response.resource_type,
+        provider: "cloudinary"
+    }
+}
+
+const remove = async (publicId, options = {}) => {
+    // cloudinary needs to know whether the asset is a video or an image to find it
+    const response = await cloudinary.uploader.destroy(publicId, {
+        resource_type: options.resourceType || "image",
+        invalidate: true
+    })
+
+    if (response?.result !== "ok" && response?.result !== "not found") {
+        throw new Error(`Cloudinary could not delete ${publicId}: ${response?.result}`)
+    }
+}
+
+export const cloudinaryStorage = { name: "cloudinary", upload, remove }
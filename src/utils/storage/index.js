@@ -0,0 +1,67 @@
+import fs from "fs";
+import { cloudinaryStorage } from "./cloudinary.storage.js";
+import { localStorage } from "./local.storage.js";
+import { s3Storage } from "./s3.storage.js";
+
+/*
+ Every storage provider exposes the same two functions:
+  - upload(localFilePath, options) -> { url, publicId, bytes, duration, mimeType, resourceType, provider }
+  - remove(publicId, options)
+ Controllers only ever talk to uploadFile / deleteFile below, so switching
+ STORAGE_PROVIDER (cloudinary | local | s3) needs no code changes.
+*/
+const providers = {
+    [cloudinaryStorage.name]: cloudinaryStorage,
+    [localStorage.name]: localStorage,
+    [s3Storage.name]: s3Storage
+}
+
+const getStorageProvider = (name = process.env.STORAGE_PROVIDER || "cloudinary") => {
+    const provider = providers[name.toLowerCase()]
+    if (!provider) {
+        throw new Error(`Unknown storage provider "${name}", expected one of: ${Object.keys(providers).join(", ")}`)
+    }
+    return provider
+}
+
+const removeLocalFile = (localFilePath) => {
+    if (localFilePath && fs.existsSync(localFilePath)) {
+        fs.unlinkSync(localFilePath);
+    }
+}
+
+// Uploads a multer temp file to the configured provider and removes the temp file,
+// unless `keepLocalFile` is set (background jobs that may retry the upload).
+// Returns null when the upload fails so controllers can answer with their own ApiError.
+const uploadFile = async (localFilePath, options = {}) => {
+    if (!localFilePath) return null
+
+    try {
+        return await getStorageProvider().upload(localFilePath, options)
+    } catch (error) {
+        console.error("Storage Error:", error.error || error.message || error);
+        return null
+    } finally {
+        if (!options.keepLocalFile) {
+            removeLocalFile(localFilePath) // remove file from local storage
+        }
+    }
+}
+
+// An asset is deleted from the provider that stored it, which may differ from the current one
+const deleteFile = async (publicId, options = {}) => {
+    if (!publicId) return
+    await getStorageProvider(options.provider).remove(publicId, options)
+}
+
+// The part of an upload result we persist next to the url (see models/asset.schema.js)
+const toAsset = (uploadResult) => {
+    if (!uploadResult?.publicId) return undefined
+    return {
+        publicId: uploadResult.publicId,
+        provider: uploadResult.provider,
+        resourceType: uploadResult.resourceType
+    }
+}
+
+export { uploadFile, deleteFile, getStorageProvider, toAsset, removeLocalFile }
@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getMediaDuration, getMimeType, isVideoMimeType } from "../media.js";
+
+// Files are written below public/ so express.static serves them back
+const PUBLIC_DIR = path.resolve("public")
+
+const getUploadDir = () => process.env.LOCAL_STORAGE_DIR || "uploads"
+
+const getBaseUrl = () => {
+    return (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 8000}`).replace(/\/$/, "")
+}
+
+const upload = async (localFilePath, options = {}) => {
+    const mimeType = options.mimeType || getMimeType(localFilePath)
+    const fileName = `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`
+    const publicId = path.posix.join(getUploadDir(), options.folder || "", fileName)
+    const destination = path.join(PUBLIC_DIR, publicId)
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true })
+    await fs.promises.copyFile(localFilePath, destination)
+
+    const { size } = await fs.promises.stat(destination)
+
+    return {
+        url: `${getBaseUrl()}/${publicId}`,
+        publicId,
+        bytes: size,
+        duration: isVideoMimeType(mimeType) ? await getMediaDuration(destination) : null,
+        mimeType,
+        resourceType: isVideoMimeType(mimeType) ? "video" : "image",
+        provider: "local"
+    }
+}
+
+const remove = async (publicId) => {
+    const target = path.resolve(PUBLIC_DIR, publicId)
+
+    // never follow a public id outside of the public directory
+    if (!target.startsWith(PUBLIC_DIR + path.sep)) {
+        throw new Error(`Refusing to delete file outside of public directory: ${publicId}`)
+    }
+
+    await fs.promises.rm(target, { force: true })
+}
+
+export const localStorage = { name: "local", upload, remove }
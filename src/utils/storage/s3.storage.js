@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { getMediaDuration, getMimeType, isVideoMimeType } from "../media.js";
+
+let client;
+
+// the AWS SDK is only loaded when the s3 provider is actually selected
+const getClient = async () => {
+    if (!client) {
+        const { S3Client } = await import("@aws-sdk/client-s3")
+        client = new S3Client({
+            region: process.env.S3_REGION || "us-east-1",
+            // endpoint + path style let us talk to MinIO and other S3-compatible servers
+            ...(process.env.S3_ENDPOINT ? { endpoint: process.env.S3_ENDPOINT, forcePathStyle: true } : {}),
+            credentials: {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            }
+        })
+    }
+    return client
+}
+
+const getPublicUrl = (key) => {
+    if (process.env.S3_PUBLIC_URL) {
+        return `${process.env.S3_PUBLIC_URL.replace(/\/$/, "")}/${key}`
+    }
+    if (process.env.S3_ENDPOINT) {
+        return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${process.env.S3_BUCKET}/${key}`
+    }
+    return `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`
+}
+
+const upload = async (localFilePath, options = {}) => {
+    const { PutObjectCommand } = await import("@aws-sdk/client-s3")
+    const s3 = await getClient()
+
+    const mimeType = options.mimeType || getMimeType(localFilePath)
+    const key = path.posix.join(options.folder || "", `${crypto.randomUUID()}${path.extname(localFilePath).toLowerCase()}`)
+    const { size } = await fs.promises.stat(localFilePath)
+    // probe before uploading, the local file is removed right after
+    const duration = isVideoMimeType(mimeType) ? await getMediaDuration(localFilePath) : null
+
+    await s3.send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: key,
+        Body: fs.createReadStream(localFilePath),
+        ContentType: mimeType,
+        ContentLength: size
+    }))
+
+    return {
+        url: getPublicUrl(key),
+        publicId: key,
+        bytes: size,
+        duration,
+        mimeType,
+        resourceType: isVideoMimeType(mimeType) ? "video" : "image",
+        provider: "s3"
+    }
+}
+
+const remove = async (publicId) => {
+    const { DeleteObjectCommand } = await import("@aws-sdk/client-s3")
+    const s3 = await getClient()
+
+    await s3.send(new DeleteObjectCommand({
+        Bucket: process.env.S3_BUCKET,
+        Key: publicId
+    }))
+}
+
+export const s3Storage = { name: "s3", upload, remove }
@@ -0,0 +1,59 @@
+import { VIDEO_CATEGORIES } from "../constants.js";
+import { ApiError } from "./ApiError.js";
+
+/*
+ Tags, categories and hashtags.
+  - tags: chosen by the owner of a video, lowercase, without the leading `#`
+  - category: one of VIDEO_CATEGORIES
+  - hashtags: parsed from tweet content and video descriptions (models/hashtags.plugin.js)
+*/
+export const MAX_TAGS = 15
+const MAX_TAG_LENGTH = 30
+const MAX_HASHTAGS = 30
+
+// a `#` that doesn't follow a word character or a slash (urls), then letters, digits or `_`
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_/&])#([\p{L}\p{N}_]+)/gu
+
+// "#LoFi  Beats " -> "lofi beats", empty string when nothing is left
+const normalizeTag = (tag) => String(tag ?? "")
+    .trim()
+    .replace(/^#+/, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+
+/*
+ Accepts an array or a comma separated string (multipart forms can't send arrays)
+ and returns unique normalized tags. Throws a 400 ApiError for too many or too long tags.
+*/
+const parseTags = (input) => {
+    const values = Array.isArray(input) ? input : String(input ?? "").split(",")
+    const tags = [...new Set(values.map(normalizeTag).filter(Boolean))]
+
+    if (tags.length > MAX_TAGS) {
+        throw new ApiError(400, `A video can have at most ${MAX_TAGS} tags`)
+    }
+    const tooLong = tags.find((tag) => tag.length > MAX_TAG_LENGTH)
+    if (tooLong) {
+        throw new ApiError(400, `Tags can't be longer than ${MAX_TAG_LENGTH} characters: "${tooLong}"`)
+    }
+    return tags
+}
+
+const parseCategory = (category) => {
+    const value = normalizeTag(category)
+    if (!VIDEO_CATEGORIES.includes(value)) {
+        throw new ApiError(400, `Category must be one of: ${VIDEO_CATEGORIES.join(", ")}`)
+    }
+    return value
+}
+
+const parseHashtags = (text) => {
+    const hashtags = new Set()
+    for (const [, hashtag] of String(text ?? "").matchAll(HASHTAG_PATTERN)) {
+        hashtags.add(hashtag.toLowerCase().slice(0, MAX_TAG_LENGTH))
+        if (hashtags.size === MAX_HASHTAGS) break
+    }
+    return [...hashtags]
+}
+
+export { normalizeTag, parseTags, parseCategory, parseHashtags }
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+/*
+ Time-based one-time passwords (RFC 6238), the codes of authenticator apps.
+ A code is the HMAC-SHA1 of the number of PERIOD_SECONDS steps since the epoch, keyed with the
+ shared secret and cut to DIGITS digits. Secrets are exchanged in base32 (RFC 4648).
+*/
+const PERIOD_SECONDS = 30
+const DIGITS = 6
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+
+const base32Encode = (buffer) => {
+    let bits = ""
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0")
+
+    let encoded = ""
+    for (let index = 0; index < bits.length; index += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(index, index + 5).padEnd(5, "0"), 2)]
+    }
+    return encoded
+}
+
+const base32Decode = (text) => {
+    let bits = ""
+    for (const char of text.replace(/=+$/, "").toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char)
+        if (value === -1) throw new Error("Invalid base32 character")
+        bits += value.toString(2).padStart(5, "0")
+    }
+
+    const bytes = []
+    for (let index = 0; index + 8 <= bits.length; index += 8) {
+        bytes.push(parseInt(bits.slice(index, index + 8), 2))
+    }
+    return Buffer.from(bytes)
+}
+
+// 160 bits, the size RFC 4226 recommends for HMAC-SHA1
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS)
+
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8)
+    counter.writeBigUInt64BE(BigInt(step))
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+    const offset = hmac[hmac.length - 1] & 0xf
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+    return code.toString().padStart(DIGITS, "0")
+}
+
+/*
+ Returns the step `code` belongs to, or null when it is wrong. Codes of the steps right
+ before and after the current one are accepted too (`window`), phone clocks drift.
+*/
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    if (typeof code !== "string" || !new RegExp(`^\\d{${DIGITS}}$`).test(code)) return null
+
+    const now = currentStep(time)
+    for (let step = now - window; step <= now + window; step++) {
+        if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(code))) {
+            return step
+        }
+    }
+    return null
+}
+
+// The otpauth:// URI authenticator apps import, usually shown as a QR code
+const totpProvisioningUri = ({ secret, accountName, issuer }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    })
+    return `otpauth://totp/${label}?${params}`
+}
+
+export { generateTotpSecret, verifyTotp, totpProvisioningUri }
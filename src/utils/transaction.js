@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// Mongo only supports transactions on replica sets and sharded clusters
+const isTransactionUnsupported = (error) => {
+    return error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || "")
+}
+
+/*
+ Runs fn(session) inside a transaction. On a standalone Mongo server (local development)
+ it runs fn(null) without one, so every query inside fn must pass { session } through.
+*/
+const runInTransaction = async (fn) => {
+    try {
+        let result
+        await mongoose.connection.transaction(async (session) => {
+            result = await fn(session)
+        })
+        return result
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) {
+            throw error
+        }
+        return fn(null)
+    }
+}
+
+export { runInTransaction }
@@ -0,0 +1,239 @@
+import { View } from "../models/view.model.js";
+import { Like } from "../models/like.model.js";
+import { Comment } from "../models/comment.model.js";
+import { VideoActivity } from "../models/videoActivity.model.js";
+import { TrendingVideo, TRENDING_WINDOWS } from "../models/trendingVideo.model.js";
+import { ApiError } from "./ApiError.js";
+import { listedVideoMatch } from "./videoVisibility.js";
+import { paginate } from "./pagination.js";
+import { OWNER_PROJECTION } from "../constants.js";
+
+/*
+ Trending runs in two steps, both in a background worker:
+  1. view, like and comment events are counted per video and hour into VideoActivity buckets
+  2. every window (24h, 7d, 30d) ranks videos by the velocity of their activity: each bucket
+     counts views + likes + comments (weighted), halved every `halfLifeHours` it is old, so a
+     video that is picking up now beats one that was popular at the start of the window.
+ The ranking is stored in TrendingVideo, requests only read it.
+*/
+const HOUR_MS = 60 * 60 * 1000
+const REFRESH_INTERVAL_MS = parseInt(process.env.TRENDING_REFRESH_INTERVAL_MS || `${10 * 60 * 1000}`)
+const TRENDING_LIMIT = parseInt(process.env.TRENDING_LIMIT || "200")
+const MAX_PAGE_SIZE = 50
+
+const EVENT_WEIGHTS = {
+    views: 1,
+    likes: 5,
+    comments: 10
+}
+
+const WINDOW_CONFIG = {
+    [TRENDING_WINDOWS.DAY]: { hours: 24, halfLifeHours: 6 },
+    [TRENDING_WINDOWS.WEEK]: { hours: 7 * 24, halfLifeHours: 24 },
+    [TRENDING_WINDOWS.MONTH]: { hours: 30 * 24, halfLifeHours: 72 }
+}
+const LONGEST_WINDOW_HOURS = Math.max(...Object.values(WINDOW_CONFIG).map((config) => config.hours))
+
+// event collections and the bucket field they are counted into
+const EVENT_SOURCES = [
+    { model: View, field: "views", match: {} },
+    { model: Like, field: "likes", match: { video: { $exists: true } } },
+    { model: Comment, field: "comments", match: {} }
+]
+
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS)
+
+/*
+ Recounts every bucket from `since` (rounded down to the hour) from the event collections.
+ Recounting instead of incrementing keeps buckets right when a like or comment is removed.
+*/
+const rebuildActivityBuckets = async (since) => {
+    const from = startOfHour(since)
+
+    await VideoActivity.updateMany({ hour: { $gte: from } }, { $set: { views: 0, likes: 0, comments: 0 } })
+
+    for (const { model, field, match } of EVENT_SOURCES) {
+        await model.aggregate([
+            { $match: { ...match, createdAt: { $gte: from } } },
+            {
+                $group: {
+                    _id: { video: "$video", hour: { $dateTrunc: { date: "$createdAt", unit: "hour" } } },
+                    count: { $sum: 1 }
+                }
+            },
+            { $project: { _id: 0, video: "$_id.video", hour: "$_id.hour", [field]: "$count" } },
+            {
+                $merge: {
+                    into: VideoActivity.collection.name,
+                    on: ["video", "hour"],
+                    whenMatched: "merge",
+                    whenNotMatched: "insert"
+                }
+            }
+        ])
+    }
+}
+
+const eventCount = (field) => ({ $ifNull: [`$${field}`, 0] })
+
+const rankWindow = async (window, now) => {
+    const { hours, halfLifeHours } = WINDOW_CONFIG[window]
+
+    const ranked = await VideoActivity.aggregate([
+        { $match: { hour: { $gte: new Date(now.getTime() - hours * HOUR_MS) } } },
+        {
+            $addFields: {
+                decay: {
+                    $exp: {
+                        $multiply: [-Math.LN2 / halfLifeHours, { $divide: [{ $subtract: [now, "$hour"] }, HOUR_MS] }]
+                    }
+                },
+                events: {
+                    $add: Object.entries(EVENT_WEIGHTS).map(([field, weight]) => ({ $multiply: [weight, eventCount(field)] }))
+                }
+            }
+        },
+        {
+            $group: {
+                _id: "$video",
+                score: { $sum: { $multiply: ["$events", "$decay"] } },
+                views: { $sum: eventCount("views") },
+                likes: { $sum: eventCount("likes") },
+                comments: { $sum: eventCount("comments") }
+            }
+        },
+        { $match: { score: { $gt: 0 } } },
+        { $sort: { score: -1 } },
+        // some of the top videos may be private or deleted, rank a few more than needed
+        { $limit: TRENDING_LIMIT * 2 },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "listed",
+                pipeline: [{ $match: { deletedAt: null, ...listedVideoMatch() } }, { $project: { _id: 1 } }]
+            }
+        },
+        { $match: { "listed.0": { $exists: true } } },
+        { $limit: TRENDING_LIMIT }
+    ])
+
+    if (ranked.length) {
+        await TrendingVideo.insertMany(ranked.map((entry, index) => ({
+            window,
+            video: entry._id,
+            rank: index + 1,
+            score: entry.score,
+            views: entry.views,
+            likes: entry.likes,
+            comments: entry.comments,
+            computedAt: now
+        })))
+    }
+    // the previous ranking stays readable until the new one is written
+    await TrendingVideo.deleteMany({ window, computedAt: { $lt: now } })
+}
+
+const refreshTrending = async () => {
+    const now = new Date()
+
+    // recount from an hour before the last refresh, or the whole longest window the first time
+    const lastRefresh = await TrendingVideo.findOne().sort({ computedAt: -1 }).select("computedAt").lean()
+    const oldestBucket = new Date(now.getTime() - LONGEST_WINDOW_HOURS * HOUR_MS)
+    const since = lastRefresh && lastRefresh.computedAt > oldestBucket
+        ? new Date(lastRefresh.computedAt.getTime() - HOUR_MS)
+        : oldestBucket
+
+    await rebuildActivityBuckets(since)
+
+    for (const window of Object.values(TRENDING_WINDOWS)) {
+        await rankWindow(window, now)
+    }
+}
+
+/*
+ One page of the latest ranking of `window`, each video with its owner and the activity it
+ got during the window. Videos made private after the last refresh are skipped.
+*/
+const getTrendingVideos = async ({ window = TRENDING_WINDOWS.DAY, cursor, limit } = {}) => {
+    if (!WINDOW_CONFIG[window]) {
+        throw new ApiError(400, `Window must be one of: ${Object.values(TRENDING_WINDOWS).join(", ")}`)
+    }
+
+    const latest = await TrendingVideo.findOne({ window }).sort({ computedAt: -1 }).select("computedAt").lean()
+
+    // a refresh between two pages continues in the new ranking at the same rank
+    return paginate(TrendingVideo, {
+        match: { window, computedAt: latest?.computedAt ?? null },
+        sort: { field: "rank", order: 1 },
+        cursor,
+        limit,
+        limitOptions: { maxLimit: MAX_PAGE_SIZE },
+        pageStages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        { $match: { deletedAt: null, ...listedVideoMatch() } },
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "owner",
+                                pipeline: [{ $project: OWNER_PROJECTION }]
+                            }
+                        },
+                        {
+                            $project: {
+                                title: 1,
+                                thumbnail: 1,
+                                duration: 1,
+                                views: 1,
+                                likeCount: 1,
+                                createdAt: 1,
+                                owner: { $first: "$owner" }
+                            }
+                        }
+                    ]
+                }
+            },
+            { $unwind: "$video" },
+            {
+                $replaceWith: {
+                    $mergeObjects: [
+                        "$video",
+                        { trending: { rank: "$rank", score: "$score", views: "$views", likes: "$likes", comments: "$comments", computedAt: "$computedAt" } }
+                    ]
+                }
+            }
+        ]
+    })
+}
+
+let refreshRunning = false
+
+const runRefresh = async () => {
+    if (refreshRunning) return
+    refreshRunning = true
+    try {
+        await refreshTrending()
+    } catch (error) {
+        console.error("Trending refresh error:", error)
+    } finally {
+        refreshRunning = false
+    }
+}
+
+const startTrendingWorker = () => {
+    runRefresh()
+    const timer = setInterval(runRefresh, REFRESH_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export { refreshTrending, getTrendingVideos, startTrendingWorker }
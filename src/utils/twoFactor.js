@@ -0,0 +1,112 @@
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { UserToken, USER_TOKEN_PURPOSES } from "../models/userToken.model.js";
+import { ApiError } from "./ApiError.js";
+import { verifyTotp, totpProvisioningUri } from "./totp.js";
+import { findUserToken, hashToken, issueUserToken } from "./userTokens.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Playbox"
+const RECOVERY_CODE_COUNT = 10
+// time to enter the code once the password was accepted
+const LOGIN_TTL_MS = parseInt(process.env.TWO_FACTOR_LOGIN_TTL_MINUTES || "5") * 60 * 1000
+// wrong codes before the password has to be entered again
+const MAX_LOGIN_ATTEMPTS = 5
+
+// twoFactor fields are select: false in the user model
+const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep"
+
+const findUserWithTwoFactorSecrets = (userId) => User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS)
+
+// codes are shown as "xxxxx-xxxxx", users may type them without the dash or in capitals
+const hashRecoveryCode = (code) => hashToken(code.toLowerCase().replace(/[\s-]/g, ""))
+
+/*
+ A new set of recovery codes: `codes` are shown to the user once, only `codeHashes` are stored
+ (as twoFactor.recoveryCodeHashes, replacing the previous set).
+*/
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString("hex")
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    })
+    return { codes, codeHashes: codes.map(hashRecoveryCode) }
+}
+
+const provisioningUri = (user, secret) => totpProvisioningUri({ secret, accountName: user.email, issuer: TOTP_ISSUER })
+
+/*
+ Checks the second factor of a user with two-factor enabled (loaded with its secrets):
+ `code` from the authenticator app or one of the `recoveryCode`s. Both work once, the
+ update that marks them used only matches while they are unused.
+*/
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+    if (code) {
+        const step = verifyTotp(user.twoFactor.secret, code)
+        if (step === null) return false
+
+        const { modifiedCount } = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ "twoFactor.lastUsedStep": null }, { "twoFactor.lastUsedStep": { $lt: step } }]
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        )
+        return modifiedCount > 0
+    }
+
+    if (recoveryCode) {
+        const codeHash = hashRecoveryCode(recoveryCode)
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, "twoFactor.recoveryCodeHashes": codeHash },
+            { $pull: { "twoFactor.recoveryCodeHashes": codeHash } }
+        )
+        return modifiedCount > 0
+    }
+
+    return false
+}
+
+// First login step passed (the password): returns the token the second step is sent with
+const startTwoFactorLogin = (user) => issueUserToken(user, USER_TOKEN_PURPOSES.TWO_FACTOR_LOGIN, LOGIN_TTL_MS)
+
+/*
+ Second login step: returns the user once the code is right, the login token then stops working.
+ Every wrong code counts, after MAX_LOGIN_ATTEMPTS the token is dropped so codes can't be
+ guessed without the password.
+*/
+const verifyTwoFactorLogin = async (loginToken, factors) => {
+    const challenge = await findUserToken(loginToken, USER_TOKEN_PURPOSES.TWO_FACTOR_LOGIN)
+    const user = challenge && await findUserWithTwoFactorSecrets(challenge.user)
+
+    if (!user?.twoFactor?.enabled) {
+        throw new ApiError(401, "Login has expired, log in again")
+    }
+
+    if (!(await verifySecondFactor(user, factors))) {
+        const updated = await UserToken.findOneAndUpdate(
+            { _id: challenge._id },
+            { $inc: { attempts: 1 } },
+            { new: true }
+        )
+        if (updated?.attempts >= MAX_LOGIN_ATTEMPTS) {
+            await UserToken.deleteOne({ _id: challenge._id })
+            throw new ApiError(401, "Too many invalid codes, log in again")
+        }
+        throw new ApiError(401, "Invalid two-factor code")
+    }
+
+    const consumed = await UserToken.findOneAndDelete({ _id: challenge._id })
+    if (!consumed) {
+        throw new ApiError(401, "Login has expired, log in again")
+    }
+    return user
+}
+
+export {
+    findUserWithTwoFactorSecrets,
+    generateRecoveryCodes,
+    provisioningUri,
+    verifySecondFactor,
+    startTwoFactorLogin,
+    verifyTwoFactorLogin
+}
@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { UploadSession, UPLOAD_SESSION_STATUS } from "../models/uploadSession.model.js";
+
+const TEMP_DIR = "./public/temp"
+const SESSION_TTL_MS = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS || "24") * 60 * 60 * 1000
+const MAX_VIDEO_SIZE = parseInt(process.env.MAX_VIDEO_UPLOAD_BYTES || `${2 * 1024 * 1024 * 1024}`)
+const CHUNK_LIMIT = process.env.UPLOAD_CHUNK_LIMIT || "10mb"
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000
+
+const getTempFilePath = (sessionId) => path.join(TEMP_DIR, `upload-${sessionId}.part`)
+
+const getSessionExpiry = () => new Date(Date.now() + SESSION_TTL_MS)
+
+// Writes a chunk at its offset, so retrying a chunk that was already written is harmless
+const writeChunk = async (filePath, offset, chunk) => {
+    const handle = await fs.promises.open(filePath, "r+")
+    try {
+        await handle.write(chunk, 0, chunk.length, offset)
+    } finally {
+        await handle.close()
+    }
+}
+
+const hashFile = (filePath) => {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256")
+        fs.createReadStream(filePath)
+            .on("data", (data) => hash.update(data))
+            .on("end", () => resolve(hash.digest("hex")))
+            .on("error", reject)
+    })
+}
+
+// Drops sessions that were abandoned (or finished) more than UPLOAD_SESSION_TTL_HOURS ago, with their temp files
+const cleanupExpiredUploadSessions = async () => {
+    const expired = await UploadSession.find({
+        expiresAt: { $lt: new Date() },
+        status: { $ne: UPLOAD_SESSION_STATUS.FINALIZING }
+    })
+
+    for (const session of expired) {
+        await fs.promises.rm(session.tempFilePath, { force: true })
+        await session.deleteOne()
+    }
+}
+
+const startUploadSessionCleanupWorker = () => {
+    const timer = setInterval(() => {
+        cleanupExpiredUploadSessions().catch((error) => console.error("Upload session cleanup error:", error))
+    }, CLEANUP_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export {
+    MAX_VIDEO_SIZE,
+    CHUNK_LIMIT,
+    getTempFilePath,
+    getSessionExpiry,
+    writeChunk,
+    hashFile,
+    cleanupExpiredUploadSessions,
+    startUploadSessionCleanupWorker
+}
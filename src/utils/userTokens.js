@@ -0,0 +1,55 @@
+import crypto from "crypto";
+import { UserToken } from "../models/userToken.model.js";
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+/*
+ Creates a token for `purpose` valid `ttlMs`, replacing the previous ones of the same purpose
+ so only the last mail works. Returns the raw token, it is only ever sent to the user.
+*/
+const issueUserToken = async (user, purpose, ttlMs) => {
+    const token = crypto.randomBytes(32).toString("hex")
+
+    await UserToken.deleteMany({ user: user._id, purpose })
+    await UserToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + ttlMs)
+    })
+    return token
+}
+
+/*
+ Uses up a token: returns its document once, null when it is unknown, expired or already used.
+ Deleting it in the same query keeps two requests from using one token.
+*/
+const consumeUserToken = async (token, purpose) => {
+    if (typeof token !== "string" || !token) return null
+
+    return UserToken.findOneAndDelete({
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() }
+    }).lean()
+}
+
+// The document of a valid token, without using it up
+const findUserToken = async (token, purpose) => {
+    if (typeof token !== "string" || !token) return null
+
+    return UserToken.findOne({
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() }
+    }).lean()
+}
+
+// when the last token of `purpose` was sent, to rate limit resends
+const getLastTokenIssuedAt = async (userId, purpose) => {
+    const last = await UserToken.findOne({ user: userId, purpose }).sort({ createdAt: -1 }).select("createdAt").lean()
+    return last?.createdAt ?? null
+}
+
+export { hashToken, issueUserToken, consumeUserToken, findUserToken, getLastTokenIssuedAt }
@@ -0,0 +1,286 @@
+import { isValidObjectId } from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+/*
+ Declarative request validation, used by middlewares/validate.middleware.js.
+ A schema lists the fields of each part of the request, each field is a rule built with the
+ functions below:
+   {
+       params: { videoId: objectId({ required: true }) },
+       query: { limit: integer({ min: 1, max: 100 }) },
+       body: { title: string({ required: true, max: 100 }) },
+       files: { thumbnail: file({ mimeTypes: ["image/"] }) },
+       check: ({ params, query, body, files }) => [fieldError("body", "publishAt", "...")]
+   }
+ `check` is for rules that involve several fields, it runs once every field is valid.
+ Query strings and multipart bodies only carry strings, so numbers, booleans and dates are
+ parsed from them. Fields a schema doesn't list are left as they are.
+*/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const REQUEST_LOCATIONS = ["params", "query", "body"]
+
+const fieldError = (location, field, message) => ({ location, field, message })
+
+// thrown by rules, turned into a field error with the path of the value
+// unless the message is a complete `sentence` (custom rules, patternMessage)
+class RuleError extends Error {
+    constructor(message, { sentence = false, ...options } = {}) {
+        super(message, options)
+        this.sentence = sentence
+    }
+}
+
+const isMissing = (value) => value === undefined || value === null || value === ""
+
+/*
+ Rule builders. Every rule takes `required` and `default` (used when the value is missing),
+ and `nullable`: an explicit null is kept (to clear a field) instead of counting as missing.
+ The other options are listed with each builder.
+*/
+
+// trim (default true), lowercase, min / max length, pattern (+ patternMessage), enum, email
+const string = (options = {}) => ({ type: "string", trim: true, ...options })
+
+// one of `values`
+const oneOf = (values, options = {}) => string({ ...options, enum: values })
+
+// min, max
+const integer = (options = {}) => ({ type: "integer", ...options })
+const number = (options = {}) => ({ type: "number", ...options })
+
+const boolean = (options = {}) => ({ type: "boolean", ...options })
+
+// future: the date must be after the time of the request
+const date = (options = {}) => ({ type: "date", ...options })
+
+const objectId = (options = {}) => ({ type: "objectId", ...options })
+
+// list of `items`, also accepted as a comma separated string (forms can't send arrays); min, max
+const array = (items, options = {}) => ({ type: "array", items, ...options })
+
+// nested object whose fields are `shape`
+const object = (shape, options = {}) => ({ type: "object", shape, ...options })
+
+// parse(value) returns the value to use or throws an ApiError, e.g. parseTags of utils/taxonomy.js
+const custom = (parse, options = {}) => ({ type: "custom", parse, ...options })
+
+// uploaded file(s) of a multer field: maxCount (default 1), mimeTypes (prefixes like "image/"), maxSize in bytes
+const file = (options = {}) => ({ type: "file", maxCount: 1, ...options })
+
+const checkLength = (value, rule, unit) => {
+    if (rule.min !== undefined && value.length < rule.min) {
+        throw new RuleError(`must be at least ${rule.min} ${unit}`)
+    }
+    if (rule.max !== undefined && value.length > rule.max) {
+        throw new RuleError(`must be at most ${rule.max} ${unit}`)
+    }
+}
+
+const checkRange = (value, rule) => {
+    if (rule.min !== undefined && value < rule.min) {
+        throw new RuleError(`must be at least ${rule.min}`)
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        throw new RuleError(`must be at most ${rule.max}`)
+    }
+}
+
+const parsers = {
+    string: (value, rule) => {
+        if (typeof value !== "string") throw new RuleError("must be a string")
+
+        let text = rule.trim ? value.trim() : value
+        if (rule.lowercase) text = text.toLowerCase()
+
+        checkLength(text, rule, "characters")
+        if (rule.enum && !rule.enum.includes(text)) {
+            throw new RuleError(`must be one of: ${rule.enum.join(", ")}`)
+        }
+        if (rule.email && !EMAIL_PATTERN.test(text)) {
+            throw new RuleError("must be a valid email address")
+        }
+        if (rule.pattern && !rule.pattern.test(text)) {
+            throw rule.patternMessage
+                ? new RuleError(rule.patternMessage, { sentence: true })
+                : new RuleError("has an invalid format")
+        }
+        return text
+    },
+    integer: (value, rule) => {
+        const parsed = typeof value === "string" && /^-?\d+$/.test(value.trim()) ? Number(value) : value
+        if (!Number.isInteger(parsed)) throw new RuleError("must be an integer")
+        checkRange(parsed, rule)
+        return parsed
+    },
+    number: (value, rule) => {
+        const parsed = typeof value === "string" && value.trim() !== "" ? Number(value) : value
+        if (typeof parsed !== "number" || !Number.isFinite(parsed)) throw new RuleError("must be a number")
+        checkRange(parsed, rule)
+        return parsed
+    },
+    boolean: (value) => {
+        if (typeof value === "boolean") return value
+        if (value === "true" || value === "1") return true
+        if (value === "false" || value === "0") return false
+        throw new RuleError("must be true or false")
+    },
+    date: (value, rule) => {
+        const parsed = typeof value === "string" || typeof value === "number" ? new Date(value) : value
+        if (!(parsed instanceof Date) || Number.isNaN(parsed.getTime())) {
+            throw new RuleError("must be a valid date")
+        }
+        if (rule.future && parsed <= new Date()) {
+            throw new RuleError("must be in the future")
+        }
+        return parsed
+    },
+    objectId: (value) => {
+        if (typeof value !== "string" || !isValidObjectId(value)) throw new RuleError("must be a valid id")
+        return value
+    },
+    custom: (value, rule) => {
+        try {
+            return rule.parse(value)
+        } catch (error) {
+            if (error instanceof ApiError) throw new RuleError(error.message, { sentence: true, cause: error })
+            throw error
+        }
+    }
+}
+
+/*
+ Validates `value` against `rule` and returns the parsed value.
+ Errors are pushed to `errors` with the dotted path of the value (e.g. "links.0.url").
+*/
+const validateValue = (rule, value, path, location, errors) => {
+    if (value === null && rule.nullable) {
+        return null
+    }
+    if (isMissing(value) || (rule.type === "string" && rule.trim && typeof value === "string" && !value.trim())) {
+        if (rule.required) {
+            errors.push(fieldError(location, path, `${path} is required`))
+        }
+        return rule.default
+    }
+
+    if (rule.type === "array") {
+        const items = Array.isArray(value) ? value : typeof value === "string" ? value.split(",") : null
+        if (!items) {
+            errors.push(fieldError(location, path, `${path} must be a list`))
+            return undefined
+        }
+        try {
+            checkLength(items, rule, "items")
+        } catch (error) {
+            errors.push(fieldError(location, path, `${path} ${error.message}`))
+            return undefined
+        }
+        return items.map((item, index) => validateValue(rule.items, item, `${path}.${index}`, location, errors))
+    }
+
+    if (rule.type === "object") {
+        if (typeof value !== "object" || Array.isArray(value)) {
+            errors.push(fieldError(location, path, `${path} must be an object`))
+            return undefined
+        }
+        return validateFields(rule.shape, value, location, errors, `${path}.`)
+    }
+
+    try {
+        return parsers[rule.type](value, rule)
+    } catch (error) {
+        if (!(error instanceof RuleError)) throw error
+        const message = error.sentence ? error.message : `${path} ${error.message}`
+        errors.push(fieldError(location, path, message))
+        return undefined
+    }
+}
+
+// Validates the fields of `shape` in `values`, returns `values` with the parsed fields
+const validateFields = (shape, values, location, errors, prefix = "") => {
+    const parsed = { ...values }
+
+    for (const [field, rule] of Object.entries(shape)) {
+        const value = validateValue(rule, values?.[field], `${prefix}${field}`, location, errors)
+        if (value === undefined) {
+            delete parsed[field]
+        } else {
+            parsed[field] = value
+        }
+    }
+    return parsed
+}
+
+// multer puts upload.single() files in req.file and upload.fields() files in req.files
+const collectFiles = (req) => {
+    const files = Array.isArray(req.files) ? {} : { ...req.files }
+    for (const uploaded of Array.isArray(req.files) ? req.files : []) {
+        files[uploaded.fieldname] = [...(files[uploaded.fieldname] || []), uploaded]
+    }
+    if (req.file) {
+        files[req.file.fieldname] = [req.file]
+    }
+    return files
+}
+
+const validateFiles = (shape, files, errors) => {
+    for (const [field, rule] of Object.entries(shape)) {
+        const uploaded = files[field] || []
+
+        if (!uploaded.length) {
+            if (rule.required) errors.push(fieldError("files", field, `${field} file is required`))
+            continue
+        }
+        if (uploaded.length > rule.maxCount) {
+            errors.push(fieldError("files", field, `${field} takes at most ${rule.maxCount} file(s)`))
+        }
+        for (const { mimetype, size } of uploaded) {
+            if (rule.mimeTypes && !rule.mimeTypes.some((type) => mimetype?.startsWith(type))) {
+                errors.push(fieldError("files", field, `${field} must be a file of type: ${rule.mimeTypes.join(", ")}`))
+            }
+            if (rule.maxSize !== undefined && size > rule.maxSize) {
+                errors.push(fieldError("files", field, `${field} must be at most ${rule.maxSize} bytes`))
+            }
+        }
+    }
+}
+
+/*
+ Validates a request against `schema`.
+ Returns { values: { params, query, body }, errors }, the values hold the parsed fields.
+*/
+const validateRequest = (schema, req) => {
+    const errors = []
+    const values = {}
+
+    for (const location of REQUEST_LOCATIONS) {
+        values[location] = schema[location]
+            ? validateFields(schema[location], req[location] || {}, location, errors)
+            : req[location]
+    }
+    if (schema.files) {
+        validateFiles(schema.files, collectFiles(req), errors)
+    }
+
+    if (!errors.length && schema.check) {
+        errors.push(...(schema.check({ ...values, files: collectFiles(req), user: req.user }) || []))
+    }
+    return { values, errors }
+}
+
+export {
+    fieldError,
+    string,
+    oneOf,
+    integer,
+    number,
+    boolean,
+    date,
+    objectId,
+    array,
+    object,
+    custom,
+    file,
+    collectFiles,
+    validateRequest
+}
@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { Video, VIDEO_PROCESSING_STATUS, VIDEO_VISIBILITY } from "../models/video.model.js";
+import { Job } from "../models/job.model.js";
+import { User } from "../models/user.model.js";
+import { uploadFile, toAsset } from "./storage/index.js";
+import { getMediaDuration, generateThumbnail } from "./media.js";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { getChannelName } from "./search.js";
+import { notifyVideoPublished } from "./notifications.js";
+
+/*
+ Publishing a video is split in two:
+  - enqueueVideoProcessing() runs in the request: it keeps the uploaded files in public/temp,
+    creates the Video in the `processing` state and queues a job
+  - the "video.process" job reads the duration, generates a thumbnail when none was uploaded
+    and uploads both files to storage, then marks the video `ready` with the visibility the owner chose
+ Each step saves its result on the video, so a retried job continues where the last attempt stopped.
+ The job reads the files from local disk, so workers must run where the uploads were received.
+*/
+const VIDEO_PROCESSING_JOB = "video.process"
+const TEMP_DIR = "./public/temp"
+const MAX_ATTEMPTS = parseInt(process.env.VIDEO_PROCESSING_ATTEMPTS || "3")
+
+const removeLocalFiles = (...filePaths) => {
+    filePaths.filter(Boolean).forEach((filePath) => fs.rmSync(filePath, { force: true }))
+}
+
+// multer keeps the original file name, give the file a name no other upload can overwrite
+const moveToProcessingFile = async (file, videoId, kind) => {
+    const target = path.join(TEMP_DIR, `processing-${videoId}-${kind}${path.extname(file.path)}`)
+    await fs.promises.rename(file.path, target)
+    return { path: target, mimeType: file.mimeType }
+}
+
+/*
+  - videoFile / thumbnail: { path, mimeType } of files in public/temp, thumbnail is optional
+  - duration: fallback when neither ffprobe nor the storage provider can read the duration
+  - visibility / publishAt: what the video becomes once processed (see utils/videoVisibility.js)
+  - category / tags: already validated (see utils/taxonomy.js)
+*/
+const enqueueVideoProcessing = async ({ videoFile, thumbnail, title, description, category, tags = [], owner, duration, visibility = VIDEO_VISIBILITY.PUBLIC, publishAt = null }) => {
+    const videoId = new mongoose.Types.ObjectId()
+    const files = {
+        videoFile: await moveToProcessingFile(videoFile, videoId, "video"),
+        thumbnail: thumbnail ? await moveToProcessingFile(thumbnail, videoId, "thumbnail") : null
+    }
+
+    try {
+        const ownerDoc = await User.findById(owner).select("fullName username").lean()
+        const video = await Video.create({
+            _id: videoId,
+            title,
+            description,
+            category,
+            tags,
+            owner,
+            channelName: getChannelName(ownerDoc),
+            visibility: VIDEO_VISIBILITY.PROCESSING,
+            publishAt,
+            processingStatus: VIDEO_PROCESSING_STATUS.PROCESSING
+        })
+
+        await enqueueJob(VIDEO_PROCESSING_JOB, { videoId, ...files, duration, visibility }, { maxAttempts: MAX_ATTEMPTS })
+
+        return video
+    } catch (error) {
+        await Video.deleteOne({ _id: videoId })
+        removeLocalFiles(files.videoFile.path, files.thumbnail?.path)
+        throw error
+    }
+}
+
+const processVideo = async (job) => {
+    const { videoId, videoFile, thumbnail, duration, visibility = VIDEO_VISIBILITY.PUBLIC } = job.payload
+    const generatedThumbnailPath = path.join(TEMP_DIR, `processing-${videoId}-generated.jpg`)
+
+    // the owner may delete the video while it is still processing, it stays restorable
+    const video = await Video.findById(videoId).setOptions({ withDeleted: true })
+    if (!video) {
+        removeLocalFiles(videoFile.path, thumbnail?.path, generatedThumbnailPath)
+        return
+    }
+
+    if (!video.duration) {
+        video.duration = await getMediaDuration(videoFile.path) || Number(duration) || undefined
+    }
+
+    if (!video.thumbnailAsset) {
+        let thumbnailFile = thumbnail
+        if (!thumbnailFile) {
+            await generateThumbnail(videoFile.path, generatedThumbnailPath)
+            thumbnailFile = { path: generatedThumbnailPath, mimeType: "image/jpeg" }
+        }
+
+        const uploadedThumbnail = await uploadFile(thumbnailFile.path, { folder: "thumbnails", mimeType: thumbnailFile.mimeType, keepLocalFile: true })
+        if (!uploadedThumbnail) {
+            throw new Error("Storage Error: thumbnail upload failed")
+        }
+        video.thumbnail = uploadedThumbnail.url
+        video.thumbnailAsset = toAsset(uploadedThumbnail)
+        await video.save()
+    }
+
+    if (!video.videoFileAsset) {
+        const uploadedVideo = await uploadFile(videoFile.path, { folder: "videos", mimeType: videoFile.mimeType, keepLocalFile: true })
+        if (!uploadedVideo) {
+            throw new Error("Storage Error: video upload failed")
+        }
+        video.videoFile = uploadedVideo.url
+        video.videoFileAsset = toAsset(uploadedVideo)
+        video.duration = video.duration || uploadedVideo.duration || undefined
+        await video.save()
+    }
+
+    if (!video.duration) {
+        throw new Error("Not able to get the video duration")
+    }
+
+    video.processingStatus = VIDEO_PROCESSING_STATUS.READY
+    video.processingError = undefined
+    // a schedule that passed while the video was processing publishes it right away
+    const scheduleHasPassed = visibility === VIDEO_VISIBILITY.SCHEDULED && video.publishAt <= new Date()
+    video.visibility = scheduleHasPassed ? VIDEO_VISIBILITY.PUBLIC : visibility
+    await video.save()
+
+    // a failure here must not process the video again
+    if (video.visibility === VIDEO_VISIBILITY.PUBLIC) {
+        await notifyVideoPublished(video._id).catch((error) => console.error("Notification error:", error))
+    }
+
+    removeLocalFiles(videoFile.path, thumbnail?.path, generatedThumbnailPath)
+}
+
+// Called once the last attempt failed
+const markVideoProcessingFailed = async (job, error) => {
+    const { videoId, videoFile, thumbnail } = job.payload
+
+    await Video.updateOne(
+        { _id: videoId },
+        { $set: { processingStatus: VIDEO_PROCESSING_STATUS.FAILED, processingError: error?.message || String(error) } }
+    )
+    removeLocalFiles(videoFile.path, thumbnail?.path, path.join(TEMP_DIR, `processing-${videoId}-generated.jpg`))
+}
+
+registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, { onFailure: markVideoProcessingFailed })
+
+const getVideoProcessingJob = (videoId) => {
+    return Job.findOne({ type: VIDEO_PROCESSING_JOB, "payload.videoId": new mongoose.Types.ObjectId(videoId) })
+        .sort({ createdAt: -1 })
+}
+
+export { enqueueVideoProcessing, getVideoProcessingJob }
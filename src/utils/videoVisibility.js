@@ -0,0 +1,98 @@
+import { Video, VIDEO_VISIBILITY } from "../models/video.model.js";
+import { ApiError } from "./ApiError.js";
+import { canManage } from "./permissions.js";
+import { notifyVideoPublished } from "./notifications.js";
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.VIDEO_SCHEDULER_INTERVAL_MS || "60000")
+
+// what owners can pick, `processing` is only ever set by the upload pipeline
+const SELECTABLE_VISIBILITIES = [
+    VIDEO_VISIBILITY.DRAFT,
+    VIDEO_VISIBILITY.SCHEDULED,
+    VIDEO_VISIBILITY.UNLISTED,
+    VIDEO_VISIBILITY.PRIVATE,
+    VIDEO_VISIBILITY.PUBLIC
+]
+
+// Query conditions for videos that may appear in lists (feeds, search, channel pages, playlists...)
+const listedVideoMatch = () => ({ visibility: VIDEO_VISIBILITY.PUBLIC })
+
+// Query conditions for videos `user` can open: public and unlisted ones, plus their own
+const viewableVideoMatch = (user) => ({
+    $or: [
+        { visibility: { $in: [VIDEO_VISIBILITY.PUBLIC, VIDEO_VISIBILITY.UNLISTED] } },
+        ...(user?._id ? [{ owner: user._id }] : [])
+    ]
+})
+
+const canViewVideo = (user, video) => {
+    if (!video) return false
+    if ([VIDEO_VISIBILITY.PUBLIC, VIDEO_VISIBILITY.UNLISTED].includes(video.visibility)) return true
+    return canManage(user, video)
+}
+
+/*
+ Validates the visibility an owner asked for and returns { visibility, publishAt }.
+ A `publishAt` in the future schedules the video whatever visibility was given with it.
+ Throws a 400 ApiError for unknown values or a scheduled video without a future date.
+*/
+const resolveVisibility = ({ visibility, publishAt } = {}, defaultVisibility = VIDEO_VISIBILITY.PUBLIC) => {
+    const requested = visibility || (publishAt ? VIDEO_VISIBILITY.SCHEDULED : defaultVisibility)
+
+    if (!SELECTABLE_VISIBILITIES.includes(requested)) {
+        throw new ApiError(400, `Visibility must be one of: ${SELECTABLE_VISIBILITIES.join(", ")}`)
+    }
+
+    if (requested !== VIDEO_VISIBILITY.SCHEDULED) {
+        return { visibility: requested, publishAt: null }
+    }
+
+    const publishDate = new Date(publishAt)
+    if (!publishAt || Number.isNaN(publishDate.getTime()) || publishDate <= new Date()) {
+        throw new ApiError(400, "Scheduled videos need a publishAt date in the future")
+    }
+    return { visibility: VIDEO_VISIBILITY.SCHEDULED, publishAt: publishDate }
+}
+
+const publishScheduledVideos = async () => {
+    const due = await Video.find({ visibility: VIDEO_VISIBILITY.SCHEDULED, publishAt: { $lte: new Date() } }, "_id").lean()
+    if (!due.length) return
+
+    const ids = due.map((video) => video._id)
+    await Video.updateMany(
+        { _id: { $in: ids }, visibility: VIDEO_VISIBILITY.SCHEDULED },
+        { $set: { visibility: VIDEO_VISIBILITY.PUBLIC, isPublished: true } }
+    )
+    // they are no longer scheduled, a failed notification is not retried by the next tick
+    for (const id of ids) {
+        await notifyVideoPublished(id).catch((error) => console.error("Notification error:", error))
+    }
+}
+
+// Videos created before `visibility` existed only have isPublished
+const migrateVideoVisibility = async () => {
+    return Video.updateMany(
+        { visibility: { $exists: false } },
+        [{ $set: { visibility: { $cond: [{ $eq: ["$isPublished", false] }, VIDEO_VISIBILITY.PRIVATE, VIDEO_VISIBILITY.PUBLIC] } } }]
+    )
+}
+
+const startVideoScheduler = () => {
+    migrateVideoVisibility().catch((error) => console.error("Video visibility migration error:", error))
+
+    const timer = setInterval(() => {
+        publishScheduledVideos().catch((error) => console.error("Video scheduler error:", error))
+    }, SCHEDULER_INTERVAL_MS)
+    timer.unref()
+    return timer
+}
+
+export {
+    SELECTABLE_VISIBILITIES,
+    listedVideoMatch,
+    viewableVideoMatch,
+    canViewVideo,
+    resolveVisibility,
+    publishScheduledVideos,
+    startVideoScheduler
+}
@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import { View } from "../models/view.model.js";
+import { Video } from "../models/video.model.js";
+
+const VIEW_WINDOW_MS = parseFloat(process.env.VIEW_WINDOW_HOURS || "6") * 60 * 60 * 1000
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex")
+
+// Logged in viewers are identified by their id, anonymous ones by ip + user agent
+const getViewer = (req) => {
+    if (req.user?._id) {
+        return { viewer: req.user._id, key: `user:${req.user._id}` }
+    }
+    const fingerprint = hash(`${req.ip}|${req.get("user-agent") || ""}`)
+    return { viewer: null, fingerprint, key: `anon:${fingerprint}` }
+}
+
+/*
+ Counts a view of `video` for the viewer behind `req`, at most once per viewer per
+ VIEW_WINDOW_HOURS window. The channel owner's own views are never counted.
+ The unique dedupeKey makes concurrent requests (refresh spam, bots) count once.
+ Returns true when the view was counted.
+*/
+const registerView = async (video, req) => {
+    const ownerId = video.owner?._id ?? video.owner
+    if (req.user?._id && ownerId?.toString() === req.user._id.toString()) {
+        return false
+    }
+
+    const { viewer, fingerprint, key } = getViewer(req)
+    const windowStart = Math.floor(Date.now() / VIEW_WINDOW_MS)
+
+    try {
+        await View.create({
+            video: video._id,
+            viewer,
+            fingerprint,
+            dedupeKey: hash(`${video._id}|${key}|${windowStart}`)
+        })
+    } catch (error) {
+        if (error?.code === 11000) {
+            return false // already counted in this window
+        }
+        throw error
+    }
+
+    await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } })
+    return true
+}
+
+/*
+ Views counted before view events existed have no events, backfillLegacyViews keeps them as a
+ per video baseline so a recompute doesn't lose them: Video.views = legacyViews + its events.
+*/
+const backfillLegacyViews = async () => {
+    return Video.updateMany({ legacyViews: { $exists: false } }, [{ $set: { legacyViews: "$views" } }])
+}
+
+const viewsWithBaseline = (count) => [{ $set: { views: { $add: [{ $ifNull: ["$legacyViews", 0] }, count] } } }]
+
+// Rebuilds Video.views from the view events, for one video or for all of them. Returns the number of videos updated.
+const recomputeViewCounts = async (videoId) => {
+    if (videoId) {
+        const count = await View.countDocuments({ video: videoId })
+        const { matchedCount } = await Video.updateOne({ _id: videoId }, viewsWithBaseline(count))
+        return matchedCount
+    }
+
+    const counts = await View.aggregate([
+        { $group: { _id: "$video", views: { $sum: 1 } } }
+    ])
+
+    // videos without events are back to their baseline, the others get their events on top
+    const { matchedCount } = await Video.updateMany({}, viewsWithBaseline(0))
+    if (counts.length) {
+        await Video.bulkWrite(counts.map(({ _id, views }) => ({
+            updateOne: { filter: { _id }, update: viewsWithBaseline(views) }
+        })))
+    }
+    return matchedCount
+}
+
+export { registerView, recomputeViewCounts, backfillLegacyViews }
@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+
+const WATCH_HISTORY_LIMIT = parseInt(process.env.WATCH_HISTORY_LIMIT || "200")
+
+/*
+ Moves `videoId` to the front of the user's watch history in a single atomic update:
+  - any older entry for the same video is dropped, so every video appears once
+  - the playback position is kept from the older entry unless a new one is given
+  - the list is cut to WATCH_HISTORY_LIMIT entries
+ Nothing is written while the user has paused their history.
+*/
+const recordWatchHistory = async (userId, videoId, position) => {
+    const video = new mongoose.Types.ObjectId(videoId)
+    const history = { $ifNull: ["$watchHistory", []] }
+
+    const previousPosition = {
+        $let: {
+            vars: {
+                previous: {
+                    $arrayElemAt: [{ $filter: { input: history, cond: { $eq: ["$$this.video", video] } } }, 0]
+                }
+            },
+            in: { $ifNull: ["$$previous.position", 0] }
+        }
+    }
+
+    const entry = {
+        video,
+        watchedAt: "$$NOW",
+        position: Number.isFinite(position) ? position : previousPosition
+    }
+
+    return User.updateOne(
+        { _id: userId, watchHistoryPaused: { $ne: true } },
+        [
+            {
+                $set: {
+                    watchHistory: {
+                        $slice: [
+                            {
+                                $concatArrays: [
+                                    [entry],
+                                    { $filter: { input: history, cond: { $ne: ["$$this.video", video] } } }
+                                ]
+                            },
+                            WATCH_HISTORY_LIMIT
+                        ]
+                    }
+                }
+            }
+        ]
+    )
+}
+
+export { WATCH_HISTORY_LIMIT, recordWatchHistory }
@@ -0,0 +1,38 @@
+import { boolean, objectId, string } from "../utils/validation.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const CONTENT_MAX_LENGTH = 5000
+
+const content = string({ required: true, max: CONTENT_MAX_LENGTH })
+
+const videoCommentsSchema = {
+    params: idParams("videoId"),
+    query: {
+        ...paginationQuery(),
+        isOldest: boolean()
+    }
+}
+
+const addCommentSchema = {
+    params: idParams("videoId"),
+    body: {
+        content,
+        parentComment: objectId()
+    }
+}
+
+const updateCommentSchema = {
+    params: idParams("commentId"),
+    body: { content }
+}
+
+const commentSchema = {
+    params: idParams("commentId")
+}
+
+const commentRepliesSchema = {
+    params: idParams("commentId"),
+    query: paginationQuery()
+}
+
+export { videoCommentsSchema, addCommentSchema, updateCommentSchema, commentSchema, commentRepliesSchema }
@@ -0,0 +1,48 @@
+import { custom, date, fieldError, integer, number, objectId, oneOf, string } from "../utils/validation.js";
+import { SELECTABLE_VISIBILITIES } from "../utils/videoVisibility.js";
+import { UPLOAD_DATE_RANGES } from "../utils/search.js";
+import { parseCategory } from "../utils/taxonomy.js";
+import { VIDEO_VISIBILITY } from "../models/video.model.js";
+
+// Rules shared by the schemas of several routes, see utils/validation.js
+
+// `?cursor=&limit=` of the lists paginated with utils/pagination.js
+const paginationQuery = ({ maxLimit = 100 } = {}) => ({
+    cursor: string({ max: 1000 }),
+    limit: integer({ min: 1, max: maxLimit })
+})
+
+// route params that hold document ids: idParams("videoId", "playlistId")
+const idParams = (...names) => Object.fromEntries(names.map((name) => [name, objectId({ required: true })]))
+
+// filters of video lists and search, read by parseSearchFilters (utils/search.js)
+const searchFilterQuery = {
+    minDuration: number({ min: 0 }),
+    maxDuration: number({ min: 0 }),
+    uploadDate: oneOf(Object.keys(UPLOAD_DATE_RANGES)),
+    channel: string({ max: 100 }),
+    category: custom(parseCategory),
+    tag: string({ max: 50 })
+}
+
+const checkDurationRange = ({ query }) => {
+    if (query.minDuration !== undefined && query.maxDuration !== undefined && query.minDuration > query.maxDuration) {
+        return [fieldError("query", "minDuration", "minDuration can't be greater than maxDuration")]
+    }
+}
+
+// visibility of a video picked by its owner, scheduled videos need a publishAt date
+const visibilityFields = {
+    visibility: oneOf(SELECTABLE_VISIBILITIES),
+    publishAt: date()
+}
+
+// same rule as resolveVisibility: a publishAt without a visibility schedules the video
+const checkSchedule = ({ body }) => {
+    const scheduled = body.visibility === VIDEO_VISIBILITY.SCHEDULED || (!body.visibility && body.publishAt)
+    if (scheduled && !(body.publishAt > new Date())) {
+        return [fieldError("body", "publishAt", "Scheduled videos need a publishAt date in the future")]
+    }
+}
+
+export { paginationQuery, idParams, searchFilterQuery, checkDurationRange, visibilityFields, checkSchedule }
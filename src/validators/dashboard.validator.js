@@ -0,0 +1,7 @@
+import { paginationQuery } from "./common.validator.js";
+
+const channelVideosSchema = {
+    query: paginationQuery()
+}
+
+export { channelVideosSchema }
@@ -0,0 +1,7 @@
+import { paginationQuery } from "./common.validator.js";
+
+const feedSchema = {
+    query: paginationQuery({ maxLimit: 50 })
+}
+
+export { feedSchema }
@@ -0,0 +1,19 @@
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const videoLikeSchema = {
+    params: idParams("videoId")
+}
+
+const commentLikeSchema = {
+    params: idParams("commentId")
+}
+
+const tweetLikeSchema = {
+    params: idParams("tweetId")
+}
+
+const likedVideosSchema = {
+    query: paginationQuery()
+}
+
+export { videoLikeSchema, commentLikeSchema, tweetLikeSchema, likedVideosSchema }
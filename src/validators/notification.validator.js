@@ -0,0 +1,20 @@
+import { boolean } from "../utils/validation.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const notificationListSchema = {
+    query: {
+        ...paginationQuery(),
+        unread: boolean({ default: false })
+    }
+}
+
+const markNotificationSchema = {
+    params: idParams("notificationId"),
+    body: { read: boolean({ default: true }) }
+}
+
+const notificationSchema = {
+    params: idParams("notificationId")
+}
+
+export { notificationListSchema, markNotificationSchema, notificationSchema }
@@ -0,0 +1,23 @@
+import { string } from "../utils/validation.js";
+
+const providerParams = { provider: string({ required: true, lowercase: true, max: 30 }) }
+
+// `login` picks the account of the mock provider, the others ignore it
+const authorizeSchema = {
+    params: providerParams,
+    query: { login: string({ lowercase: true, min: 3, max: 30, pattern: /^[a-z0-9_.]+$/, patternMessage: "Login can only contain letters, digits, dots and underscores" }) }
+}
+
+const callbackSchema = {
+    params: providerParams,
+    body: {
+        code: string({ required: true, max: 2000 }),
+        state: string({ required: true, max: 2000 })
+    }
+}
+
+const unlinkSchema = {
+    params: providerParams
+}
+
+export { authorizeSchema, callbackSchema, unlinkSchema }
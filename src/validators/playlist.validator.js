@@ -0,0 +1,31 @@
+import { string } from "../utils/validation.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const playlistFields = {
+    name: string({ required: true, max: 150 }),
+    description: string({ required: true, max: 5000 })
+}
+
+const createPlaylistSchema = {
+    body: playlistFields
+}
+
+const playlistSchema = {
+    params: idParams("playlistId")
+}
+
+const updatePlaylistSchema = {
+    params: idParams("playlistId"),
+    body: playlistFields
+}
+
+const playlistVideoSchema = {
+    params: idParams("videoId", "playlistId")
+}
+
+const userPlaylistsSchema = {
+    params: idParams("userId"),
+    query: paginationQuery()
+}
+
+export { createPlaylistSchema, playlistSchema, updatePlaylistSchema, playlistVideoSchema, userPlaylistsSchema }
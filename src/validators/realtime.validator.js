@@ -0,0 +1,9 @@
+import { array, objectId } from "../utils/validation.js";
+
+const MAX_VIDEO_ROOMS = 20
+
+const realtimeStreamSchema = {
+    query: { videos: array(objectId(), { max: MAX_VIDEO_ROOMS }) }
+}
+
+export { realtimeStreamSchema }
@@ -0,0 +1,18 @@
+import { SEARCH_TYPES, MAX_QUERY_LENGTH, SORTS } from "../utils/search.js";
+import { array, integer, oneOf, string } from "../utils/validation.js";
+import { checkDurationRange, searchFilterQuery } from "./common.validator.js";
+
+const searchSchema = {
+    query: {
+        ...searchFilterQuery,
+        q: string({ required: true, max: MAX_QUERY_LENGTH }),
+        // comma separated: ?type=video,channel
+        type: array(oneOf(Object.values(SEARCH_TYPES), { required: true })),
+        sortBy: oneOf(Object.keys(SORTS)),
+        page: integer({ min: 1 }),
+        limit: integer({ min: 1, max: 50 })
+    },
+    check: checkDurationRange
+}
+
+export { searchSchema }
@@ -0,0 +1,19 @@
+import { oneOf } from "../utils/validation.js";
+import { SUBSCRIPTION_NOTIFICATION_LEVELS } from "../models/subscription.model.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const toggleSubscriptionSchema = {
+    params: idParams("channelId")
+}
+
+// both lists are the ones of the logged in user, the route param isn't read
+const subscriptionListSchema = {
+    query: paginationQuery()
+}
+
+const subscriptionNotificationsSchema = {
+    params: idParams("channelId"),
+    body: { level: oneOf(Object.values(SUBSCRIPTION_NOTIFICATION_LEVELS), { required: true }) }
+}
+
+export { toggleSubscriptionSchema, subscriptionListSchema, subscriptionNotificationsSchema }
@@ -0,0 +1,25 @@
+import { integer, oneOf, string } from "../utils/validation.js";
+import { paginationQuery } from "./common.validator.js";
+
+const popularTagsSchema = {
+    query: {
+        type: oneOf(["video", "tweet"]),
+        days: integer({ min: 1, max: 90 }),
+        limit: integer({ min: 1, max: 50 })
+    }
+}
+
+const tagVideosSchema = {
+    params: { tag: string({ required: true, max: 50 }) },
+    query: {
+        ...paginationQuery(),
+        sortBy: oneOf(["createdAt", "views"])
+    }
+}
+
+const tagTweetsSchema = {
+    params: { tag: string({ required: true, max: 50 }) },
+    query: paginationQuery()
+}
+
+export { popularTagsSchema, tagVideosSchema, tagTweetsSchema }
@@ -0,0 +1,24 @@
+import { string } from "../utils/validation.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const content = string({ required: true, max: 1000 })
+
+const createTweetSchema = {
+    body: { content }
+}
+
+const userTweetsSchema = {
+    params: idParams("userId"),
+    query: paginationQuery()
+}
+
+const updateTweetSchema = {
+    params: idParams("tweetId"),
+    body: { content }
+}
+
+const tweetSchema = {
+    params: idParams("tweetId")
+}
+
+export { createTweetSchema, userTweetsSchema, updateTweetSchema, tweetSchema }
@@ -0,0 +1,47 @@
+import { file, integer, number, string } from "../utils/validation.js";
+import { checkSchedule, idParams } from "./common.validator.js";
+import { publishVideoSchema } from "./video.validator.js";
+
+// the video details are stored with the session and used once the upload is finalized
+const { title, description, visibility, publishAt, category, tags } = publishVideoSchema.body
+
+const sessionIdParams = idParams("sessionId")
+
+const initiateUploadSchema = {
+    body: {
+        fileName: string({ required: true, max: 255 }),
+        mimeType: string({ required: true, lowercase: true, pattern: /^video\//, patternMessage: "Only video files can be uploaded" }),
+        totalSize: integer({ required: true, min: 1 }),
+        checksum: string({
+            required: true,
+            lowercase: true,
+            pattern: /^[a-f0-9]{64}$/,
+            patternMessage: "Checksum must be the hex encoded sha256 of the file"
+        }),
+        title,
+        description,
+        visibility,
+        publishAt,
+        category,
+        tags
+    },
+    check: checkSchedule
+}
+
+const uploadSessionSchema = {
+    params: sessionIdParams
+}
+
+// the offset can also be sent in the Upload-Offset header
+const uploadChunkSchema = {
+    params: sessionIdParams,
+    query: { offset: integer({ min: 0 }) }
+}
+
+const finalizeUploadSchema = {
+    params: sessionIdParams,
+    body: { duration: number({ min: 0 }) },
+    files: { thumbnail: file({ mimeTypes: ["image/"] }) }
+}
+
+export { initiateUploadSchema, uploadSessionSchema, uploadChunkSchema, finalizeUploadSchema }
@@ -0,0 +1,236 @@
+import { USER_ROLES } from "../constants.js";
+import { CHANNEL_SECTION_TYPES } from "../models/user.model.js";
+import { array, boolean, fieldError, file, number, object, objectId, oneOf, string } from "../utils/validation.js";
+import { idParams, paginationQuery } from "./common.validator.js";
+
+const PASSWORD_MIN_LENGTH = 8
+const PASSWORD_MAX_LENGTH = 128
+
+const fullName = string({ required: true, max: 100 })
+const email = string({ required: true, lowercase: true, max: 254, email: true })
+const username = string({
+    required: true,
+    lowercase: true,
+    min: 3,
+    max: 30,
+    pattern: /^[a-z0-9_.]+$/,
+    patternMessage: "Username can only contain letters, digits, dots and underscores"
+})
+// passwords are never trimmed, spaces are part of them
+const newPassword = string({ required: true, trim: false, min: PASSWORD_MIN_LENGTH, max: PASSWORD_MAX_LENGTH })
+const image = (options) => file({ ...options, mimeTypes: ["image/"] })
+
+const registerUserSchema = {
+    body: { fullName, email, username, password: newPassword },
+    files: {
+        avatar: image({ required: true }),
+        coverImage: image()
+    }
+}
+
+// existing accounts may have passwords from before the length rule, only their presence is checked
+const loginUserSchema = {
+    body: {
+        email: string({ lowercase: true, max: 254 }),
+        username: string({ lowercase: true, max: 30 }),
+        password: string({ required: true, trim: false, max: PASSWORD_MAX_LENGTH })
+    },
+    check: ({ body }) => {
+        if (!body.email && !body.username) {
+            return [fieldError("body", "username", "Email or username is required")]
+        }
+    }
+}
+
+const changePasswordSchema = {
+    body: {
+        oldPassword: string({ required: true, trim: false, max: PASSWORD_MAX_LENGTH }),
+        newPassword
+    },
+    check: ({ body }) => {
+        if (body.oldPassword === body.newPassword) {
+            return [fieldError("body", "newPassword", "New password must be different from the old one")]
+        }
+    }
+}
+
+const updateAccountSchema = {
+    body: { fullName, email, username }
+}
+
+const updateAvatarSchema = {
+    files: { avatar: image({ required: true }) }
+}
+
+const updateCoverImageSchema = {
+    files: { coverImage: image({ required: true }) }
+}
+
+const channelProfileSchema = {
+    params: { username: string({ required: true, lowercase: true, max: 30 }) }
+}
+
+const MAX_CHANNEL_LINKS = 10
+const MAX_CHANNEL_SECTIONS = 10
+
+// every field is optional, null clears the ones that can be empty (see channel.controller.js)
+const updateChannelSchema = {
+    body: {
+        description: string({ max: 5000, nullable: true }),
+        links: array(object({
+            title: string({ required: true, max: 50 }),
+            url: string({ required: true, max: 2000, pattern: /^https?:\/\/\S+$/i, patternMessage: "Links must be http or https urls" })
+        }), { max: MAX_CHANNEL_LINKS }),
+        location: string({ max: 100, nullable: true }),
+        featuredVideo: objectId({ nullable: true }),
+        trailerVideo: objectId({ nullable: true }),
+        sections: array(object({
+            type: oneOf(Object.values(CHANNEL_SECTION_TYPES), { required: true }),
+            title: string({ max: 100 }),
+            playlist: objectId()
+        }), { max: MAX_CHANNEL_SECTIONS })
+    },
+    check: ({ body }) => {
+        const errors = (body.sections || []).flatMap((section, index) => {
+            const isPlaylist = section.type === CHANNEL_SECTION_TYPES.PLAYLIST
+            if (isPlaylist === !section.playlist) {
+                return [fieldError("body", `sections.${index}.playlist`, isPlaylist
+                    ? "Playlist sections need a playlist"
+                    : "Only playlist sections take a playlist")]
+            }
+            return []
+        })
+        const fields = ["description", "links", "location", "featuredVideo", "trailerVideo", "sections"]
+        if (!fields.some((field) => body[field] !== undefined)) {
+            errors.push(fieldError("body", "description", `Send at least one of: ${fields.join(", ")}`))
+        }
+        return errors
+    }
+}
+
+const updateUsernameSchema = {
+    body: { username }
+}
+
+const watchHistorySchema = {
+    query: paginationQuery()
+}
+
+const watchPositionSchema = {
+    params: idParams("videoId"),
+    body: { position: number({ required: true, min: 0 }) }
+}
+
+const watchHistoryEntrySchema = {
+    params: idParams("videoId")
+}
+
+const watchHistoryPausedSchema = {
+    body: { paused: boolean({ required: true }) }
+}
+
+const updateRoleSchema = {
+    params: idParams("userId"),
+    body: { role: oneOf(Object.values(USER_ROLES), { required: true }) }
+}
+
+const updateVerifiedSchema = {
+    params: idParams("userId"),
+    body: { verified: boolean({ required: true }) }
+}
+
+const userToken = string({ required: true, max: 200 })
+
+const verifyEmailSchema = {
+    body: { token: userToken }
+}
+
+const forgotPasswordSchema = {
+    body: { email }
+}
+
+const resetPasswordSchema = {
+    body: { token: userToken, password: newPassword }
+}
+
+const revokeSessionSchema = {
+    params: idParams("sessionId")
+}
+
+const revokeAllSessionsSchema = {
+    query: { keepCurrent: boolean({ default: false }) }
+}
+
+const twoFactorCode = (options) => string({ ...options, pattern: /^\d{6}$/, patternMessage: "Code must be 6 digits" })
+const recoveryCode = string({ max: 20 })
+
+// the second factor is a code of the authenticator app or a recovery code
+const checkSecondFactor = ({ body }) => {
+    if (!body.code === !body.recoveryCode) {
+        return [fieldError("body", "code", "Send either a code or a recovery code")]
+    }
+}
+
+const enableTwoFactorSchema = {
+    body: { code: twoFactorCode({ required: true }) }
+}
+
+const disableTwoFactorSchema = {
+    body: {
+        password: string({ required: true, trim: false, max: PASSWORD_MAX_LENGTH }),
+        code: twoFactorCode(),
+        recoveryCode
+    },
+    check: checkSecondFactor
+}
+
+const recoveryCodesSchema = {
+    body: { code: twoFactorCode({ required: true }) }
+}
+
+// the password and code are checked against what the account has, see privacy.controller.js
+const accountDeletionSchema = {
+    body: {
+        password: string({ trim: false, max: PASSWORD_MAX_LENGTH }),
+        code: twoFactorCode(),
+        recoveryCode
+    },
+    check: ({ body }) => {
+        if (body.code && body.recoveryCode) {
+            return [fieldError("body", "code", "Send either a code or a recovery code")]
+        }
+    }
+}
+
+const twoFactorLoginSchema = {
+    body: { loginToken: userToken, code: twoFactorCode(), recoveryCode },
+    check: checkSecondFactor
+}
+
+export {
+    registerUserSchema,
+    loginUserSchema,
+    changePasswordSchema,
+    updateAccountSchema,
+    updateAvatarSchema,
+    updateCoverImageSchema,
+    channelProfileSchema,
+    updateChannelSchema,
+    updateUsernameSchema,
+    watchHistorySchema,
+    watchPositionSchema,
+    watchHistoryEntrySchema,
+    watchHistoryPausedSchema,
+    updateRoleSchema,
+    updateVerifiedSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    revokeSessionSchema,
+    revokeAllSessionsSchema,
+    enableTwoFactorSchema,
+    disableTwoFactorSchema,
+    recoveryCodesSchema,
+    twoFactorLoginSchema,
+    accountDeletionSchema
+}
@@ -0,0 +1,111 @@
+import { TRENDING_WINDOWS } from "../models/trendingVideo.model.js";
+import { parseCategory, parseTags } from "../utils/taxonomy.js";
+import { custom, fieldError, file, integer, number, objectId, oneOf, string } from "../utils/validation.js";
+import { MAX_QUERY_LENGTH } from "../utils/search.js";
+import {
+    checkDurationRange,
+    checkSchedule,
+    idParams,
+    paginationQuery,
+    searchFilterQuery,
+    visibilityFields
+} from "./common.validator.js";
+
+// fields getAllVideos can sort by, "relevance" is the text search score
+export const VIDEO_SORT_FIELDS = ["createdAt", "views", "likeCount", "duration", "title", "relevance"]
+
+const TITLE_MAX_LENGTH = 100
+const DESCRIPTION_MAX_LENGTH = 5000
+
+const videoIdParams = idParams("videoId")
+
+// category and tags are parsed by utils/taxonomy.js, tags also come as a comma separated string
+const taxonomyFields = {
+    category: custom(parseCategory),
+    tags: custom(parseTags)
+}
+
+const getAllVideosSchema = {
+    query: {
+        ...paginationQuery(),
+        ...searchFilterQuery,
+        query: string({ max: MAX_QUERY_LENGTH }),
+        sortBy: oneOf(VIDEO_SORT_FIELDS),
+        sortType: oneOf(["asc", "desc"]),
+        userId: objectId()
+    },
+    check: (request) => {
+        if (request.query.sortBy === "relevance" && !request.query.query) {
+            return [fieldError("query", "sortBy", "Sorting by relevance needs a search query")]
+        }
+        return checkDurationRange(request)
+    }
+}
+
+const publishVideoSchema = {
+    body: {
+        title: string({ required: true, max: TITLE_MAX_LENGTH }),
+        description: string({ required: true, max: DESCRIPTION_MAX_LENGTH }),
+        duration: number({ min: 0 }),
+        ...visibilityFields,
+        ...taxonomyFields
+    },
+    files: {
+        videoFile: file({ required: true, mimeTypes: ["video/"] }),
+        thumbnail: file({ mimeTypes: ["image/"] })
+    },
+    check: checkSchedule
+}
+
+const videoSchema = {
+    params: videoIdParams
+}
+
+const updateVideoSchema = {
+    params: videoIdParams,
+    body: {
+        title: string({ min: 1, max: TITLE_MAX_LENGTH }),
+        description: string({ max: DESCRIPTION_MAX_LENGTH }),
+        ...visibilityFields,
+        ...taxonomyFields
+    },
+    files: {
+        thumbnail: file({ mimeTypes: ["image/"] })
+    },
+    check: checkSchedule
+}
+
+const relatedVideosSchema = {
+    params: videoIdParams,
+    query: { limit: integer({ min: 1 }) }
+}
+
+const trendingVideosSchema = {
+    query: {
+        ...paginationQuery({ maxLimit: 50 }),
+        window: oneOf(Object.values(TRENDING_WINDOWS))
+    }
+}
+
+const categoryVideosSchema = {
+    params: { category: custom(parseCategory, { required: true }) },
+    query: {
+        ...paginationQuery(),
+        sortBy: oneOf(["createdAt", "views"])
+    }
+}
+
+const recomputeViewsSchema = {
+    body: { videoId: objectId() }
+}
+
+export {
+    getAllVideosSchema,
+    publishVideoSchema,
+    videoSchema,
+    updateVideoSchema,
+    relatedVideosSchema,
+    trendingVideosSchema,
+    categoryVideosSchema,
+    recomputeViewsSchema
+}